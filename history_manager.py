@@ -0,0 +1,353 @@
+"""
+Modulo per lo storico delle irrigazioni.
+Registra ogni attivazione completata di una zona (programma, orari, durata pianificata
+ed effettiva, avvio manuale o pianificato, motivo dell'arresto e litri erogati)
+in /data/run_history.json, in ordine cronologico. Ogni ciclo di uno step è
+un'attivazione: per contenere file e memoria le singole voci sono conservate per
+HISTORY_DETAIL_DAYS giorni (al massimo MAX_HISTORY_ENTRIES voci).
+Minuti e litri di ogni giorno, per programma e zona, sono sommati in
+/data/run_history_daily.json e conservati per MAX_HISTORY_DAYS giorni.
+"""
+import ujson
+import time
+import uos
+import gc
+from log_manager import log_event
+
+HISTORY_FILE = '/data/run_history.json'
+DAILY_TOTALS_FILE = '/data/run_history_daily.json'
+HISTORY_DETAIL_DAYS = 7    # Giorni di singole attivazioni conservati
+MAX_HISTORY_ENTRIES = 400  # Limite di voci (circa 57 attivazioni al giorno per HISTORY_DETAIL_DAYS giorni)
+MAX_HISTORY_DAYS = 60      # Giorni di totali giornalieri conservati
+
+# Chiave dei totali giornalieri per le attivazioni manuali (senza programma)
+MANUAL_PROGRAM_KEY = '-'
+
+# Origine dell'attivazione
+TRIGGER_MANUAL = 'manual'        # Zona o programma avviati dall'utente
+TRIGGER_SCHEDULED = 'scheduled'  # Programma avviato dalla pianificazione
+
+# Apprendimento della portata nominale di ogni zona
+FLOW_LEARN_RUNS = 5            # Attivazioni recenti considerate
+FLOW_LEARN_MIN_DURATION = 120  # Durata minima (secondi) di un'attivazione utile
+
+def _format_date(t):
+    """
+    Formatta una data come YYYY-MM-DD senza dipendenze da strftime.
+    
+    Args:
+        t: Tupla di time.localtime()
+    
+    Returns:
+        str: Data formattata
+    """
+    return f"{t[0]}-{t[1]:02d}-{t[2]:02d}"
+
+def load_history():
+    """
+    Carica lo storico delle irrigazioni.
+    
+    Returns:
+        list: Voci dello storico, dalla più vecchia alla più recente
+    """
+    try:
+        with open(HISTORY_FILE, 'r') as f:
+            history = ujson.load(f)
+        return history if isinstance(history, list) else []
+    except (OSError, ValueError):
+        return []
+
+def _apply_history_rotation(history):
+    """
+    Rimuove le voci più vecchie di HISTORY_DETAIL_DAYS giorni e limita il numero di voci.
+    
+    Args:
+        history: Lista delle voci, dalla più vecchia alla più recente
+    
+    Returns:
+        list: Voci conservate
+    """
+    cutoff = _format_date(time.localtime(int(time.time()) - HISTORY_DETAIL_DAYS * 86400))
+    history = [entry for entry in history if entry.get('date', '') >= cutoff]
+    
+    # Mantieni solo le voci più recenti
+    if len(history) > MAX_HISTORY_ENTRIES:
+        history = history[-MAX_HISTORY_ENTRIES:]
+    
+    return history
+
+def _save_history(history, path):
+    """
+    Salva lo storico in modo atomico usando un file temporaneo.
+    
+    Args:
+        history: Voci dello storico o totali giornalieri
+        path: File di destinazione
+    
+    Returns:
+        boolean: True se il salvataggio è riuscito
+    """
+    temp_file = path + '.tmp'
+    try:
+        with open(temp_file, 'w') as f:
+            ujson.dump(history, f)
+            f.flush()  # Flush esplicito per garantire la scrittura su disco
+        
+        # Rinomina il file temporaneo (operazione atomica su molti filesystem)
+        uos.rename(temp_file, path)
+        return True
+    except OSError as e:
+        log_event(f"Errore salvataggio storico irrigazioni: {e}", "ERROR")
+        return False
+
+def _load_daily_totals():
+    """
+    Carica i totali giornalieri. Se il file non esiste ancora vengono ricostruiti
+    dalle singole voci conservate.
+    
+    Returns:
+        dict: {data: {"programma:zona": [minuti, litri o None]}}
+    """
+    try:
+        with open(DAILY_TOTALS_FILE, 'r') as f:
+            totals = ujson.load(f)
+        return totals if isinstance(totals, dict) else {}
+    except OSError:
+        totals = {}
+        for entry in load_history():
+            _add_to_daily_totals(totals, entry)
+        return totals
+    except ValueError:
+        return {}
+
+def _add_to_daily_totals(totals, entry):
+    """
+    Somma un'attivazione ai totali del suo giorno.
+    
+    Args:
+        totals: Totali giornalieri (modificati sul posto)
+        entry: Voce dello storico
+    """
+    program_id = entry.get('program_id')
+    key = f"{MANUAL_PROGRAM_KEY if program_id is None else program_id}:{entry.get('zone_id')}"
+    day = totals.setdefault(entry.get('date', ''), {})
+    minutes, liters = day.get(key, [0, None])
+    
+    minutes = round(minutes + entry.get('duration', 0) / 60, 1)
+    if entry.get('liters') is not None:
+        liters = round((liters or 0) + entry['liters'], 1)
+    day[key] = [minutes, liters]
+
+def _iter_daily_totals(date_from=None, date_to=None):
+    """
+    Scorre i totali giornalieri nell'intervallo di date.
+    
+    Args:
+        date_from: Prima data inclusa (YYYY-MM-DD), None per nessun limite
+        date_to: Ultima data inclusa (YYYY-MM-DD), None per nessun limite
+    
+    Returns:
+        list: Tuple (data, program_id o None, zone_id, minuti, litri o None)
+    """
+    rows = []
+    for date, day in _load_daily_totals().items():
+        if (date_from and date < date_from) or (date_to and date > date_to):
+            continue
+        for key, (minutes, liters) in day.items():
+            program_key, zone_key = key.rsplit(':', 1)
+            rows.append((date, None if program_key == MANUAL_PROGRAM_KEY else program_key,
+                         int(zone_key), minutes, liters))
+    return rows
+
+def record_zone_run(zone_id, start_time, end_time, liters=None, program_id=None, shared=False, fault=None,
+                    planned_duration=None, trigger=TRIGGER_MANUAL, reason='completed'):
+    """
+    Registra un'attivazione completata di una zona.
+    
+    Args:
+        zone_id: ID della zona
+        start_time: Istante di avvio (time.time())
+        end_time: Istante di arresto (time.time())
+        liters: Litri erogati (None se non c'è un flussometro)
+        program_id: ID del programma che ha attivato la zona (None se manuale)
+        shared: True se altre zone erano attive insieme (litri stimati)
+        fault: Tipo di guasto di flusso che ha fermato la zona, se presente
+        planned_duration: Durata pianificata in secondi
+        trigger: Origine dell'attivazione (TRIGGER_MANUAL o TRIGGER_SCHEDULED)
+        reason: Motivo dell'arresto ('completed', 'stopped', 'skipped', 'paused', 'fault', ...)
+    
+    Returns:
+        boolean: True se la voce è stata salvata
+    """
+    start = time.localtime(int(start_time))
+    end = time.localtime(int(end_time))
+    entry = {
+        'zone_id': zone_id,
+        'date': _format_date(start),
+        'start': f"{start[3]:02d}:{start[4]:02d}:{start[5]:02d}",
+        'end': f"{end[3]:02d}:{end[4]:02d}:{end[5]:02d}",
+        'duration': max(0, int(end_time - start_time)),
+        'planned_duration': planned_duration,
+        'liters': round(liters, 1) if liters is not None else None,
+        'program_id': program_id,
+        'trigger': trigger,
+        'reason': reason
+    }
+    
+    # Campi facoltativi: registrati solo se presenti per contenere il file
+    if shared:
+        entry['shared'] = True
+    if fault:
+        entry['fault'] = fault
+    
+    # I totali vanno letti prima di aggiungere la voce: se il file manca vengono ricostruiti dallo storico
+    totals = _load_daily_totals()
+    _add_to_daily_totals(totals, entry)
+    cutoff = _format_date(time.localtime(int(time.time()) - MAX_HISTORY_DAYS * 86400))
+    for date in [date for date in totals if date < cutoff]:
+        del totals[date]
+    _save_history(totals, DAILY_TOTALS_FILE)
+    
+    history = load_history()
+    history.append(entry)
+    history = _apply_history_rotation(history)
+    
+    success = _save_history(history, HISTORY_FILE)
+    gc.collect()
+    return success
+
+def get_learned_flow(zone_id):
+    """
+    Stima la portata nominale di una zona dalle attivazioni recenti.
+    Sono considerate solo le attivazioni senza altre zone attive, senza guasti
+    e lunghe almeno FLOW_LEARN_MIN_DURATION secondi.
+    
+    Args:
+        zone_id: ID della zona
+    
+    Returns:
+        float: Portata mediana in litri al minuto, oppure None se non ci sono dati
+    """
+    flows = []
+    for entry in reversed(load_history()):
+        if (entry.get('zone_id') != zone_id or entry.get('liters') is None or
+                entry.get('shared') or entry.get('fault') or
+                entry.get('duration', 0) < FLOW_LEARN_MIN_DURATION):
+            continue
+        
+        flows.append(entry['liters'] * 60 / entry['duration'])
+        if len(flows) >= FLOW_LEARN_RUNS:
+            break
+    
+    if not flows:
+        return None
+    
+    flows.sort()
+    return flows[len(flows) // 2]
+
+def get_run_history(date_from=None, date_to=None, zone_id=None, program_id=None):
+    """
+    Ritorna le voci dello storico filtrate per intervallo di date, zona e programma.
+    
+    Args:
+        date_from: Prima data inclusa (YYYY-MM-DD), None per nessun limite
+        date_to: Ultima data inclusa (YYYY-MM-DD), None per nessun limite
+        zone_id: ID della zona, None per tutte
+        program_id: ID del programma, None per tutti
+    
+    Returns:
+        list: Voci dello storico, dalla più vecchia alla più recente
+    """
+    entries = []
+    for entry in load_history():
+        date = entry.get('date', '')
+        if date_from and date < date_from:
+            continue
+        if date_to and date > date_to:
+            continue
+        if zone_id is not None and entry.get('zone_id') != zone_id:
+            continue
+        if program_id is not None and str(entry.get('program_id')) != str(program_id):
+            continue
+        entries.append(entry)
+    return entries
+
+def get_daily_totals(date_from=None, date_to=None, zone_id=None, program_id=None):
+    """
+    Somma i minuti di irrigazione effettivi per giorno e per zona
+    (disponibili per MAX_HISTORY_DAYS giorni).
+    
+    Args:
+        date_from: Prima data inclusa (YYYY-MM-DD), None per nessun limite
+        date_to: Ultima data inclusa (YYYY-MM-DD), None per nessun limite
+        zone_id: ID della zona, None per tutte
+        program_id: ID del programma, None per tutti
+    
+    Returns:
+        dict: {data: {zone_id: minuti}}
+    """
+    totals = {}
+    for date, entry_program, entry_zone, minutes, _ in _iter_daily_totals(date_from, date_to):
+        if zone_id is not None and entry_zone != zone_id:
+            continue
+        if program_id is not None and entry_program != str(program_id):
+            continue
+        day = totals.setdefault(date, {})
+        zone_key = str(entry_zone)
+        day[zone_key] = round(day.get(zone_key, 0) + minutes, 1)
+    return totals
+
+def get_zone_run_summary(days=7, recent=5):
+    """
+    Riepiloga le attivazioni di ogni zona: ultime irrigazioni e minuti totali recenti.
+    
+    Args:
+        days: Numero di giorni su cui sommare i minuti (incluso oggi, al massimo MAX_HISTORY_DAYS)
+        recent: Numero di attivazioni recenti da riportare per zona (degli ultimi HISTORY_DETAIL_DAYS giorni)
+    
+    Returns:
+        dict: {'days', 'zones': {zone_id: {'total_minutes', 'recent': [voci, dalla più recente]}}}
+    """
+    since = _format_date(time.localtime(int(time.time()) - (days - 1) * 86400))
+    zones = {}
+    
+    for _, _, zone_id, minutes, _ in _iter_daily_totals(since):
+        zone = zones.setdefault(str(zone_id), {'total_minutes': 0, 'recent': []})
+        zone['total_minutes'] = round(zone['total_minutes'] + minutes, 1)
+    
+    for entry in load_history():
+        zone = zones.setdefault(str(entry.get('zone_id')), {'total_minutes': 0, 'recent': []})
+        zone['recent'].append(entry)
+        if len(zone['recent']) > recent:
+            zone['recent'].pop(0)
+    
+    for zone in zones.values():
+        zone['recent'].reverse()
+    
+    return {'days': days, 'zones': zones}
+
+def get_water_usage(days=30):
+    """
+    Somma i litri erogati negli ultimi giorni, per programma e per zona.
+    
+    Args:
+        days: Numero di giorni da considerare (incluso oggi, al massimo MAX_HISTORY_DAYS)
+    
+    Returns:
+        dict: {'days', 'programs': {program_id: litri}, 'zones': {zone_id: litri}}
+    """
+    since = _format_date(time.localtime(int(time.time()) - (days - 1) * 86400))
+    programs = {}
+    zones = {}
+    
+    for _, program_id, zone_id, _, liters in _iter_daily_totals(since):
+        if liters is None:
+            continue
+        
+        zone_key = str(zone_id)
+        zones[zone_key] = round(zones.get(zone_key, 0) + liters, 1)
+        
+        if program_id is not None:
+            programs[program_id] = round(programs.get(program_id, 0) + liters, 1)
+    
+    return {'days': days, 'programs': programs, 'zones': zones}
@@ -4,8 +4,9 @@ Soluzione diretta per il problema del task di diagnostica.
 """
 from wifi_manager import initialize_network, reset_wifi_module, retry_client_connection
 from web_server import start_web_server
-from zone_manager import initialize_pins, stop_all_zones
-from program_manager import check_programs, reset_program_state
+from zone_manager import initialize_pins, stop_all_zones, flow_monitor_loop
+from sensor_manager import initialize_sensors, sensors_loop
+from program_manager import check_programs, reset_program_state, restore_paused_program
 from log_manager import log_event
 # NON IMPORTARE start_diagnostics
 # from system_monitor import start_diagnostics
@@ -310,6 +311,9 @@ async def main():
         else:
             log_event("Zone inizializzate correttamente", "INFO")
         
+        # Inizializza i sensori di ingresso (sensore pioggia e flussometro)
+        initialize_sensors()
+        
         # FASE 5: Inizializzazione della rete
         # Strategia resiliente con retry e fallback
         wifi_initialized = False
@@ -332,9 +336,9 @@ async def main():
                 log_event("Continuazione con funzionalità limitate", "WARNING")
         
         # FASE 6: Inizializzazione del programma
-        # Assicurati che non ci siano programmi sospesi dall'avvio precedente
-        reset_program_state()
-        log_event("Stato del programma resettato", "INFO")
+        # Un programma in pausa prima del riavvio riparte in pausa; gli altri stati vengono resettati
+        if not restore_paused_program():
+            log_event("Stato del programma resettato", "INFO")
         
         # FASE 7: Avvio dei servizi principali
         # Ogni servizio è avviato come task asincrono separato
@@ -349,6 +353,16 @@ async def main():
         program_check_task = asyncio.create_task(program_check_loop())
         tasks.append(program_check_task)
         
+        # Avvia la lettura dei sensori (pioggia e flussometro)
+        log_event("Avvio lettura sensori", "INFO")
+        sensors_task = asyncio.create_task(sensors_loop())
+        tasks.append(sensors_task)
+        
+        # Avvia il controllo della portata delle zone (guasti di flusso)
+        log_event("Avvio controllo portata zone", "INFO")
+        flow_monitor_task = asyncio.create_task(flow_monitor_loop())
+        tasks.append(flow_monitor_task)
+        
         # Avvia il task di connessione WiFi (solo se l'inizializzazione è riuscita)
         if wifi_initialized:
             log_event("Avvio task di monitoraggio connessione WiFi", "INFO")
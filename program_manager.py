@@ -7,17 +7,67 @@ import ujson
 import time
 import uasyncio as asyncio
 from zone_manager import start_zone, stop_zone, stop_all_zones, get_active_zones_count
-from program_state import program_running, current_program_id, save_program_state, load_program_state
-from settings_manager import load_user_settings
+import program_state
+from program_state import (save_program_state, load_program_state, set_program_step, clear_program_step,
+                           begin_program_progress, shift_progress_after_pause, get_saved_pause)
+from settings_manager import load_user_settings, save_user_settings
+from sun_times import get_sun_times, format_minutes
+from sensor_manager import is_rain_detected
 from log_manager import log_event
 
 PROGRAM_STATE_FILE = '/data/program_state.json'
 PROGRAM_FILE = '/data/program.json'
 
+# Modalità dell'orario di avvio: orari fissi o relativi ad alba/tramonto
+START_MODE_FIXED = 'orario'
+START_MODE_SUNRISE = 'alba'
+START_MODE_SUNSET = 'tramonto'
+MAX_SUN_OFFSET = 240  # Anticipo/ritardo massimo rispetto ad alba e tramonto (minuti)
+
+# Tipo di pianificazione: programma ricorrente oppure esecuzione una tantum (data e orario)
+SCHEDULE_RECURRING = 'ricorrente'
+SCHEDULE_ONCE = 'una_tantum'
+
+# Esito delle esecuzioni una tantum archiviate dopo l'orario previsto
+ONE_SHOT_STARTED = 'avviata'
+ONE_SHOT_RAIN = 'pioggia'
+ONE_SHOT_MISSED = 'mancata'
+ONE_SHOT_ARCHIVE_DAYS = 60  # Giorni di conservazione delle esecuzioni archiviate (come i totali giornalieri dello storico)
+
+# Date escluse (eventi, trattamenti del prato...) conservate per ogni programma
+MAX_EXCLUDED_DATES = 50
+
+# Nomi dei mesi salvati nei programmi
+MONTH_NAMES = ('Gennaio', 'Febbraio', 'Marzo', 'Aprile', 'Maggio', 'Giugno',
+               'Luglio', 'Agosto', 'Settembre', 'Ottobre', 'Novembre', 'Dicembre')
+
+# Bilancio idrico: percentuale applicata alle durate degli step (globale x mensile)
+WATER_BUDGET_DEFAULT = 100
+
+# Cicli e pause di assorbimento (cycle and soak) per step
+MAX_STEP_CYCLES = 10
+MAX_SOAK_MINUTES = 120
+
+# Coda delle esecuzioni: avvii che arrivano mentre un altro programma è in esecuzione
+MAX_RUN_QUEUE_LENGTH = 10
+RUN_QUEUE_CHECK_INTERVAL = 2  # Secondi tra i controlli del programma in corso
+
+# Secondi tra i controlli della ripresa di un programma in pausa
+PAUSE_CHECK_INTERVAL = 1
+
+# Sospensione temporanea dell'irrigazione automatica (es. dopo un temporale)
+MAX_HOLD_HOURS = 720  # 30 giorni
+
 # Cache per i programmi - ottimizza le operazioni di lettura/scrittura
 _programs_cache = None
 _programs_cache_valid = False
 
+# Stato della coda di esecuzione (le voci sono in program_state.run_queue)
+_next_queue_id = 1
+_queue_worker_active = False
+_current_run = None          # Voce della coda in esecuzione
+_dispatched_slots = {}       # program_id -> (data, orario) dell'ultimo avvio pianificato accodato
+
 def _ensure_programs_file_exists():
     """
     Assicura che il file dei programmi esista.
@@ -149,64 +199,613 @@ def invalidate_programs_cache():
     global _programs_cache_valid
     _programs_cache_valid = False
 
-def check_program_conflicts(program, programs, exclude_id=None):
+def get_program_duration(program, settings=None):
     """
-    Verifica se ci sono conflitti tra programmi negli stessi mesi e con lo stesso orario.
+    Calcola la durata di un'esecuzione del programma, come la esegue execute_program:
+    cicli, pause di assorbimento, bilancio idrico e ritardo di attivazione tra le zone.
+    
+    Args:
+        program: Programma
+        settings: Impostazioni utente (se None vengono caricate)
+        
+    Returns:
+        int: Durata in secondi
+    """
+    if settings is None:
+        settings = load_user_settings()
+    
+    try:
+        activation_delay = max(0, int(settings.get('activation_delay', 0)))
+    except (TypeError, ValueError):
+        activation_delay = 0
+    
+    plan = expand_program_steps(program.get('steps', []), get_water_budget_percent(settings),
+                                settings.get('max_zone_duration', 180))
+    return _plan_seconds(plan, 0, (), activation_delay)
+
+def _plan_seconds(plan, start, skipped_zones, activation_delay):
+    """
+    Calcola la durata delle voci del piano a partire da un indice, come le esegue
+    execute_program: le zone saltate e le pause di assorbimento rimaste senza
+    cicli successivi non vengono eseguite.
+    
+    Args:
+        plan: Piano di esecuzione (da expand_program_steps)
+        start: Indice della prima voce da considerare
+        skipped_zones: Zone saltate dall'utente
+        activation_delay: Ritardo tra due zone in secondi
+    
+    Returns:
+        int: Durata in secondi
+    """
+    runs = [run for run in plan[start:] if run['zone_id'] not in skipped_zones]
+    while runs and runs[-1]['zone_id'] is None:
+        runs.pop()
+    
+    total = 0
+    for i, run in enumerate(runs):
+        total += run['duration'] * 60
+        
+        # Il ritardo di attivazione si applica solo tra due zone
+        if run['zone_id'] is not None and i < len(runs) - 1 and runs[i + 1]['zone_id'] is not None:
+            total += activation_delay
+    
+    return total
+
+def _get_program_windows(program, settings):
+    """
+    Calcola le finestre di esecuzione giornaliere di un programma.
+    I programmi relativi ad alba e tramonto usano l'orario di oggi.
+    
+    Args:
+        program: Programma
+        settings: Impostazioni utente
+        
+    Returns:
+        list: Tuple (activation_time, start, end) con start ed end in secondi dalla mezzanotte
+    """
+    duration = get_program_duration(program, settings)
+    windows = []
+    for activation_time in get_activation_times(program, settings):
+        hours, minutes = activation_time.split(':')
+        start = (int(hours) * 60 + int(minutes)) * 60
+        windows.append((activation_time, start, start + duration))
+    return windows
+
+def _windows_overlap(start_a, end_a, start_b, end_b):
+    """
+    Verifica se due finestre giornaliere si sovrappongono, anche a cavallo della mezzanotte.
+    
+    Returns:
+        boolean: True se le finestre si sovrappongono
+    """
+    day = 24 * 3600
+    for shift in (-day, 0, day):
+        if start_a < end_b + shift and start_b + shift < end_a:
+            return True
+    return False
+
+def _programs_share_days(program, other):
+    """
+    Verifica se due programmi possono girare nello stesso giorno.
+    Solo la ricorrenza settimanale e le esecuzioni una tantum fissano i giorni in
+    anticipo: le altre cadenze dipendono dall'ultima esecuzione, quindi vengono
+    considerate sempre compatibili. Periodi attivi disgiunti e date escluse
+    separano comunque i programmi.
+    
+    Returns:
+        boolean: True se i programmi possono girare nello stesso giorno
+    """
+    if is_one_shot_program(program) and is_one_shot_program(other):
+        return program.get('run_date') == other.get('run_date')
+    
+    if is_one_shot_program(program) or is_one_shot_program(other):
+        one_shot, recurring = (program, other) if is_one_shot_program(program) else (other, program)
+        if not is_program_enabled_on_date(recurring, one_shot.get('run_date')):
+            return False
+        if recurring.get('recurrence') != 'settimanale':
+            return True
+        run_date = _parse_date(one_shot.get('run_date'))
+        return run_date is not None and run_date[3] in recurring.get('week_days', [])
+    
+    # Periodi attivi disgiunti: i programmi non girano mai negli stessi giorni
+    starts = [p['active_from'] for p in (program, other) if p.get('active_from')]
+    ends = [p['active_to'] for p in (program, other) if p.get('active_to')]
+    if starts and ends and max(starts) > min(ends):
+        return False
+    
+    if program.get('recurrence') == 'settimanale' and other.get('recurrence') == 'settimanale':
+        return bool(set(program.get('week_days', [])) & set(other.get('week_days', [])))
+    return True
+
+def _find_free_start(start, duration, busy_windows):
+    """
+    Cerca il primo orario, a partire da start, in cui il programma non si
+    sovrappone alle finestre occupate. Lascia un minuto di margine dopo ogni
+    finestra, perché l'avvio automatico ha una tolleranza di ±1 minuto.
+    
+    Args:
+        start: Orario di avvio desiderato (secondi dalla mezzanotte)
+        duration: Durata del programma in secondi
+        busy_windows: Lista di tuple (start, end) già occupate
+        
+    Returns:
+        str: Orario "HH:MM" libero, oppure None se non c'è spazio prima di mezzanotte
+    """
+    candidate = start
+    # Ogni spostamento supera almeno una finestra: bastano len(busy_windows) + 1 passaggi
+    for _ in range(len(busy_windows) + 1):
+        moved = False
+        for busy_start, busy_end in busy_windows:
+            if _windows_overlap(candidate, candidate + duration, busy_start, busy_end):
+                # Arrotonda al minuto successivo alla fine della finestra, più il margine
+                candidate = max(candidate, ((busy_end + 59) // 60 + 1) * 60)
+                moved = True
+        
+        if not moved:
+            break
+    else:
+        return None
+    
+    if candidate >= 24 * 3600:
+        return None
+    return format_minutes(candidate // 60)
+
+def check_program_conflicts(program, programs, exclude_id=None, settings=None):
+    """
+    Verifica se il programma si sovrappone ad altri programmi abilitati negli
+    stessi mesi e giorni, confrontando le finestre di esecuzione (orario di avvio
+    più durata complessiva) e non solo gli orari di attivazione.
     
     Args:
         program: Programma da verificare
         programs: Dizionario di tutti i programmi
         exclude_id: ID del programma da escludere dalla verifica (per l'aggiornamento)
+        settings: Impostazioni utente (se None vengono caricate)
         
     Returns:
-        tuple: (has_conflict, conflict_message)
+        tuple: (has_conflict, conflict_message, conflicts) dove conflicts è una lista di
+               dict con activation_time, program_id, program_name, start, end e
+               suggested_time (primo orario libero, None se non disponibile)
     """
     # Validazione degli input
     if not isinstance(program, dict) or not isinstance(programs, dict):
-        return False, ""
+        return False, "", []
     
-    # Estrai i mesi e l'orario dal programma
+    # Estrai i mesi dal programma
     program_months = set(program.get('months', []))
     if not program_months:
-        return False, ""
+        return False, "", []
+    
+    if settings is None:
+        settings = load_user_settings()
     
-    program_time = program.get('activation_time', '')
-    if not program_time:
-        return False, ""  # Senza orario non ci possono essere conflitti
+    program_windows = _get_program_windows(program, settings)
+    if not program_windows:
+        return False, "", []  # Senza orario non ci possono essere conflitti
     
     # Converti exclude_id a stringa se non è None
     if exclude_id is not None:
         exclude_id = str(exclude_id)
     
-    # Verifica i conflitti con altri programmi
+    # Raccogli le finestre degli altri programmi abilitati negli stessi mesi e giorni
+    busy = []
     for pid, existing_program in programs.items():
         # Salta il programma stesso durante la modifica
         if exclude_id and str(pid) == exclude_id:
             continue
             
-        # Salta i programmi non validi
-        if not isinstance(existing_program, dict):
+        # Salta i programmi non validi o con l'automazione disabilitata
+        if not isinstance(existing_program, dict) or is_program_archived(existing_program):
+            continue
+        if existing_program.get('automatic_enabled', True) is not True:
             continue
             
-        # Estrai mesi e orario dal programma esistente
-        existing_months = set(existing_program.get('months', []))
-        existing_time = existing_program.get('activation_time', '')
+        if not program_months.intersection(existing_program.get('months', [])):
+            continue
+        if not _programs_share_days(program, existing_program):
+            continue
+        
+        for _, start, end in _get_program_windows(existing_program, settings):
+            busy.append((str(pid), existing_program.get('name', f'Programma {pid}'), start, end))
+    
+    conflicts = []
+    for activation_time, start, end in program_windows:
+        overlapping = [entry for entry in busy if _windows_overlap(start, end, entry[2], entry[3])]
+        if not overlapping:
+            continue
+        
+        suggested_time = _find_free_start(start, end - start, [(entry[2], entry[3]) for entry in busy])
+        for pid, name, busy_start, busy_end in overlapping:
+            conflicts.append({
+                'activation_time': activation_time,
+                'program_id': pid,
+                'program_name': name,
+                'start': format_minutes(busy_start // 60),
+                'end': format_minutes((busy_end + 59) // 60),
+                'suggested_time': suggested_time
+            })
+    
+    if not conflicts:
+        return False, "", []
+    
+    first = conflicts[0]
+    message = (f"Conflitto con '{first['program_name']}' ({first['start']}-{first['end']}) "
+               f"per l'avvio delle {first['activation_time']}")
+    return True, message, conflicts
+
+def _parse_activation_time(value):
+    """
+    Converte un orario "HH:MM" nella forma normalizzata a due cifre.
+    
+    Args:
+        value: Orario da convertire
+        
+    Returns:
+        str: Orario normalizzato, oppure None se non valido
+    """
+    if not isinstance(value, str):
+        return None
+    
+    parts = value.split(':')
+    if len(parts) != 2:
+        return None
+    
+    try:
+        hour = int(parts[0])
+        minute = int(parts[1])
+    except ValueError:
+        return None
+    
+    if not (0 <= hour <= 23 and 0 <= minute <= 59):
+        return None
+    
+    return f"{hour:02d}:{minute:02d}"
+
+def resolve_sun_start_time(program, settings=None, date=None):
+    """
+    Calcola l'orario di avvio di un programma relativo ad alba o tramonto.
+    
+    Args:
+        program: Programma con start_mode 'alba' o 'tramonto' e sun_offset in minuti
+        settings: Impostazioni utente (caricate se None)
+        date: Tupla (anno, mese, giorno); se None usa la data corrente
+        
+    Returns:
+        str: Orario "HH:MM", oppure None se la posizione non è configurata
+             o se quel giorno il sole non sorge/tramonta
+    """
+    if settings is None:
+        settings = load_user_settings()
+    
+    sun_times = get_sun_times(settings, date)
+    if sun_times is None:
+        return None
+    
+    sunrise, sunset = sun_times
+    event_minutes = sunrise if program.get('start_mode') == START_MODE_SUNRISE else sunset
+    if event_minutes is None:
+        return None
+    
+    try:
+        offset = int(program.get('sun_offset', 0))
+    except (TypeError, ValueError):
+        offset = 0
+    
+    return format_minutes(event_minutes + offset)
+
+def get_activation_times(program, settings=None, date=None):
+    """
+    Restituisce gli orari di attivazione del programma, ordinati.
+    I programmi salvati prima del supporto a più orari hanno solo il campo
+    activation_time, che viene letto come lista di un solo elemento.
+    Per i programmi relativi ad alba o tramonto l'orario viene calcolato per la data.
+    
+    Args:
+        program: Programma da cui leggere gli orari
+        settings: Impostazioni utente, usate per alba e tramonto (caricate se None)
+        date: Tupla (anno, mese, giorno) per alba e tramonto; se None usa la data corrente
+        
+    Returns:
+        list: Orari "HH:MM" validi, senza duplicati
+    """
+    if not isinstance(program, dict):
+        return []
+    
+    if program.get('start_mode') in (START_MODE_SUNRISE, START_MODE_SUNSET):
+        sun_time = resolve_sun_start_time(program, settings, date)
+        return [sun_time] if sun_time else []
+    
+    times = program.get('activation_times')
+    if not isinstance(times, list):
+        single_time = program.get('activation_time')
+        times = [single_time] if single_time else []
+    
+    result = []
+    for value in times:
+        parsed = _parse_activation_time(value)
+        if parsed and parsed not in result:
+            result.append(parsed)
+    
+    result.sort()
+    return result
+
+def validate_program_schedule(program):
+    """
+    Verifica e normalizza la pianificazione del programma (orari e cadenza).
+    - Con start_mode 'orario' (default) gli orari vengono salvati nella lista
+      activation_times, ordinata e senza duplicati; il vecchio campo activation_time
+      viene rimosso.
+    - Con start_mode 'alba' o 'tramonto' serve sun_offset (minuti, negativo = prima)
+      e la posizione configurata nelle impostazioni.
+    - Per la cadenza settimanale, week_days viene ridotto a una lista ordinata
+      di giorni validi (0 = lunedì ... 6 = domenica, come time.localtime()).
+    - Con schedule_type 'una_tantum' servono run_date (YYYY-MM-DD) e un solo
+      orario fisso nel futuro; il mese di esecuzione diventa l'unico mese attivo.
+    - I programmi ricorrenti possono limitare l'esecuzione a un periodo
+      (active_from/active_to, YYYY-MM-DD) ed escludere singole date (excluded_dates).
+    
+    Args:
+        program: Programma da verificare (modificato sul posto)
+        
+    Returns:
+        tuple: (is_valid, error_message)
+    """
+    schedule_type = program.get('schedule_type', SCHEDULE_RECURRING)
+    if schedule_type not in (SCHEDULE_RECURRING, SCHEDULE_ONCE):
+        return False, f"Tipo di pianificazione non valido: {schedule_type}"
+    
+    start_mode = program.get('start_mode', START_MODE_FIXED)
+    if start_mode not in (START_MODE_FIXED, START_MODE_SUNRISE, START_MODE_SUNSET):
+        return False, f"Modalità di avvio non valida: {start_mode}"
+    if schedule_type == SCHEDULE_ONCE and start_mode != START_MODE_FIXED:
+        return False, "Un'irrigazione una tantum richiede un orario fisso"
+    
+    if start_mode == START_MODE_FIXED:
+        valid, error_msg = _validate_fixed_times(program)
+    else:
+        valid, error_msg = _validate_sun_start(program)
+    if not valid:
+        return False, error_msg
+    
+    if schedule_type == SCHEDULE_ONCE:
+        return _validate_one_shot(program)
+    
+    # I programmi ricorrenti non salvano i campi delle esecuzioni una tantum
+    for key in ('schedule_type', 'run_date', 'archived', 'archived_date', 'archive_outcome'):
+        if key in program:
+            del program[key]
+    
+    valid, error_msg = _validate_date_window(program)
+    if not valid:
+        return False, error_msg
+    
+    return _validate_recurrence(program)
+
+def _validate_fixed_times(program):
+    """
+    Verifica e normalizza gli orari fissi di attivazione.
+    
+    Args:
+        program: Programma da verificare (modificato sul posto)
+        
+    Returns:
+        tuple: (is_valid, error_message)
+    """
+    raw_times = program.get('activation_times')
+    if not isinstance(raw_times, list):
+        raw_times = [program.get('activation_time')] if program.get('activation_time') else []
+    
+    for value in raw_times:
+        if _parse_activation_time(value) is None:
+            return False, f"Orario di attivazione non valido: {value}"
+    
+    times = get_activation_times({'activation_times': raw_times})
+    if not times:
+        return False, "Inserisci almeno un orario di attivazione"
+    
+    program['start_mode'] = START_MODE_FIXED
+    program['activation_times'] = times
+    for key in ('activation_time', 'sun_offset'):
+        if key in program:
+            del program[key]
+    
+    return True, ""
+
+def _validate_sun_start(program):
+    """
+    Verifica l'avvio relativo ad alba o tramonto.
+    
+    Args:
+        program: Programma da verificare (modificato sul posto)
+        
+    Returns:
+        tuple: (is_valid, error_message)
+    """
+    try:
+        offset = int(program.get('sun_offset', 0))
+    except (TypeError, ValueError):
+        return False, "Anticipo o ritardo non valido"
+    
+    if abs(offset) > MAX_SUN_OFFSET:
+        return False, f"L'anticipo o ritardo deve essere al massimo di {MAX_SUN_OFFSET} minuti"
+    
+    if get_sun_times(load_user_settings()) is None:
+        return False, "Configura la posizione nelle impostazioni per usare alba e tramonto"
+    
+    program['sun_offset'] = offset
+    for key in ('activation_time', 'activation_times'):
+        if key in program:
+            del program[key]
+    
+    return True, ""
+
+def _parse_date(value):
+    """
+    Interpreta una data salvata nei programmi (esecuzione una tantum, periodo attivo, date escluse).
+    
+    Args:
+        value: Data "YYYY-MM-DD"
+    
+    Returns:
+        tuple: (anno, mese, giorno, giorno della settimana) con 0 = lunedì, oppure None se non valida
+    """
+    if not isinstance(value, str):
+        return None
+    
+    parts = value.split('-')
+    if len(parts) != 3:
+        return None
+    
+    try:
+        year, month, day = int(parts[0]), int(parts[1]), int(parts[2])
+    except ValueError:
+        return None
+    
+    if year < 2000 or not 1 <= month <= 12:
+        return None
+    
+    # Giorni del mese (anni bisestili gestiti da _day_of_year)
+    days_in_month = 31 if month == 12 else _day_of_year(year, month + 1, 1) - _day_of_year(year, month, 1)
+    if not 1 <= day <= days_in_month:
+        return None
+    
+    # Giorno della settimana (algoritmo di Sakamoto, 0 = domenica) convertito a 0 = lunedì
+    offsets = (0, 3, 2, 5, 0, 3, 5, 1, 4, 6, 2, 4)
+    y = year - 1 if month < 3 else year
+    weekday = (y + y // 4 - y // 100 + y // 400 + offsets[month - 1] + day) % 7
+    return year, month, day, (weekday + 6) % 7
+
+def _validate_one_shot(program):
+    """
+    Verifica e normalizza un'esecuzione una tantum.
+    
+    Args:
+        program: Programma da verificare (modificato sul posto, orari già normalizzati)
+    
+    Returns:
+        tuple: (is_valid, error_message)
+    """
+    run_date = _parse_date(program.get('run_date'))
+    if run_date is None:
+        return False, f"Data di esecuzione non valida: {program.get('run_date')}"
+    
+    times = program.get('activation_times', [])
+    if len(times) != 1:
+        return False, "Un'irrigazione una tantum ha un solo orario di attivazione"
+    
+    year, month, day = run_date[0], run_date[1], run_date[2]
+    program['run_date'] = f"{year}-{month:02d}-{day:02d}"
+    
+    t = time.localtime()
+    if f"{program['run_date']} {times[0]}" <= f"{_get_formatted_date()} {t[3]:02d}:{t[4]:02d}":
+        return False, "La data e l'orario dell'irrigazione una tantum devono essere futuri"
+    
+    # Il mese di esecuzione rende validi i controlli sui mesi attivi (scheduler e sovrapposizioni)
+    program['schedule_type'] = SCHEDULE_ONCE
+    program['months'] = [MONTH_NAMES[month - 1]]
+    program['automatic_enabled'] = True
+    for key in ('recurrence', 'interval_days', 'week_days', 'archived', 'archived_date', 'archive_outcome',
+                'active_from', 'active_to', 'excluded_dates'):
+        if key in program:
+            del program[key]
+    
+    return True, ""
+
+def _validate_date_window(program):
+    """
+    Verifica e normalizza il periodo attivo e le date escluse di un programma ricorrente.
+    I campi vuoti vengono rimossi; le date escluse già passate non vengono conservate.
+    
+    Args:
+        program: Programma da verificare (modificato sul posto)
+    
+    Returns:
+        tuple: (is_valid, error_message)
+    """
+    for key, label in (('active_from', 'inizio'), ('active_to', 'fine')):
+        if not program.get(key):
+            if key in program:
+                del program[key]
+            continue
         
-        # Verifica se c'è sovrapposizione nei mesi E lo stesso orario di attivazione
-        if program_months.intersection(existing_months) and program_time == existing_time:
-            # C'è una sovrapposizione nei mesi e lo stesso orario
-            program_name = existing_program.get('name', f'Programma {pid}')
-            return True, f"Conflitto con '{program_name}' nei mesi e orario selezionati"
+        date = _parse_date(program[key])
+        if date is None:
+            return False, f"Data di {label} del periodo non valida: {program[key]}"
+        program[key] = f"{date[0]}-{date[1]:02d}-{date[2]:02d}"
+    
+    if program.get('active_from') and program.get('active_to') and program['active_from'] > program['active_to']:
+        return False, "La data di inizio del periodo deve precedere quella di fine"
+    
+    excluded = program.get('excluded_dates') or []
+    if not isinstance(excluded, list):
+        return False, "Date escluse non valide"
     
-    return False, ""
+    today = _get_formatted_date()
+    dates = set()
+    for value in excluded:
+        if not value:
+            continue
+        date = _parse_date(value)
+        if date is None:
+            return False, f"Data esclusa non valida: {value}"
+        dates.add(f"{date[0]}-{date[1]:02d}-{date[2]:02d}")
+    
+    dates = sorted(date for date in dates if date >= today)
+    if len(dates) > MAX_EXCLUDED_DATES:
+        return False, f"Puoi escludere al massimo {MAX_EXCLUDED_DATES} date"
+    
+    if dates:
+        program['excluded_dates'] = dates
+    elif 'excluded_dates' in program:
+        del program['excluded_dates']
+    
+    return True, ""
 
-def update_program(program_id, updated_program):
+def _validate_recurrence(program):
+    """
+    Verifica e normalizza la cadenza del programma.
+    
+    Args:
+        program: Programma da verificare (modificato sul posto)
+        
+    Returns:
+        tuple: (is_valid, error_message)
+    """
+    recurrence = program.get('recurrence', 'giornaliero')
+    
+    if recurrence not in ('giornaliero', 'giorni_alterni', 'personalizzata', 'settimanale'):
+        return False, f"Cadenza non valida: {recurrence}"
+    
+    if recurrence == 'settimanale':
+        week_days = program.get('week_days')
+        if not isinstance(week_days, list):
+            return False, "Seleziona almeno un giorno della settimana"
+        
+        try:
+            days = sorted(set(int(day) for day in week_days))
+        except (TypeError, ValueError):
+            return False, "Giorni della settimana non validi"
+        
+        days = [day for day in days if 0 <= day <= 6]
+        if not days:
+            return False, "Seleziona almeno un giorno della settimana"
+        
+        program['week_days'] = days
+    elif 'week_days' in program:
+        # I giorni della settimana servono solo alla cadenza settimanale
+        del program['week_days']
+    
+    return True, ""
+
+def update_program(program_id, updated_program, check_conflicts=True):
     """
     Aggiorna un programma esistente.
     
     Args:
         program_id: ID del programma da aggiornare
         updated_program: Nuovo programma
+        check_conflicts: Se False salva anche se si sovrappone ad altri programmi
         
     Returns:
         tuple: (success, error_message)
@@ -219,15 +818,16 @@ def update_program(program_id, updated_program):
     programs = load_programs(force_reload=True)
     
     # Verifica conflitti (escludi il programma che stiamo aggiornando)
-    has_conflict, conflict_message = check_program_conflicts(updated_program, programs, exclude_id=program_id)
-    if has_conflict:
-        log_event(f"Conflitto programma: {conflict_message}", "WARNING")
-        return False, conflict_message
+    if check_conflicts:
+        has_conflict, conflict_message, _ = check_program_conflicts(updated_program, programs, exclude_id=program_id)
+        if has_conflict:
+            log_event(f"Conflitto programma: {conflict_message}", "WARNING")
+            return False, conflict_message
     
     if program_id in programs:
         # Se il programma è in esecuzione, fermalo prima di aggiornarlo
         load_program_state()  # Forza il caricamento dello stato più recente
-        if program_running and current_program_id == program_id:
+        if program_state.program_running and program_state.current_program_id == program_id:
             stop_program()
             
         # Assicurati che l'ID del programma sia preservato
@@ -262,7 +862,7 @@ def delete_program(program_id):
     if program_id in programs:
         # Se il programma è in esecuzione, fermalo prima di eliminarlo
         load_program_state()  # Forza il caricamento dello stato più recente
-        if program_running and current_program_id == program_id:
+        if program_state.program_running and program_state.current_program_id == program_id:
             stop_program()
             
         # Rimuovi il programma
@@ -278,6 +878,277 @@ def delete_program(program_id):
         log_event(f"Errore: programma con ID {program_id} non trovato", "ERROR")
         return False
 
+def get_water_budget_percent(settings=None, month=None):
+    """
+    Calcola la percentuale del bilancio idrico da applicare alle durate.
+    Le percentuali sono salvate in user_settings.json come
+    water_budget = {"global": 100, "months": [100, ... 12 valori]}:
+    quella effettiva è il prodotto della globale e di quella del mese.
+    
+    Args:
+        settings: Impostazioni utente (caricate se None)
+        month: Mese (1-12); se None usa il mese corrente
+        
+    Returns:
+        float: Percentuale effettiva (100 = durate invariate)
+    """
+    if settings is None:
+        settings = load_user_settings()
+    if month is None:
+        month = time.localtime()[1]
+    
+    budget = settings.get('water_budget') if isinstance(settings, dict) else None
+    if not isinstance(budget, dict):
+        return WATER_BUDGET_DEFAULT
+    
+    try:
+        global_percent = float(budget.get('global', WATER_BUDGET_DEFAULT))
+        months = budget.get('months')
+        month_percent = WATER_BUDGET_DEFAULT
+        if isinstance(months, list) and len(months) == 12:
+            month_percent = float(months[month - 1])
+    except (TypeError, ValueError):
+        log_event("Bilancio idrico non valido nelle impostazioni, durate invariate", "WARNING")
+        return WATER_BUDGET_DEFAULT
+    
+    if global_percent <= 0 or month_percent <= 0:
+        return WATER_BUDGET_DEFAULT
+    
+    return global_percent * month_percent / 100
+
+def apply_water_budget(duration, percent, max_duration=None):
+    """
+    Applica il bilancio idrico alla durata di uno step.
+    
+    Args:
+        duration: Durata programmata in minuti
+        percent: Percentuale del bilancio idrico
+        max_duration: Durata massima di una zona (max_zone_duration), None per nessun limite.
+            Oltre questo limite start_zone rifiuta l'attivazione e la zona non verrebbe irrigata
+        
+    Returns:
+        int: Durata effettiva in minuti (almeno 1)
+    """
+    duration = max(1, int(duration * percent / 100 + 0.5))
+    if max_duration is not None:
+        duration = min(duration, max_duration)
+    return duration
+
+def get_irrigation_hold_remaining(settings=None):
+    """
+    Calcola quanto manca alla fine della sospensione dell'irrigazione automatica.
+    La scadenza è salvata in user_settings.json come irrigation_hold_until
+    (secondi dell'orologio del dispositivo).
+    
+    Args:
+        settings: Impostazioni utente (caricate se None)
+    
+    Returns:
+        int: Secondi rimanenti (0 se non c'è una sospensione attiva)
+    """
+    if settings is None:
+        settings = load_user_settings()
+    
+    hold_until = settings.get('irrigation_hold_until') if isinstance(settings, dict) else None
+    if not hold_until:
+        return 0
+    
+    try:
+        return max(0, int(hold_until) - int(time.time()))
+    except (TypeError, ValueError):
+        return 0
+
+def get_irrigation_hold_status(settings=None):
+    """
+    Restituisce lo stato della sospensione dell'irrigazione automatica.
+    
+    Args:
+        settings: Impostazioni utente (caricate se None)
+    
+    Returns:
+        dict: {'active', 'remaining' (secondi), 'until' ("YYYY-MM-DD HH:MM" o None)}
+    """
+    if settings is None:
+        settings = load_user_settings()
+    
+    remaining = get_irrigation_hold_remaining(settings)
+    if remaining <= 0:
+        return {'active': False, 'remaining': 0, 'until': None}
+    
+    t = time.localtime(int(settings['irrigation_hold_until']))
+    return {
+        'active': True,
+        'remaining': remaining,
+        'until': f"{t[0]}-{t[1]:02d}-{t[2]:02d} {t[3]:02d}:{t[4]:02d}"
+    }
+
+def set_irrigation_hold(hours):
+    """
+    Sospende l'irrigazione automatica per il numero di ore indicato.
+    I programmi avviati manualmente non sono interessati.
+    
+    Args:
+        hours: Durata della sospensione in ore (1-MAX_HOLD_HOURS)
+    
+    Returns:
+        tuple: (ok, messaggio di errore o None)
+    """
+    try:
+        hours = int(hours)
+    except (TypeError, ValueError):
+        return False, "Durata della sospensione non valida"
+    
+    if hours < 1 or hours > MAX_HOLD_HOURS:
+        return False, f"La sospensione deve durare tra 1 e {MAX_HOLD_HOURS} ore"
+    
+    settings = load_user_settings()
+    settings['irrigation_hold_until'] = int(time.time()) + hours * 3600
+    if not save_user_settings(settings):
+        return False, "Errore salvataggio impostazioni"
+    
+    log_event(f"Irrigazione automatica sospesa per {hours} ore", "INFO")
+    return True, None
+
+def clear_irrigation_hold(expired=False):
+    """
+    Annulla la sospensione dell'irrigazione automatica.
+    
+    Args:
+        expired: True se la sospensione è semplicemente scaduta
+    
+    Returns:
+        tuple: (ok, messaggio di errore o None)
+    """
+    settings = load_user_settings()
+    if not settings.get('irrigation_hold_until'):
+        return True, None
+    
+    settings['irrigation_hold_until'] = None
+    if not save_user_settings(settings):
+        return False, "Errore salvataggio impostazioni"
+    
+    if expired:
+        log_event("Sospensione dell'irrigazione automatica terminata", "INFO")
+    else:
+        log_event("Sospensione dell'irrigazione automatica annullata", "INFO")
+    return True, None
+
+def validate_program_steps(program):
+    """
+    Verifica e normalizza gli step del programma.
+    I campi facoltativi cycles (numero di cicli) e soak_minutes (pausa di
+    assorbimento tra i cicli) vengono salvati solo quando cycles è maggiore di 1.
+    
+    Args:
+        program: Programma da verificare (modificato sul posto)
+        
+    Returns:
+        tuple: (is_valid, error_message)
+    """
+    steps = program.get('steps')
+    if not isinstance(steps, list) or not steps:
+        return False, "Seleziona almeno una zona"
+    
+    for step in steps:
+        if not isinstance(step, dict) or step.get('zone_id') is None:
+            return False, "Step del programma non valido"
+        
+        try:
+            duration = int(step.get('duration', 0))
+            cycles = int(step.get('cycles', 1))
+            soak_minutes = int(step.get('soak_minutes', 0))
+        except (TypeError, ValueError):
+            return False, f"Valori non validi per la zona {step.get('zone_id')}"
+        
+        if duration < 1:
+            return False, f"Durata non valida per la zona {step.get('zone_id')}"
+        if not (1 <= cycles <= MAX_STEP_CYCLES):
+            return False, f"I cicli devono essere tra 1 e {MAX_STEP_CYCLES}"
+        if cycles > duration:
+            return False, f"Zona {step.get('zone_id')}: ogni ciclo deve durare almeno 1 minuto"
+        if not (0 <= soak_minutes <= MAX_SOAK_MINUTES):
+            return False, f"La pausa di assorbimento deve essere tra 0 e {MAX_SOAK_MINUTES} minuti"
+        
+        step['duration'] = duration
+        if cycles > 1:
+            step['cycles'] = cycles
+            step['soak_minutes'] = soak_minutes
+        else:
+            for key in ('cycles', 'soak_minutes'):
+                if key in step:
+                    del step[key]
+    
+    return True, ""
+
+def expand_program_steps(steps, budget_percent=WATER_BUDGET_DEFAULT, max_duration=None):
+    """
+    Espande gli step in un ordine di esecuzione con cicli e pause di assorbimento.
+    Uno step con cycles > 1 viene diviso in cicli più brevi; mentre una zona
+    è in pausa di assorbimento vengono eseguiti i cicli delle altre zone
+    (in ordine di programma), e si attende solo se nessuna zona è pronta.
+    Le zone vengono sempre eseguite una alla volta, quindi max_active_zones
+    è rispettato con qualunque valore.
+    
+    Args:
+        steps: Step del programma
+        budget_percent: Percentuale del bilancio idrico da applicare alle durate
+        max_duration: Durata massima di uno step in minuti, None per nessun limite
+        
+    Returns:
+        list: Voci {'zone_id', 'duration', 'cycle', 'cycles'} in minuti;
+              le attese hanno zone_id None
+    """
+    # Durate dei cicli per ogni step valido
+    pending = []
+    for step in steps:
+        if not isinstance(step, dict) or step.get('zone_id') is None:
+            continue
+        
+        duration = apply_water_budget(step.get('duration', 1), budget_percent, max_duration)
+        cycles = max(1, min(int(step.get('cycles', 1)), duration))
+        soak = max(0, int(step.get('soak_minutes', 0))) if cycles > 1 else 0
+        
+        # Ripartisci la durata: i primi cicli ricevono i minuti in eccesso
+        base, extra = divmod(duration, cycles)
+        pending.append({
+            'zone_id': step.get('zone_id'),
+            'cycles': [base + 1 if i < extra else base for i in range(cycles)],
+            'total': cycles,
+            'soak': soak,
+            'ready_at': 0
+        })
+    
+    # Simula il tempo: esegui il primo step pronto, altrimenti attendi il primo che lo diventa
+    plan = []
+    now = 0
+    while pending:
+        ready = None
+        for entry in pending:
+            if entry['ready_at'] <= now:
+                ready = entry
+                break
+        
+        if ready is None:
+            wait = min(entry['ready_at'] for entry in pending) - now
+            plan.append({'zone_id': None, 'duration': wait, 'cycle': 0, 'cycles': 0})
+            now += wait
+            continue
+        
+        duration = ready['cycles'].pop(0)
+        plan.append({
+            'zone_id': ready['zone_id'],
+            'duration': duration,
+            'cycle': ready['total'] - len(ready['cycles']),
+            'cycles': ready['total']
+        })
+        now += duration
+        ready['ready_at'] = now + ready['soak']
+        
+        if not ready['cycles']:
+            pending.remove(ready)
+    
+    return plan
+
 def is_program_active_in_current_month(program):
     """
     Controlla se il programma è attivo nel mese corrente.
@@ -309,6 +1180,26 @@ def is_program_active_in_current_month(program):
     
     return current_month in program_month_numbers
 
+def is_program_enabled_on_date(program, date=None):
+    """
+    Verifica se una data rientra nel periodo attivo del programma e non è tra le date escluse.
+    
+    Args:
+        program: Programma da verificare
+        date: Data "YYYY-MM-DD" (None per oggi)
+    
+    Returns:
+        boolean: True se il programma può essere eseguito nella data indicata
+    """
+    if date is None:
+        date = _get_formatted_date()
+    
+    if program.get('active_from') and date < program['active_from']:
+        return False
+    if program.get('active_to') and date > program['active_to']:
+        return False
+    return date not in program.get('excluded_dates', [])
+
 def _day_of_year(year, month, day):
     """
     Calcola il giorno dell'anno da una data.
@@ -333,18 +1224,25 @@ def _day_of_year(year, month, day):
     
     return day_of_year
 
-def is_program_due_today(program):
+def is_program_due_today(program, activation_time=None):
     """
     Verifica se il programma è previsto per oggi in base alla cadenza.
+    Se il programma è già stato eseguito oggi, è previsto solo per gli orari
+    di attivazione successivi a quello dell'ultima esecuzione.
     
     Args:
         program: Programma da verificare
+        activation_time: Orario di attivazione "HH:MM" da verificare
         
     Returns:
         boolean: True se il programma è previsto per oggi, False altrimenti
     """
     if not isinstance(program, dict):
         return False
+    
+    # Una tantum: solo nel giorno indicato, finché non viene archiviata
+    if is_one_shot_program(program):
+        return not is_program_archived(program) and program.get('run_date') == _get_formatted_date()
         
     # Ottieni la data corrente
     current_time = time.localtime()
@@ -371,13 +1269,19 @@ def is_program_due_today(program):
         except Exception as e:
             log_event(f"Errore nella conversione della data di esecuzione: {e}", "ERROR")
 
+    # Già eseguito oggi: restano solo gli orari successivi all'ultima esecuzione.
+    # Le esecuzioni manuali non registrano l'orario e chiudono la giornata.
+    if last_run_day == current_day_of_year:
+        last_run_time = program.get('last_run_time')
+        return bool(activation_time and last_run_time and activation_time > last_run_time)
+
     # Determina la cadenza del programma
     recurrence = program.get('recurrence', 'giornaliero')
     
     # Verifica basata sulla cadenza
     if recurrence == 'giornaliero':
-        # Il programma è previsto ogni giorno, ma non più volte al giorno
-        return last_run_day != current_day_of_year
+        # Il programma è previsto ogni giorno
+        return True
     
     elif recurrence == 'giorni_alterni':
         # Il programma è previsto ogni 2 giorni
@@ -391,10 +1295,73 @@ def is_program_due_today(program):
             interval_days = 1
         return (current_day_of_year - last_run_day) >= interval_days
     
+    elif recurrence == 'settimanale':
+        # Il programma è previsto nei giorni della settimana selezionati (0 = lunedì)
+        week_days = program.get('week_days', [])
+        return current_time[6] in week_days
+    
     # Per valori di recurrence sconosciuti, non eseguire
     return False
 
-async def execute_program(program, manual=False):
+async def _wait_while_paused():
+    """
+    Attende finché il programma è in pausa.
+    
+    Returns:
+        boolean: True se il programma è ancora in esecuzione alla ripresa
+    """
+    while program_state.program_running and program_state.program_paused:
+        await asyncio.sleep(PAUSE_CHECK_INTERVAL)
+    
+    return program_state.program_running
+
+async def _wait_while_running(seconds, check_interval, zone_id=None):
+    """
+    Attende per il tempo indicato, verificando periodicamente che il programma
+    non sia stato interrotto. Durante una pausa il tempo rimanente viene
+    congelato e salvato nello stato; alla ripresa la zona viene riattivata
+    per il tempo che mancava. Una richiesta di salto termina subito l'attesa.
+    
+    Args:
+        seconds: Secondi di attesa
+        check_interval: Intervallo di verifica dello stato in secondi
+        zone_id: Zona attiva durante l'attesa (None per pause e ritardi)
+        
+    Returns:
+        boolean: True se il programma è ancora in esecuzione al termine dell'attesa
+    """
+    end_time = time.time() + seconds
+    while program_state.program_running and not program_state.skip_requested:
+        if program_state.program_paused:
+            # Il tempo rimanente si conta dall'istante della pausa, non da quando ce ne accorgiamo
+            paused_at = program_state.paused_at or time.time()
+            remaining_seconds = max(0, end_time - paused_at)
+            program_state.step_remaining = remaining_seconds
+            save_program_state()
+            
+            if not await _wait_while_paused() or program_state.skip_requested:
+                break
+            
+            end_time = time.time() + remaining_seconds
+            if zone_id is not None and remaining_seconds > 0:
+                # start_zone accetta minuti interi: il timer della zona è solo una protezione,
+                # la zona viene fermata dal programma allo scadere del tempo rimanente
+                if not start_zone(zone_id, max(1, (remaining_seconds + 59) // 60)):
+                    log_event(f"Errore nella riattivazione della zona {zone_id} dopo la pausa", "ERROR")
+            continue
+        
+        remaining_seconds = end_time - time.time()
+        if remaining_seconds <= 0:
+            break
+        
+        await asyncio.sleep(min(check_interval, remaining_seconds))
+        
+        # Verifica lo stato del programma
+        load_program_state()
+    
+    return program_state.program_running
+
+async def execute_program(program, manual=False, activation_time=None, resume=None):
     """
     Esegue un programma di irrigazione con gestione robusta degli errori e
     protezione contro stati inconsistenti.
@@ -402,6 +1369,9 @@ async def execute_program(program, manual=False):
     Args:
         program: Programma da eseguire
         manual: Flag che indica se l'esecuzione è manuale
+        activation_time: Orario di attivazione che ha avviato il programma (solo automatico)
+        resume: Pausa da ripristinare dopo un riavvio ({'step', 'zone', 'remaining'},
+                vedi get_saved_pause): il programma riparte in pausa da quello step
         
     Returns:
         boolean: True se l'esecuzione è completata con successo, False altrimenti
@@ -413,11 +1383,8 @@ async def execute_program(program, manual=False):
     # Ricarica lo stato per assicurarsi di avere dati aggiornati
     load_program_state()
     
-    # Riferimento esplicito alle variabili globali
-    global program_running, current_program_id
-    
-    if program_running:
-        log_event(f"Impossibile eseguire il programma: altro programma già in esecuzione ({current_program_id})", "WARNING")
+    if program_state.program_running:
+        log_event(f"Impossibile eseguire il programma: altro programma già in esecuzione ({program_state.current_program_id})", "WARNING")
         return False
 
     # Se è un programma automatico, prima arresta tutte le zone manuali
@@ -426,7 +1393,7 @@ async def execute_program(program, manual=False):
     if active_count > 0:
         log_event(f"Arresto zone attive per dare priorità al programma {'manuale' if manual else 'automatico'}", "INFO")
         try:
-            stop_all_zones()
+            stop_all_zones('preempted')
             await asyncio.sleep(1)  # Piccolo ritardo per sicurezza
         except Exception as e:
             log_event(f"Errore durante l'arresto delle zone attive: {e}", "ERROR")
@@ -444,8 +1411,11 @@ async def execute_program(program, manual=False):
     program_id = str(program.get('id', '0'))
     
     # FASE 1: Imposta lo stato del programma
-    program_running = True
-    current_program_id = program_id
+    program_state.program_running = True
+    program_state.current_program_id = program_id
+    program_state.program_manual = manual
+    program_state.current_activation_time = activation_time
+    begin_program_progress()
     
     # Salva lo stato aggiornato su file
     save_program_state()
@@ -457,14 +1427,14 @@ async def execute_program(program, manual=False):
         # Verifica lo stato salvato
         load_program_state()
         
-        if program_running and current_program_id == program_id:
+        if program_state.program_running and program_state.current_program_id == program_id:
             state_persisted = True
             break
         
         # Se lo stato non è corretto, lo reimpostiamo e risalviamo
         log_event(f"Stato programma non persistito, tentativo {retry + 1}/3", "WARNING")
-        program_running = True
-        current_program_id = program_id
+        program_state.program_running = True
+        program_state.current_program_id = program_id
         save_program_state()
         
         await asyncio.sleep(0.2)  # Breve pausa tra i tentativi
@@ -475,11 +1445,20 @@ async def execute_program(program, manual=False):
     # FASE 3: Esecuzione del programma
     program_name = program.get('name', 'Senza nome')
     log_event(f"Avvio programma: {program_name} (ID: {program_id})", "INFO")
+    
+    # Una tantum: viene archiviata come avviata solo quando parte davvero
+    if is_one_shot_program(program) and not is_program_archived(program) and resume is None:
+        archive_one_shot_program(program_id, ONE_SHOT_STARTED)
 
     # Carica le impostazioni utente per il ritardo di attivazione
     settings = load_user_settings()
     activation_delay = settings.get('activation_delay', 0)
     
+    # Bilancio idrico del mese corrente, applicato a tutte le durate
+    budget_percent = get_water_budget_percent(settings)
+    if budget_percent != WATER_BUDGET_DEFAULT:
+        log_event(f"Bilancio idrico applicato: {budget_percent:.0f}%", "INFO")
+    
     # Flag per tracciare il successo dell'esecuzione
     successful_execution = False
     
@@ -492,90 +1471,128 @@ async def execute_program(program, manual=False):
             log_event(f"Formato steps non valido nel programma {program_id}", "ERROR")
             raise ValueError("Formato steps non valido")
         
-        for i, step in enumerate(steps):
+        # Espandi cicli e pause di assorbimento nell'ordine di esecuzione effettivo
+        max_duration = settings.get('max_zone_duration', 180)
+        plan = expand_program_steps(steps, budget_percent, max_duration)
+        for step in steps:
+            if isinstance(step, dict) and apply_water_budget(step.get('duration', 1), budget_percent) > max_duration:
+                log_event(f"Zona {step.get('zone_id')}: durata con bilancio idrico limitata a {max_duration} minuti", "WARNING")
+        check_interval = 10  # Verifica interruzioni ogni 10 secondi
+        skipped_zones = set()  # Zone saltate dall'utente: i cicli rimanenti non vengono eseguiti
+        
+        # Ripristino dopo un riavvio: si riparte in pausa dallo step salvato, con il tempo che mancava
+        first_step = 0
+        first_seconds = None
+        if resume is not None:
+            first_step = max(0, resume['step'])
+            first_seconds = resume['remaining']
+            # In pausa durante il ritardo tra due zone: si riparte dalla zona successiva
+            if first_step < len(plan) and resume['zone'] is None and plan[first_step]['zone_id'] is not None:
+                first_step += 1
+                first_seconds = None
+            
+            if first_step < len(plan):
+                first_total = first_seconds if first_seconds is not None else plan[first_step]['duration'] * 60
+                program_state.program_paused = True
+                program_state.paused_at = time.time()
+                program_state.step_remaining = first_total
+                set_program_step(first_step, len(plan), plan[first_step]['zone_id'], first_total,
+                                 _plan_seconds(plan, first_step + 1, skipped_zones, activation_delay))
+                save_program_state()
+        
+        for i, run in enumerate(plan):
+            if i < first_step:
+                continue
+            
             # Verifica periodicamente se il programma è stato interrotto
             load_program_state()
             
-            if not program_running:
+            if not program_state.program_running:
                 log_event("Programma interrotto dall'utente", "INFO")
                 break
 
-            # Verifica che lo step sia valido
-            if not isinstance(step, dict):
-                log_event(f"Step {i+1} non valido, ignorato", "WARNING")
+            # Una pausa tra due step blocca l'avvio dello step successivo
+            if not await _wait_while_paused():
+                log_event("Programma interrotto durante la pausa", "INFO")
+                break
+            
+            zone_id = run['zone_id']
+            duration = run['duration']
+            seconds = first_seconds if i == first_step and first_seconds is not None else duration * 60
+            
+            if zone_id in skipped_zones:
                 continue
-                
-            zone_id = step.get('zone_id')
-            duration = step.get('duration', 1)
             
+            # Pausa di assorbimento: nessuna zona è ancora pronta per il ciclo successivo
             if zone_id is None:
-                log_event(f"Errore nel passo {i+1}: zone_id mancante", "ERROR")
+                # Inutile attendere se restano solo cicli di zone saltate
+                if all(r['zone_id'] is None or r['zone_id'] in skipped_zones for r in plan[i + 1:]):
+                    continue
+                
+                log_event(f"Pausa di assorbimento di {duration} minuti", "INFO")
+                set_program_step(i, len(plan), None, seconds,
+                                 _plan_seconds(plan, i + 1, skipped_zones, activation_delay))
+                if not await _wait_while_running(seconds, check_interval):
+                    log_event("Programma interrotto durante la pausa di assorbimento", "INFO")
+                    break
+                program_state.skip_requested = False
                 continue
                 
-            log_event(f"Attivazione zona {zone_id} per {duration} minuti", "INFO")
+            if seconds != duration * 60:
+                log_event(f"Riattivazione zona {zone_id} per i {seconds} secondi rimanenti", "INFO")
+            elif run['cycles'] > 1:
+                log_event(f"Attivazione zona {zone_id} per {duration} minuti (ciclo {run['cycle']}/{run['cycles']})", "INFO")
+            else:
+                log_event(f"Attivazione zona {zone_id} per {duration} minuti", "INFO")
             
-            # FASE 3.1: Attiva la zona
-            result = start_zone(zone_id, duration)
+            # FASE 3.1: Attiva la zona (start_zone accetta minuti interi, come alla ripresa dalla pausa)
+            result = start_zone(zone_id, max(1, (seconds + 59) // 60))
             if not result:
                 log_event(f"Errore nell'attivazione della zona {zone_id}", "ERROR")
                 continue
                 
+            # Aggiorna l'avanzamento (pubblicato dallo stream /events)
+            set_program_step(i, len(plan), zone_id, seconds,
+                             _plan_seconds(plan, i, skipped_zones, activation_delay) - duration * 60)
+                
             # FASE 3.2: Attendi per la durata specificata
             # Suddividi l'attesa in intervalli più brevi per verificare interruzioni
-            remaining_seconds = duration * 60
-            check_interval = 10  # Verifica ogni 10 secondi
-            
-            while remaining_seconds > 0 and program_running:
-                # Determina il tempo di attesa per questo ciclo
-                wait_time = min(check_interval, remaining_seconds)
-                
-                # Attendi
-                await asyncio.sleep(wait_time)
-                remaining_seconds -= wait_time
-                
-                # Verifica lo stato del programma
-                load_program_state()
-                
-                if not program_running:
-                    log_event("Programma interrotto durante l'esecuzione di uno step", "INFO")
-                    break
-            
-            # Se il programma è stato interrotto, esci dal ciclo degli step
-            if not program_running:
+            if not await _wait_while_running(seconds, check_interval, zone_id):
+                log_event("Programma interrotto durante l'esecuzione di uno step", "INFO")
                 break
                 
             # FASE 3.3: Ferma la zona
-            if not stop_zone(zone_id):
+            if not stop_zone(zone_id, 'skipped' if program_state.skip_requested else 'completed'):
                 log_event(f"Errore nell'arresto della zona {zone_id}", "WARNING")
                 
-            log_event(f"Zona {zone_id} completata", "INFO")
+            if program_state.skip_requested:
+                # Zona saltata dall'utente (il motivo è registrato da skip_program_step)
+                program_state.skip_requested = False
+                skipped_zones.add(zone_id)
+            else:
+                log_event(f"Zona {zone_id} completata", "INFO")
 
-            # Modifica in program_manager.py - rimuovere la conversione da minuti a secondi
-            # In program_manager.py, the execute_program function, find this section and update it:
-            # MODIFIED CODE - CORRECT HANDLING OF ACTIVATION DELAY
-            # Gestione del ritardo tra zone
-            if activation_delay > 0 and i < len(steps) - 1:
+            # Gestione del ritardo tra zone (in secondi), non prima di una pausa di assorbimento
+            next_run = None
+            for following in plan[i + 1:]:
+                if following['zone_id'] not in skipped_zones:
+                    next_run = following
+                    break
+            if activation_delay > 0 and next_run and next_run['zone_id'] is not None:
                 log_event(f"Attesa {activation_delay} secondi prima della prossima zona", "INFO")
+                set_program_step(i, len(plan), None, activation_delay,
+                                 _plan_seconds(plan, i + 1, skipped_zones, activation_delay))
 
-                # Suddividi anche il ritardo in intervalli più brevi
-                delay_seconds = activation_delay  # Già in secondi, non moltiplicare per 60
-                while delay_seconds > 0 and program_running:
-                    wait_time = min(check_interval, delay_seconds)
-                    await asyncio.sleep(wait_time)
-                    delay_seconds -= wait_time
-
-                    # Verifica lo stato del programma
-                    load_program_state()
-
-                    if not program_running:
-                        break
+                if not await _wait_while_running(activation_delay, check_interval):
+                    break
+                program_state.skip_requested = False
         
         # FASE 4: Verifica se l'esecuzione è stata completata con successo
         # Se siamo arrivati qui e il programma è ancora in esecuzione, 
         # significa che tutti gli step sono stati completati
-        if program_running:
+        if program_state.program_running:
             successful_execution = True
-            update_last_run_date(program_id)
+            update_last_run_date(program_id, activation_time)
             log_event(f"Programma {program_name} completato con successo", "INFO")
         
         return successful_execution
@@ -587,8 +1604,11 @@ async def execute_program(program, manual=False):
         # FASE 5: Pulizia finale - questi passaggi vengono eseguiti sempre
         try:
             # Aggiorna lo stato del programma
-            program_running = False
-            current_program_id = None
+            program_state.program_running = False
+            program_state.current_program_id = None
+            program_state.program_manual = False
+            program_state.current_activation_time = None
+            clear_program_step()
             save_program_state()
             
             # Assicurati che tutte le zone siano disattivate
@@ -596,19 +1616,27 @@ async def execute_program(program, manual=False):
         except Exception as final_e:
             log_event(f"Errore durante la pulizia finale: {final_e}", "ERROR")
 
-def stop_program():
+def stop_program(reason='stopped', clear_queue=False):
     """
     Ferma il programma attualmente in esecuzione con protezioni 
     contro stati inconsistenti.
     
+    Args:
+        reason: Motivo dell'arresto delle zone registrato nello storico
+        clear_queue: Se True svuota anche la coda delle esecuzioni (arresto totale, pioggia)
+    
     Returns:
-        boolean: True se l'operazione è riuscita, False altrimenti
+        boolean: True se l'operazione è riuscita (o se, senza programma in esecuzione,
+                 sono state rimosse esecuzioni dalla coda), False altrimenti
     """
-    global program_running, current_program_id
+    # La coda va svuotata prima dell'arresto: altrimenti la prossima voce partirebbe subito dopo
+    removed = 0
+    if clear_queue:
+        removed = clear_run_queue(ONE_SHOT_RAIN if reason == 'rain' else ONE_SHOT_MISSED)
     
     # Salva i valori originali per la verifica
-    original_running = program_running
-    original_id = current_program_id
+    original_running = program_state.program_running
+    original_id = program_state.current_program_id
     
     # Ricarica lo stato per assicurarsi di avere dati aggiornati
     load_program_state()
@@ -616,24 +1644,24 @@ def stop_program():
     # Verifica di coerenza: se non era in esecuzione prima ma ora lo è,
     # considera lo stato originale più attendibile
     # Questo gestisce i casi di race condition nei caricamenti da file
-    if not program_running and original_running:
-        log_event(f"Stato incoerente durante arresto: era {original_running}, ora {program_running}", "WARNING")
-        program_running = True
-        current_program_id = original_id
+    if not program_state.program_running and original_running:
+        log_event(f"Stato incoerente durante arresto: era {original_running}, ora {program_state.program_running}", "WARNING")
+        program_state.program_running = True
+        program_state.current_program_id = original_id
     
-    # Se non c'è nessun programma in esecuzione, non fare nulla
-    if not program_running:
+    # Se non c'è nessun programma in esecuzione, non fare nulla (l'arresto riesce se ha svuotato la coda)
+    if not program_state.program_running:
         log_event("Nessun programma in esecuzione da interrompere", "INFO")
-        return False
+        return removed > 0
         
     # FASE 1: Log dell'operazione
-    prog_id = current_program_id or "sconosciuto"
+    prog_id = program_state.current_program_id or "sconosciuto"
     log_event(f"Interruzione programma {prog_id} in corso", "INFO")
     
     # FASE 2: Arresta tutte le zone prima di aggiornare lo stato
     # Questo evita che il programma venga marcato come interrotto ma le zone rimangano attive
     try:
-        if not stop_all_zones():
+        if not stop_all_zones(reason):
             log_event("Errore nell'arresto delle zone durante l'interruzione", "ERROR")
         else:
             log_event("Tutte le zone arrestate correttamente", "INFO")
@@ -641,8 +1669,9 @@ def stop_program():
         log_event(f"Eccezione durante l'arresto delle zone: {e}", "ERROR")
     
     # FASE 3: Aggiorna lo stato del programma
-    program_running = False
-    current_program_id = None
+    program_state.program_running = False
+    program_state.current_program_id = None
+    clear_program_step()
     
     # FASE 4: Salva lo stato e verifica
     save_program_state()
@@ -651,21 +1680,21 @@ def stop_program():
     state_saved = False
     for retry in range(3):
         # Verifica lo stato salvato
-        original_running = program_running
-        original_id = current_program_id
+        original_running = program_state.program_running
+        original_id = program_state.current_program_id
         
         # Ricarica lo stato
         load_program_state()
         
         # Verifica che lo stato sia stato salvato correttamente
-        if program_running == original_running and current_program_id == original_id:
+        if program_state.program_running == original_running and program_state.current_program_id == original_id:
             state_saved = True
             break
         
         # Se lo stato non è stato salvato correttamente, risalva
         log_event(f"Stato non persistito durante arresto, tentativo {retry + 1}/3", "WARNING")
-        program_running = original_running
-        current_program_id = original_id
+        program_state.program_running = original_running
+        program_state.current_program_id = original_id
         save_program_state()
         
         time.sleep(0.2)  # Breve pausa tra i tentativi
@@ -675,12 +1704,118 @@ def stop_program():
         
     return True
 
+def pause_program():
+    """
+    Mette in pausa il programma in esecuzione: spegne le zone e congela lo step
+    corrente e il suo tempo rimanente, salvati in program_state.json.
+    
+    Returns:
+        tuple: (success, error_message)
+    """
+    load_program_state()
+    if not program_state.program_running:
+        return False, "Nessun programma in esecuzione"
+    if program_state.program_paused:
+        return False, "Programma già in pausa"
+    
+    program_state.program_paused = True
+    program_state.paused_at = time.time()
+    
+    # Le zone restano spente fino alla ripresa
+    try:
+        if not stop_all_zones('paused'):
+            log_event("Errore nell'arresto delle zone durante la pausa", "ERROR")
+    except Exception as e:
+        log_event(f"Eccezione durante l'arresto delle zone: {e}", "ERROR")
+    
+    save_program_state()
+    log_event(f"Programma {program_state.current_program_id} in pausa", "INFO")
+    return True, ""
+
+def resume_program():
+    """
+    Riprende il programma in pausa dallo step in cui era stato fermato.
+    
+    Returns:
+        tuple: (success, error_message)
+    """
+    load_program_state()
+    if not program_state.program_running:
+        return False, "Nessun programma in esecuzione"
+    if not program_state.program_paused:
+        return False, "Il programma non è in pausa"
+    
+    shift_progress_after_pause()
+    program_state.program_paused = False
+    program_state.paused_at = None
+    program_state.step_remaining = None
+    save_program_state()
+    log_event(f"Programma {program_state.current_program_id} ripreso", "INFO")
+    return True, ""
+
+def skip_program_step(reason=None):
+    """
+    Salta lo step in corso del programma in esecuzione: la zona attiva viene
+    spenta subito e i suoi cicli rimanenti non vengono eseguiti. Durante una
+    pausa di assorbimento o un ritardo tra zone salta l'attesa.
+    
+    Args:
+        reason: Motivo del salto, registrato nel log
+        
+    Returns:
+        tuple: (success, error_message)
+    """
+    load_program_state()
+    if not program_state.program_running:
+        return False, "Nessun programma in esecuzione"
+    if program_state.current_step_index is None:
+        return False, "Nessuno step in corso"
+    if program_state.program_paused:
+        return False, "Riprendi il programma prima di saltare lo step"
+    
+    zone_id = program_state.current_step_zone
+    program_state.skip_requested = True
+    
+    # Spegni subito la zona: execute_program se ne accorge al prossimo controllo
+    if zone_id is not None and not stop_zone(zone_id, 'skipped'):
+        log_event(f"Errore nell'arresto della zona {zone_id} durante il salto", "WARNING")
+    
+    target = f"zona {zone_id}" if zone_id is not None else "attesa"
+    log_event(f"Programma {program_state.current_program_id}: saltata {target} "
+              f"(step {program_state.current_step_index + 1}/{program_state.current_step_count}), "
+              f"motivo: {reason or 'non indicato'}", "INFO")
+    return True, ""
+
+def restore_paused_program():
+    """
+    All'avvio ripristina il programma rimasto in pausa prima del riavvio, dallo step
+    e dal tempo rimanente salvati in program_state.json. Il programma riparte in
+    pausa: le zone restano spente finché non viene ripreso. Negli altri casi lo
+    stato viene resettato.
+    
+    Returns:
+        boolean: True se un programma in pausa è stato ripristinato
+    """
+    saved = get_saved_pause()
+    reset_program_state()
+    if saved is None:
+        return False
+    
+    program = load_programs().get(saved['program_id'])
+    if not isinstance(program, dict):
+        log_event(f"Programma in pausa {saved['program_id']} non più disponibile dopo il riavvio", "WARNING")
+        return False
+    
+    log_event(f"Programma {program.get('name', saved['program_id'])} in pausa ripristinato dopo il riavvio "
+              f"(step {saved['step'] + 1})", "INFO")
+    asyncio.create_task(execute_program(program, manual=saved['manual'], activation_time=saved['activation_time'],
+                                        resume=saved))
+    return True
+
 def reset_program_state():
     """
     Resetta lo stato del programma.
     """
-    global program_running, current_program_id
-    
     # Ferma eventuali zone attive
     try:
         stop_all_zones()
@@ -688,8 +1823,9 @@ def reset_program_state():
         log_event(f"Errore durante l'arresto delle zone nel reset: {e}", "ERROR")
     
     # Resetta le variabili di stato
-    program_running = False
-    current_program_id = None
+    program_state.program_running = False
+    program_state.current_program_id = None
+    clear_program_step()
     
     # Salva lo stato su file
     save_program_state()
@@ -705,12 +1841,97 @@ def _get_formatted_date():
     t = time.localtime()
     return f"{t[0]}-{t[1]:02d}-{t[2]:02d}"
 
-def update_last_run_date(program_id):
+def is_one_shot_program(program):
+    """
+    Verifica se il programma è un'esecuzione una tantum.
+    
+    Args:
+        program: Programma da verificare
+    
+    Returns:
+        boolean: True se il programma ha schedule_type 'una_tantum'
+    """
+    return isinstance(program, dict) and program.get('schedule_type') == SCHEDULE_ONCE
+
+def is_program_archived(program):
+    """
+    Verifica se un'esecuzione una tantum è già stata archiviata (avviata, saltata o mancata).
+    
+    Args:
+        program: Programma da verificare
+    
+    Returns:
+        boolean: True se il programma è archiviato
+    """
+    return isinstance(program, dict) and program.get('archived') is True
+
+def _is_one_shot_expired(program, current_hour, current_minute):
+    """
+    Verifica se l'orario di un'esecuzione una tantum è passato senza avviarla
+    (es. dispositivo spento o programmi automatici disattivati).
+    
+    Args:
+        program: Esecuzione una tantum non archiviata
+        current_hour: Ora corrente
+        current_minute: Minuto corrente
+    
+    Returns:
+        boolean: True se l'orario è passato oltre la tolleranza di avvio
+    """
+    today = _get_formatted_date()
+    run_date = program.get('run_date', '')
+    if run_date != today:
+        return run_date < today
+    
+    times = program.get('activation_times', [])
+    if not times:
+        return True
+    
+    hours, minutes = times[0].split(':')
+    return int(hours) * 60 + int(minutes) + 1 < current_hour * 60 + current_minute
+
+def archive_one_shot_program(program_id, outcome):
+    """
+    Archivia un'esecuzione una tantum perché non venga più pianificata, e rimuove
+    quelle archiviate da più di ONE_SHOT_ARCHIVE_DAYS giorni.
+    
+    Args:
+        program_id: ID del programma una tantum
+        outcome: Esito (ONE_SHOT_STARTED, ONE_SHOT_RAIN o ONE_SHOT_MISSED)
+    
+    Returns:
+        boolean: True se il programma è stato archiviato
+    """
+    program_id = str(program_id)
+    programs = load_programs(force_reload=True)
+    program = programs.get(program_id)
+    if not is_one_shot_program(program):
+        return False
+    
+    program['archived'] = True
+    program['archived_date'] = _get_formatted_date()
+    program['archive_outcome'] = outcome
+    
+    cutoff_time = time.localtime(int(time.time()) - ONE_SHOT_ARCHIVE_DAYS * 86400)
+    cutoff = f"{cutoff_time[0]}-{cutoff_time[1]:02d}-{cutoff_time[2]:02d}"
+    for pid in list(programs.keys()):
+        if is_program_archived(programs[pid]) and programs[pid].get('archived_date', '') < cutoff:
+            del programs[pid]
+    
+    if not save_programs(programs):
+        log_event(f"Errore nell'archiviazione dell'irrigazione una tantum {program_id}", "ERROR")
+        return False
+    
+    log_event(f"Irrigazione una tantum {program.get('name', program_id)} archiviata ({outcome})", "INFO")
+    return True
+
+def update_last_run_date(program_id, activation_time=None):
     """
-    Aggiorna la data dell'ultima esecuzione del programma.
+    Aggiorna la data (e l'orario di attivazione) dell'ultima esecuzione del programma.
     
     Args:
         program_id: ID del programma
+        activation_time: Orario di attivazione eseguito, None per le esecuzioni manuali
     """
     program_id = str(program_id)  # Assicura che l'ID sia una stringa
     current_date = _get_formatted_date()
@@ -720,6 +1941,10 @@ def update_last_run_date(program_id):
         
         if program_id in programs:
             programs[program_id]['last_run_date'] = current_date
+            if activation_time:
+                programs[program_id]['last_run_time'] = activation_time
+            elif 'last_run_time' in programs[program_id]:
+                del programs[program_id]['last_run_time']
             save_programs(programs)
             log_event(f"Data ultima esecuzione aggiornata: programma {program_id}, data {current_date}", "INFO")
         else:
@@ -727,6 +1952,221 @@ def update_last_run_date(program_id):
     except Exception as e:
         log_event(f"Errore nell'aggiornamento della data di esecuzione: {e}", "ERROR")
 
+def _is_activation_time_now(activation_time, current_hour, current_minute):
+    """
+    Verifica se l'ora corrente è vicina all'orario di attivazione.
+    Include il minuto prima e dopo per rendere più robusto l'avvio.
+    
+    Args:
+        activation_time: Orario di attivazione "HH:MM"
+        current_hour: Ora corrente
+        current_minute: Minuto corrente
+        
+    Returns:
+        boolean: True se l'orario corrisponde, False altrimenti
+    """
+    activation_parts = activation_time.split(':')
+    if len(activation_parts) != 2:
+        return False
+    
+    try:
+        activation_hour = int(activation_parts[0])
+        activation_minute = int(activation_parts[1])
+    except ValueError:
+        log_event(f"Formato orario di attivazione non valido: {activation_time}", "WARNING")
+        return False
+    
+    # Corrispondenza esatta, minuto prima o minuto dopo
+    if current_hour == activation_hour and abs(current_minute - activation_minute) <= 1:
+        return True
+    # Cambio ora (es: 08:59 vs 09:00)
+    if activation_minute == 0 and current_minute == 59 and current_hour == activation_hour - 1:
+        return True
+    # Cambio ora (es: 09:59 vs 10:00)
+    if current_minute == 0 and activation_minute == 59 and current_hour == activation_hour + 1:
+        return True
+    
+    return False
+
+def enqueue_program_run(program, manual=False, activation_time=None):
+    """
+    Accoda l'esecuzione di un programma. Se nessun programma è in esecuzione
+    parte subito, altrimenti dopo quelli già in coda.
+    
+    Args:
+        program: Programma da eseguire
+        manual: Flag che indica se l'esecuzione è manuale
+        activation_time: Orario di attivazione pianificato (solo automatico)
+        
+    Returns:
+        tuple: (entry, error_message) con entry None in caso di errore
+    """
+    global _next_queue_id, _queue_worker_active
+    
+    program_id = str(program.get('id', '0'))
+    queue = program_state.run_queue
+    
+    # Uno stesso programma non viene accodato due volte
+    for entry in queue:
+        if entry['program_id'] == program_id:
+            return None, "Programma già in coda"
+    if _current_run is not None and _current_run['program_id'] == program_id:
+        return None, "Programma già in esecuzione"
+    
+    if len(queue) >= MAX_RUN_QUEUE_LENGTH:
+        return None, f"Coda piena (massimo {MAX_RUN_QUEUE_LENGTH} esecuzioni)"
+    
+    entry = {
+        'id': _next_queue_id,
+        'program_id': program_id,
+        'program_name': program.get('name', 'Senza nome'),
+        'manual': manual,
+        'activation_time': activation_time
+    }
+    _next_queue_id += 1
+    queue.append(entry)
+    
+    if len(queue) > 1 or _current_run is not None:
+        log_event(f"Programma {entry['program_name']} in coda (posizione {len(queue)})", "INFO")
+    
+    # Avvia l'elaborazione della coda se non è già attiva
+    # (il flag va impostato subito: il task parte solo al prossimo ciclo dell'event loop)
+    if not _queue_worker_active:
+        _queue_worker_active = True
+        asyncio.create_task(_process_run_queue())
+    
+    return entry, ""
+
+def cancel_queued_run(queue_id):
+    """
+    Rimuove un'esecuzione dalla coda.
+    
+    Args:
+        queue_id: ID della voce in coda
+        
+    Returns:
+        boolean: True se la voce è stata rimossa, False se non è in coda
+    """
+    for entry in program_state.run_queue:
+        if entry['id'] == queue_id:
+            program_state.run_queue.remove(entry)
+            log_event(f"Esecuzione di {entry['program_name']} rimossa dalla coda", "INFO")
+            _archive_dropped_one_shot(entry, ONE_SHOT_MISSED)
+            return True
+    return False
+
+def clear_run_queue(outcome=ONE_SHOT_MISSED):
+    """
+    Rimuove tutte le esecuzioni in coda.
+    
+    Args:
+        outcome: Esito con cui archiviare le irrigazioni una tantum rimosse
+    
+    Returns:
+        int: Numero di esecuzioni rimosse
+    """
+    entries = list(program_state.run_queue)
+    if entries:
+        program_state.run_queue.clear()
+        log_event(f"Coda delle esecuzioni svuotata ({len(entries)} rimosse)", "INFO")
+    
+    for entry in entries:
+        _archive_dropped_one_shot(entry, outcome)
+    return len(entries)
+
+def _is_program_queued(program_id):
+    """
+    Verifica se un programma è in coda o è la voce della coda in esecuzione.
+    
+    Args:
+        program_id: ID del programma
+    
+    Returns:
+        boolean: True se il programma è in coda o in esecuzione dalla coda
+    """
+    program_id = str(program_id)
+    if _current_run is not None and _current_run['program_id'] == program_id:
+        return True
+    return any(entry['program_id'] == program_id for entry in program_state.run_queue)
+
+def _archive_dropped_one_shot(entry, outcome):
+    """
+    Archivia un'irrigazione una tantum rimossa dalla coda senza essere avviata.
+    
+    Args:
+        entry: Voce della coda
+        outcome: Esito (ONE_SHOT_RAIN o ONE_SHOT_MISSED)
+    """
+    program = load_programs().get(entry['program_id'])
+    if is_one_shot_program(program) and not is_program_archived(program):
+        archive_one_shot_program(entry['program_id'], outcome)
+
+def move_queued_run(queue_id, position):
+    """
+    Sposta un'esecuzione in un'altra posizione della coda.
+    
+    Args:
+        queue_id: ID della voce in coda
+        position: Nuova posizione (0 = prossima esecuzione), limitata alla lunghezza della coda
+        
+    Returns:
+        boolean: True se la voce è stata spostata, False se non è in coda
+    """
+    queue = program_state.run_queue
+    for entry in queue:
+        if entry['id'] == queue_id:
+            queue.remove(entry)
+            queue.insert(max(0, min(position, len(queue))), entry)
+            return True
+    return False
+
+async def _process_run_queue():
+    """
+    Esegue in ordine le esecuzioni in coda, attendendo che il programma in
+    corso termini. Si ferma quando la coda è vuota.
+    """
+    global _queue_worker_active, _current_run
+    
+    try:
+        while program_state.run_queue:
+            # Attendi la fine del programma in corso (anche se avviato fuori dalla coda)
+            load_program_state()
+            if program_state.program_running:
+                await asyncio.sleep(RUN_QUEUE_CHECK_INTERVAL)
+                continue
+            
+            entry = program_state.run_queue.pop(0)
+            
+            # Le esecuzioni automatiche in coda non partono durante una sospensione o con pioggia
+            if not entry['manual']:
+                if get_irrigation_hold_remaining() > 0:
+                    log_event(f"Programma {entry['program_id']} non avviato: irrigazione automatica sospesa", "INFO")
+                    _archive_dropped_one_shot(entry, ONE_SHOT_MISSED)
+                    continue
+                if is_rain_detected():
+                    log_event(f"Programma {entry['program_id']} non avviato: pioggia rilevata dal sensore", "INFO")
+                    _archive_dropped_one_shot(entry, ONE_SHOT_RAIN)
+                    continue
+            
+            # Usa la versione più recente del programma: potrebbe essere stato modificato o eliminato
+            program = load_programs().get(entry['program_id'])
+            if not isinstance(program, dict):
+                log_event(f"Programma {entry['program_id']} in coda non più disponibile", "WARNING")
+                continue
+            
+            _current_run = entry
+            try:
+                success = await execute_program(program, manual=entry['manual'],
+                                                activation_time=entry['activation_time'])
+                if not success:
+                    log_event(f"Errore esecuzione programma {entry['program_id']}", "ERROR")
+            except Exception as e:
+                log_event(f"Eccezione durante esecuzione programma {entry['program_id']}: {e}", "ERROR")
+            finally:
+                _current_run = None
+    finally:
+        _queue_worker_active = False
+
 async def check_programs():
     """
     Controlla se ci sono programmi da eseguire automaticamente.
@@ -741,6 +2181,14 @@ async def check_programs():
         if not automatic_programs_enabled:
             return
         
+        # Irrigazione automatica sospesa (es. dopo un temporale)
+        if get_irrigation_hold_remaining(settings) > 0:
+            return
+        
+        # Sospensione scaduta: rimuovila dalle impostazioni
+        if settings.get('irrigation_hold_until'):
+            clear_irrigation_hold(expired=True)
+        
         # Carica i programmi
         programs = load_programs()
         if not programs:
@@ -754,8 +2202,16 @@ async def check_programs():
 
         # Verifica ogni programma
         for program_id, program in programs.items():
-            # Skip programmi non validi
-            if not isinstance(program, dict):
+            # Skip programmi non validi e irrigazioni una tantum già archiviate
+            if not isinstance(program, dict) or is_program_archived(program):
+                continue
+            
+            # Una tantum il cui orario è passato senza avvio (es. dispositivo spento): non verrà più eseguita.
+            # Se è ancora in coda dietro un altro programma, verrà archiviata al suo avvio o alla rimozione
+            if (is_one_shot_program(program) and not _is_program_queued(program_id) and
+                    _is_one_shot_expired(program, current_hour, current_minute)):
+                log_event(f"Irrigazione una tantum {program.get('name', 'Senza nome')} non eseguita all'orario previsto", "WARNING")
+                archive_one_shot_program(program_id, ONE_SHOT_MISSED)
                 continue
                 
             # Verifica se questo programma specifico ha l'automazione abilitata
@@ -763,67 +2219,47 @@ async def check_programs():
             if program.get('automatic_enabled', True) is not True:
                 continue
                 
-            activation_time = program.get('activation_time', '')
-            if not activation_time:
+            # Verifica se il programma è attivo nel mese corrente
+            if not is_program_active_in_current_month(program):
                 continue
             
-            # Parse del tempo di attivazione
-            activation_parts = activation_time.split(':')
-            if len(activation_parts) != 2:
+            # Verifica il periodo attivo e le date escluse (es. eventi o trattamenti del prato)
+            if not is_program_enabled_on_date(program):
                 continue
+            
+            # Cerca un orario di attivazione che corrisponde all'ora corrente,
+            # che non sia già stato eseguito oggi né già accodato
+            # (un'esecuzione annullata o interrotta non viene riaccodata)
+            today = _get_formatted_date()
+            activation_time = None
+            for candidate in get_activation_times(program, settings):
+                if (_is_activation_time_now(candidate, current_hour, current_minute) and
+                    is_program_due_today(program, candidate) and
+                    _dispatched_slots.get(str(program_id)) != (today, candidate)):
+                    activation_time = candidate
+                    break
                 
-            try:
-                activation_hour = int(activation_parts[0])
-                activation_minute = int(activation_parts[1])
-                
-                # Verifica se il tempo corrente è vicino al tempo di attivazione
-                # Include il minuto prima e dopo per rendere più robusto l'avvio
-                time_match = False
+            if not activation_time:
+                continue
                 
-                # Corrispondenza esatta
-                if current_hour == activation_hour and current_minute == activation_minute:
-                    time_match = True
-                # Minuto prima
-                elif current_hour == activation_hour and current_minute == activation_minute - 1:
-                    time_match = True
-                # Minuto dopo
-                elif current_hour == activation_hour and current_minute == activation_minute + 1:
-                    time_match = True
-                # Cambio ora (es: 08:59 vs 09:00)
-                elif activation_minute == 0 and current_minute == 59 and current_hour == activation_hour - 1:
-                    time_match = True
-                # Cambio ora (es: 09:59 vs 10:00)
-                elif current_minute == 0 and activation_minute == 59 and current_hour == activation_hour + 1:
-                    time_match = True
+            _dispatched_slots[str(program_id)] = (today, activation_time)
                 
-                # Verifica se il programma deve essere eseguito
-                if (time_match and
-                    is_program_active_in_current_month(program) and
-                    is_program_due_today(program)):
-                    
-                    log_event(f"Avvio programma pianificato: {program.get('name', 'Senza nome')}", "INFO")
-                    
-                    # Verifica se c'è già un programma in esecuzione
-                    load_program_state()  # Assicurati di avere lo stato aggiornato
-                    if program_running:
-                        log_event("Programma in esecuzione, verrà interrotto per avviare il nuovo programma automatico", "WARNING")
-                        # Interrompi il programma in corso prima di avviare il nuovo
-                        stop_program()  # Questa funzione ferma il programma attivo e tutte le zone
-                        # Breve pausa per assicurarsi che tutto sia fermato
-                        await asyncio.sleep(2)
-                        # Ricarica lo stato per assicurarsi che sia aggiornato
-                        load_program_state()
-                        
-                    # Avvia il programma con gestione degli errori
-                    try:
-                        success = await execute_program(program)
-                        if not success:
-                            log_event(f"Errore esecuzione programma {program_id}", "ERROR")
-                    except Exception as e:
-                        log_event(f"Eccezione durante esecuzione programma {program_id}: {e}", "ERROR")
-            except ValueError:
-                # Errore nel parsing dei tempi, salta questo programma
-                log_event(f"Formato tempo non valido nel programma {program_id}: {activation_time}", "WARNING")
+            # Con pioggia rilevata dal sensore l'esecuzione pianificata viene saltata
+            if is_rain_detected():
+                log_event(f"Programma {program.get('name', 'Senza nome')} ({activation_time}) saltato: pioggia rilevata dal sensore", "WARNING")
+                if is_one_shot_program(program):
+                    archive_one_shot_program(program_id, ONE_SHOT_RAIN)
                 continue
+                
+            log_event(f"Avvio programma pianificato: {program.get('name', 'Senza nome')} ({activation_time})", "INFO")
+            
+            # Se un altro programma è in esecuzione, questo partirà al suo termine
+            entry, error_msg = enqueue_program_run(program, activation_time=activation_time)
+            if entry is None:
+                log_event(f"Programma {program_id} non accodato: {error_msg}", "WARNING")
+            
+            # Una tantum non accodata: non verrà più eseguita (se accodata, viene archiviata all'avvio)
+            if entry is None and is_one_shot_program(program):
+                archive_one_shot_program(program_id, ONE_SHOT_MISSED)
     except Exception as e:
         log_event(f"Errore critico in check_programs: {e}", "ERROR")
\ No newline at end of file
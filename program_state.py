@@ -4,11 +4,40 @@ Contiene variabili globali e funzioni per gestire lo stato di esecuzione dei pro
 """
 import ujson
 import uos as os
+import time
 from log_manager import log_event
 
 # Variabili globali per gestire lo stato del programma
 program_running = False
 current_program_id = None
+
+# Avanzamento del programma in esecuzione (solo in memoria, non persistito)
+current_step_index = None   # Indice dello step in corso (0-based)
+current_step_count = 0      # Numero totale di step del programma
+current_step_zone = None    # Zona attiva dello step (None durante le pause tra zone)
+current_step_total = 0      # Durata dello step in corso in secondi
+current_step_started = None # Inizio dello step (time.time(), spostato in avanti dopo una pausa)
+remaining_after_step = 0    # Secondi stimati di programma dopo lo step in corso
+program_started = None      # Istante di avvio del programma
+paused_total = 0            # Secondi trascorsi in pausa dall'avvio del programma
+
+# Pausa del programma in esecuzione (persistita insieme allo step e al tempo rimanente,
+# per riprendere il programma dopo un riavvio: vedi get_saved_pause)
+program_paused = False
+paused_at = None            # Istante della pausa (time.time()), solo in memoria
+step_remaining = None       # Secondi rimanenti dello step al momento della pausa
+
+# Richiesta di saltare lo step in corso (solo in memoria, gestita da execute_program)
+skip_requested = False
+
+# Origine del programma in esecuzione: True se avviato dall'utente
+program_manual = False
+current_activation_time = None  # Orario pianificato che ha avviato il programma (None se manuale)
+
+# Coda delle esecuzioni in attesa (solo in memoria: si svuota al riavvio)
+# Ogni voce: {'id', 'program_id', 'program_name', 'manual', 'activation_time'}
+run_queue = []
+
 PROGRAM_STATE_FILE = '/data/program_state.json'
 _last_saved_state = None  # Cache per ottimizzare le verifiche
 
@@ -23,14 +52,17 @@ def save_program_state():
         # Prepara i dati da salvare
         state_data = {
             'program_running': program_running, 
-            'current_program_id': current_program_id
+            'current_program_id': current_program_id,
+            'program_paused': program_paused,
+            'current_step': current_step_index,
+            'current_zone': current_step_zone,
+            'step_remaining': step_remaining,
+            'program_manual': program_manual,
+            'activation_time': current_activation_time
         }
         
-        # Salva lo stato attuale per confronti futuri
-        _last_saved_state = {
-            'program_running': program_running,
-            'current_program_id': current_program_id
-        }
+        # Salva lo stato attuale per confronti futuri (e per un'eventuale riscrittura)
+        _last_saved_state = dict(state_data)
         
         # Assicurati che la directory esista
         try:
@@ -57,6 +89,131 @@ def save_program_state():
     except Exception as e:
         log_event(f"Errore imprevisto nel salvataggio stato: {e}", "ERROR")
 
+def begin_program_progress():
+    """
+    Azzera i contatori di tempo all'avvio di un programma.
+    """
+    global program_started, paused_total
+    
+    program_started = time.time()
+    paused_total = 0
+
+def set_program_step(step_index, step_count, zone_id, step_total=0, remaining_after=0):
+    """
+    Aggiorna l'avanzamento del programma in esecuzione.
+    
+    Args:
+        step_index: Indice dello step in corso (0-based), None se nessuno
+        step_count: Numero totale di step del programma
+        zone_id: Zona attiva dello step, None durante le pause tra zone
+        step_total: Durata dello step in secondi
+        remaining_after: Secondi stimati di programma dopo questo step
+    """
+    global current_step_index, current_step_count, current_step_zone
+    global current_step_total, current_step_started, remaining_after_step
+    
+    current_step_index = step_index
+    current_step_count = step_count
+    current_step_zone = zone_id
+    current_step_total = step_total
+    current_step_started = time.time() if step_index is not None else None
+    remaining_after_step = remaining_after
+
+def shift_progress_after_pause():
+    """
+    Alla ripresa sposta in avanti l'inizio dello step della durata della pausa,
+    così il tempo in pausa non conta come tempo trascorso.
+    """
+    global current_step_started, paused_total
+    
+    if paused_at is None:
+        return
+    
+    paused_for = max(0, time.time() - paused_at)
+    paused_total += paused_for
+    if current_step_started is not None:
+        current_step_started += paused_for
+
+def clear_program_step():
+    """
+    Azzera l'avanzamento del programma, la pausa e i salti richiesti
+    (a fine esecuzione o interruzione).
+    """
+    global program_paused, paused_at, step_remaining, skip_requested, program_started
+    
+    set_program_step(None, 0, None)
+    program_started = None
+    program_paused = False
+    paused_at = None
+    step_remaining = None
+    skip_requested = False
+
+def get_program_progress():
+    """
+    Restituisce lo stato del programma in memoria, incluso l'avanzamento.
+    I tempi sono in secondi; durante una pausa restano fermi all'istante della pausa.
+    
+    Returns:
+        dict: Stato corrente del programma
+    """
+    now = paused_at if program_paused and paused_at is not None else time.time()
+    
+    step_elapsed = 0
+    if current_step_started is not None and current_step_total > 0:
+        step_elapsed = int(min(current_step_total, max(0, now - current_step_started)))
+    
+    program_elapsed = 0
+    program_remaining = 0
+    if program_running and program_started is not None:
+        program_elapsed = int(max(0, now - program_started - paused_total))
+        if current_step_index is not None:
+            program_remaining = int(current_step_total - step_elapsed + remaining_after_step)
+    
+    return {
+        'program_running': program_running,
+        'current_program_id': current_program_id,
+        'current_step': current_step_index,
+        'step_count': current_step_count,
+        'current_zone': current_step_zone,
+        'step_total': current_step_total,
+        'step_elapsed': step_elapsed,
+        'program_elapsed': program_elapsed,
+        'program_remaining': program_remaining,
+        'program_total': program_elapsed + program_remaining,
+        'paused': program_paused,
+        'step_remaining': step_remaining,
+        'queue': [dict(entry) for entry in run_queue]
+    }
+
+def get_saved_pause():
+    """
+    Legge da file il programma rimasto in pausa prima di un riavvio.
+    
+    Returns:
+        dict: {'program_id', 'step', 'zone', 'remaining', 'manual', 'activation_time'},
+              oppure None se nessun programma era in pausa
+    """
+    try:
+        with open(PROGRAM_STATE_FILE, 'r') as f:
+            state = ujson.load(f)
+    except (OSError, ValueError):
+        return None
+    
+    if not isinstance(state, dict) or not state.get('program_running') or not state.get('program_paused'):
+        return None
+    if state.get('current_program_id') is None or not isinstance(state.get('current_step'), int):
+        return None
+    
+    remaining = state.get('step_remaining')
+    return {
+        'program_id': str(state['current_program_id']),
+        'step': state['current_step'],
+        'zone': state.get('current_zone'),
+        'remaining': int(remaining) if isinstance(remaining, (int, float)) else None,
+        'manual': state.get('program_manual') is True,
+        'activation_time': state.get('activation_time')
+    }
+
 def verify_save():
     """
     Verifica che lo stato del programma sia stato salvato correttamente.
@@ -98,9 +255,9 @@ def load_program_state():
     """
     Carica lo stato del programma dal file.
     Implementa meccanismi di difesa contro la corruzione dei dati e stati incoerenti.
-    Aggiorna le variabili globali program_running e current_program_id.
+    Aggiorna le variabili globali program_running, current_program_id e program_paused.
     """
-    global program_running, current_program_id
+    global program_running, current_program_id, program_paused
     
     # Salva i valori correnti per il debug e la gestione delle incoerenze
     previous_running = program_running
@@ -142,6 +299,9 @@ def load_program_state():
                 elif loaded_running and current_program_id is None:
                     log_event("Stato anomalo: programma in esecuzione ma ID mancante", "WARNING")
                 
+                # La pausa ha senso solo con un programma in esecuzione
+                program_paused = bool(state.get('program_paused', False)) and program_running
+                
                 # Log solo se lo stato è cambiato (per ridurre il rumore nei log)
                 if previous_running != program_running or previous_id != current_program_id:
                     log_event(f"Stato programma aggiornato: running={program_running}, id={current_program_id}", "INFO")
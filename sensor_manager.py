@@ -0,0 +1,338 @@
+"""
+Modulo per la gestione dei sensori di ingresso.
+Legge il sensore di pioggia collegato a un GPIO: con pioggia rilevata i programmi
+pianificati vengono saltati e, se configurato, il programma in corso viene interrotto.
+Conta gli impulsi del flussometro per misurare portata e litri erogati.
+La configurazione è salvata nelle sezioni 'rain_sensor' e 'flow_meter' di user_settings.json.
+"""
+import time
+from machine import Pin
+import uasyncio as asyncio
+from settings_manager import load_user_settings
+from log_manager import log_event
+
+# Tipo di contatto del sensore di pioggia
+RAIN_SENSOR_NORMALLY_OPEN = 'NO'    # Il contatto si chiude con la pioggia
+RAIN_SENSOR_NORMALLY_CLOSED = 'NC'  # Il contatto si apre con la pioggia
+
+RAIN_SENSOR_CHECK_INTERVAL = 2    # Secondi tra le letture del sensore
+RAIN_SENSOR_DEBOUNCE_READS = 3    # Letture concordi necessarie per un cambio di stato
+
+FLOW_PULSES_PER_LITER_DEFAULT = 450  # Tipico dei flussometri a effetto Hall da 1/2"
+FLOW_RATE_INTERVAL = 10              # Secondi su cui viene calcolata la portata
+
+# Stato del sensore di pioggia
+_rain_pin = None          # Pin GPIO configurato
+_rain_pin_config = None   # (pin, tipo) con cui è stato configurato il pin
+rain_detected = False     # Stato stabile (dopo il debounce)
+_rain_candidate = False   # Ultimo stato letto in attesa di conferma
+_rain_candidate_reads = 0
+
+# Stato del flussometro
+_flow_pin = None          # Pin GPIO configurato con l'interrupt
+_flow_pin_number = None   # Pin con cui è stato configurato l'interrupt
+_flow_pulses = 0          # Impulsi contati dall'avvio
+_flow_pulses_per_liter = FLOW_PULSES_PER_LITER_DEFAULT
+_flow_rate = 0.0          # Portata in litri al minuto
+_flow_rate_pulses = 0     # Impulsi all'inizio della finestra di calcolo della portata
+_flow_rate_time = 0       # Inizio della finestra di calcolo della portata
+
+def get_rain_sensor_config(settings=None):
+    """
+    Estrae la configurazione del sensore di pioggia dalle impostazioni utente.
+    
+    Args:
+        settings: Impostazioni utente (caricate se None)
+    
+    Returns:
+        dict: {'enabled', 'pin', 'type', 'abort_running'}
+    """
+    if settings is None:
+        settings = load_user_settings()
+    
+    config = settings.get('rain_sensor') if isinstance(settings, dict) else None
+    if not isinstance(config, dict):
+        config = {}
+    
+    sensor_type = config.get('type')
+    if sensor_type != RAIN_SENSOR_NORMALLY_CLOSED:
+        sensor_type = RAIN_SENSOR_NORMALLY_OPEN
+    
+    pin = config.get('pin')
+    if not isinstance(pin, int) or pin < 0:
+        pin = None
+    
+    return {
+        'enabled': config.get('enabled') is True and pin is not None,
+        'pin': pin,
+        'type': sensor_type,
+        'abort_running': config.get('abort_running') is True
+    }
+
+def _configure_rain_pin(config):
+    """
+    Configura (o riconfigura) il pin del sensore di pioggia.
+    Il contatto va collegato tra il pin e GND: si usa il pull-up interno.
+    
+    Args:
+        config: Configurazione del sensore (vedi get_rain_sensor_config)
+    """
+    global _rain_pin, _rain_pin_config, rain_detected, _rain_candidate, _rain_candidate_reads
+    
+    pin_config = (config['pin'], config['type']) if config['enabled'] else None
+    if pin_config == _rain_pin_config:
+        return
+    
+    _rain_pin = None
+    _rain_pin_config = pin_config
+    rain_detected = False
+    _rain_candidate = False
+    _rain_candidate_reads = 0
+    
+    if pin_config is None:
+        return
+    
+    try:
+        _rain_pin = Pin(config['pin'], Pin.IN, Pin.PULL_UP)
+        log_event(f"Sensore pioggia inizializzato sul pin {config['pin']} ({config['type']})", "INFO")
+    except Exception as e:
+        log_event(f"Errore inizializzazione sensore pioggia: {e}", "ERROR")
+
+def get_flow_meter_config(settings=None):
+    """
+    Estrae la configurazione del flussometro dalle impostazioni utente.
+    
+    Args:
+        settings: Impostazioni utente (caricate se None)
+    
+    Returns:
+        dict: {'enabled', 'pin', 'pulses_per_liter'}
+    """
+    if settings is None:
+        settings = load_user_settings()
+    
+    config = settings.get('flow_meter') if isinstance(settings, dict) else None
+    if not isinstance(config, dict):
+        config = {}
+    
+    pin = config.get('pin')
+    if not isinstance(pin, int) or pin < 0:
+        pin = None
+    
+    try:
+        pulses_per_liter = float(config.get('pulses_per_liter', FLOW_PULSES_PER_LITER_DEFAULT))
+    except (TypeError, ValueError):
+        pulses_per_liter = FLOW_PULSES_PER_LITER_DEFAULT
+    if pulses_per_liter <= 0:
+        pulses_per_liter = FLOW_PULSES_PER_LITER_DEFAULT
+    
+    return {
+        'enabled': config.get('enabled') is True and pin is not None,
+        'pin': pin,
+        'pulses_per_liter': pulses_per_liter
+    }
+
+def _on_flow_pulse(pin):
+    """
+    Interrupt del flussometro: conta un impulso.
+    """
+    global _flow_pulses
+    _flow_pulses += 1
+
+def _configure_flow_pin(config):
+    """
+    Configura (o riconfigura) l'interrupt del flussometro.
+    L'uscita del flussometro va collegata al pin: si usa il pull-up interno.
+    
+    Args:
+        config: Configurazione del flussometro (vedi get_flow_meter_config)
+    """
+    global _flow_pin, _flow_pin_number, _flow_pulses_per_liter, _flow_rate
+    
+    _flow_pulses_per_liter = config['pulses_per_liter']
+    
+    pin_number = config['pin'] if config['enabled'] else None
+    if pin_number == _flow_pin_number:
+        return
+    
+    if _flow_pin is not None:
+        try:
+            _flow_pin.irq(handler=None)
+        except Exception:
+            pass
+    
+    _flow_pin = None
+    _flow_pin_number = pin_number
+    _flow_rate = 0.0
+    
+    if pin_number is None:
+        return
+    
+    try:
+        flow_pin = Pin(pin_number, Pin.IN, Pin.PULL_UP)
+        flow_pin.irq(trigger=Pin.IRQ_FALLING, handler=_on_flow_pulse)
+        _flow_pin = flow_pin
+        log_event(f"Flussometro inizializzato sul pin {pin_number}", "INFO")
+    except Exception as e:
+        log_event(f"Errore inizializzazione flussometro: {e}", "ERROR")
+
+def get_flow_total_liters():
+    """
+    Ritorna i litri contati dal flussometro dall'avvio del sistema.
+    
+    Returns:
+        float: Litri totali, oppure None se il flussometro non è abilitato
+    """
+    if _flow_pin is None:
+        return None
+    return _flow_pulses / _flow_pulses_per_liter
+
+def get_flow_rate():
+    """
+    Ritorna la portata misurata dal flussometro.
+    
+    Returns:
+        float: Portata in litri al minuto, oppure None se il flussometro non è abilitato
+    """
+    if _flow_pin is None:
+        return None
+    return _flow_rate
+
+def _update_flow_rate():
+    """
+    Ricalcola la portata alla fine di ogni finestra di FLOW_RATE_INTERVAL secondi.
+    """
+    global _flow_rate, _flow_rate_pulses, _flow_rate_time
+    
+    now = time.time()
+    elapsed = now - _flow_rate_time
+    if elapsed < FLOW_RATE_INTERVAL:
+        return
+    
+    pulses = _flow_pulses
+    if _flow_pin is not None and _flow_rate_time:
+        _flow_rate = (pulses - _flow_rate_pulses) / _flow_pulses_per_liter * 60 / elapsed
+    
+    _flow_rate_pulses = pulses
+    _flow_rate_time = now
+
+def initialize_sensors():
+    """
+    Inizializza i sensori di ingresso configurati nelle impostazioni.
+    """
+    settings = load_user_settings()
+    _configure_rain_pin(get_rain_sensor_config(settings))
+    _configure_flow_pin(get_flow_meter_config(settings))
+
+def _read_rain_sensor(sensor_type):
+    """
+    Legge il contatto del sensore di pioggia.
+    
+    Args:
+        sensor_type: Tipo di contatto (NO o NC)
+    
+    Returns:
+        boolean: True se il sensore segnala pioggia
+    """
+    # Con il pull-up il contatto chiuso porta il pin a 0
+    contact_closed = _rain_pin.value() == 0
+    if sensor_type == RAIN_SENSOR_NORMALLY_CLOSED:
+        return not contact_closed
+    return contact_closed
+
+def is_rain_detected():
+    """
+    Verifica se il sensore di pioggia (se abilitato) segnala pioggia.
+    
+    Returns:
+        boolean: True se è stata rilevata pioggia
+    """
+    return _rain_pin is not None and rain_detected
+
+def get_sensors_status():
+    """
+    Ritorna lo stato dei sensori di ingresso.
+    
+    Returns:
+        dict: {'rain_sensor': {'enabled', 'rain_detected', 'abort_running'},
+               'flow_meter': {'enabled', 'flow_rate', 'total_liters'}}
+    """
+    config = get_rain_sensor_config()
+    total_liters = get_flow_total_liters()
+    return {
+        'rain_sensor': {
+            'enabled': config['enabled'] and _rain_pin is not None,
+            'rain_detected': is_rain_detected(),
+            'abort_running': config['abort_running']
+        },
+        'flow_meter': {
+            'enabled': _flow_pin is not None,
+            'flow_rate': round(_flow_rate, 1) if _flow_pin is not None else None,
+            'total_liters': round(total_liters, 1) if total_liters is not None else None
+        }
+    }
+
+def _on_rain_changed(detected, config):
+    """
+    Gestisce un cambio di stato confermato del sensore di pioggia.
+    
+    Args:
+        detected: True se è iniziata la pioggia, False se è terminata
+        config: Configurazione del sensore
+    """
+    if not detected:
+        log_event("Sensore pioggia: pioggia terminata, programmi pianificati riabilitati", "INFO")
+        return
+    
+    log_event("Sensore pioggia: pioggia rilevata, programmi pianificati sospesi", "WARNING")
+    
+    if config['abort_running']:
+        # Importazione locale: program_manager importa questo modulo
+        import program_state
+        from program_manager import stop_program
+        
+        program_state.load_program_state()
+        if program_state.program_running:
+            log_event("Sensore pioggia: interruzione del programma in esecuzione", "WARNING")
+            stop_program('rain', clear_queue=True)
+
+async def sensors_loop():
+    """
+    Task asincrono che legge periodicamente il sensore di pioggia e aggiorna la portata.
+    Un cambio di stato della pioggia è confermato dopo RAIN_SENSOR_DEBOUNCE_READS letture concordi.
+    """
+    global rain_detected, _rain_candidate, _rain_candidate_reads
+    
+    while True:
+        try:
+            # La configurazione può cambiare dalla pagina impostazioni
+            settings = load_user_settings()
+            _configure_flow_pin(get_flow_meter_config(settings))
+            _update_flow_rate()
+            
+            config = get_rain_sensor_config(settings)
+            _configure_rain_pin(config)
+            
+            if _rain_pin is not None:
+                reading = _read_rain_sensor(config['type'])
+                
+                if reading == rain_detected:
+                    _rain_candidate_reads = 0
+                else:
+                    if reading != _rain_candidate:
+                        _rain_candidate = reading
+                        _rain_candidate_reads = 0
+                    _rain_candidate_reads += 1
+                    
+                    if _rain_candidate_reads >= RAIN_SENSOR_DEBOUNCE_READS:
+                        rain_detected = reading
+                        _rain_candidate_reads = 0
+                        _on_rain_changed(reading, config)
+            
+            await asyncio.sleep(RAIN_SENSOR_CHECK_INTERVAL)
+        except asyncio.CancelledError:
+            log_event("Task sensori cancellato", "INFO")
+            break
+        except Exception as e:
+            log_event(f"Errore lettura sensori: {e}", "ERROR")
+            await asyncio.sleep(RAIN_SENSOR_CHECK_INTERVAL * 5)
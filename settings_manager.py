@@ -111,7 +111,18 @@ def create_default_settings():
             'ssid': 'IrrigationSystem',  # SSID dell'access point
             'password': '12345678'  # Password dell'access point (min 8 caratteri)
         },
-        'max_zone_duration': 180  # Durata massima di attivazione di una zona in minuti
+        'max_zone_duration': 180,  # Durata massima di attivazione di una zona in minuti
+        'rain_sensor': {
+            'enabled': False,  # Abilita il sensore di pioggia
+            'pin': None,  # Pin GPIO di ingresso del sensore
+            'type': 'NO',  # Contatto normalmente aperto (NO) o chiuso (NC)
+            'abort_running': False  # Interrompe il programma in corso quando piove
+        },
+        'flow_meter': {
+            'enabled': False,  # Abilita il flussometro a impulsi
+            'pin': None,  # Pin GPIO di ingresso degli impulsi
+            'pulses_per_liter': 450  # Impulsi per litro (dal datasheet del flussometro)
+        }
     }
 
 def _save_settings_atomic(settings, file_path):
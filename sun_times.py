@@ -0,0 +1,153 @@
+"""
+Modulo per il calcolo degli orari di alba e tramonto.
+Usato dai programmi con orario di avvio relativo all'alba o al tramonto:
+la posizione (latitudine, longitudine e fuso orario) è salvata nella sezione
+'location' di user_settings.json.
+"""
+import math
+import time
+
+# Angolo zenitale "ufficiale" (tiene conto della rifrazione e del disco solare)
+SUN_ZENITH = 90.833
+
+def get_location(settings):
+    """
+    Estrae la posizione dalle impostazioni utente.
+    
+    Args:
+        settings: Impostazioni utente
+    
+    Returns:
+        tuple: (latitude, longitude, utc_offset) oppure None se non configurata
+    """
+    if not isinstance(settings, dict):
+        return None
+    
+    location = settings.get('location')
+    if not isinstance(location, dict):
+        return None
+    
+    try:
+        latitude = float(location.get('latitude'))
+        longitude = float(location.get('longitude'))
+        utc_offset = float(location.get('utc_offset', 0))
+    except (TypeError, ValueError):
+        return None
+    
+    if not (-90 <= latitude <= 90 and -180 <= longitude <= 180):
+        return None
+    
+    return latitude, longitude, utc_offset
+
+def _sun_event_utc(day_of_year, latitude, longitude, rising):
+    """
+    Calcola l'ora UTC di alba o tramonto (algoritmo dell'Almanac for Computers).
+    
+    Args:
+        day_of_year: Giorno dell'anno (1-366)
+        latitude: Latitudine in gradi (positiva a nord)
+        longitude: Longitudine in gradi (positiva a est)
+        rising: True per l'alba, False per il tramonto
+    
+    Returns:
+        float: Ora UTC in ore decimali, oppure None se il sole non sorge/tramonta
+    """
+    lng_hour = longitude / 15
+    t = day_of_year + ((6 if rising else 18) - lng_hour) / 24
+    
+    # Anomalia media e longitudine vera del sole
+    mean_anomaly = 0.9856 * t - 3.289
+    true_longitude = (mean_anomaly
+                      + 1.916 * math.sin(math.radians(mean_anomaly))
+                      + 0.020 * math.sin(math.radians(2 * mean_anomaly))
+                      + 282.634) % 360
+    
+    # Ascensione retta, nello stesso quadrante della longitudine vera
+    right_ascension = math.degrees(math.atan(0.91764 * math.tan(math.radians(true_longitude)))) % 360
+    right_ascension += (math.floor(true_longitude / 90) - math.floor(right_ascension / 90)) * 90
+    right_ascension /= 15
+    
+    # Declinazione e angolo orario locale
+    sin_dec = 0.39782 * math.sin(math.radians(true_longitude))
+    cos_dec = math.cos(math.asin(sin_dec))
+    cos_hour = ((math.cos(math.radians(SUN_ZENITH)) - sin_dec * math.sin(math.radians(latitude)))
+                / (cos_dec * math.cos(math.radians(latitude))))
+    
+    # Giorno o notte polare
+    if cos_hour > 1 or cos_hour < -1:
+        return None
+    
+    hour_angle = math.degrees(math.acos(cos_hour))
+    if rising:
+        hour_angle = 360 - hour_angle
+    hour_angle /= 15
+    
+    local_mean_time = hour_angle + right_ascension - 0.06571 * t - 6.622
+    return (local_mean_time - lng_hour) % 24
+
+def calculate_sun_times(year, month, day, latitude, longitude, utc_offset):
+    """
+    Calcola alba e tramonto di una data, in minuti dalla mezzanotte locale.
+    
+    Args:
+        year: Anno
+        month: Mese
+        day: Giorno
+        latitude: Latitudine in gradi
+        longitude: Longitudine in gradi
+        utc_offset: Differenza in ore tra l'ora locale del dispositivo e UTC
+    
+    Returns:
+        tuple: (sunrise, sunset) in minuti, ciascuno None se l'evento non avviene
+    """
+    # Giorno dell'anno (1-366)
+    days_before_month = (0, 31, 59, 90, 120, 151, 181, 212, 243, 273, 304, 334)
+    day_of_year = days_before_month[month - 1] + day
+    if month > 2 and year % 4 == 0 and (year % 100 != 0 or year % 400 == 0):
+        day_of_year += 1
+    
+    result = []
+    for rising in (True, False):
+        utc_hours = _sun_event_utc(day_of_year, latitude, longitude, rising)
+        if utc_hours is None:
+            result.append(None)
+        else:
+            result.append(int(round(((utc_hours + utc_offset) % 24) * 60)) % 1440)
+    
+    return result[0], result[1]
+
+def get_sun_times(settings, date=None):
+    """
+    Calcola alba e tramonto per una data con la posizione delle impostazioni.
+    
+    Args:
+        settings: Impostazioni utente
+        date: Tupla (anno, mese, giorno); se None usa la data corrente
+    
+    Returns:
+        tuple: (sunrise, sunset) in minuti, oppure None se la posizione non è configurata
+    """
+    location = get_location(settings)
+    if location is None:
+        return None
+    
+    if date is None:
+        date = time.localtime()[:3]
+    
+    latitude, longitude, utc_offset = location
+    return calculate_sun_times(date[0], date[1], date[2], latitude, longitude, utc_offset)
+
+def format_minutes(minutes):
+    """
+    Formatta i minuti dalla mezzanotte come "HH:MM".
+    
+    Args:
+        minutes: Minuti dalla mezzanotte
+    
+    Returns:
+        str: Orario formattato, oppure None se minutes è None
+    """
+    if minutes is None:
+        return None
+    minutes = minutes % 1440
+    return f"{minutes // 60:02d}:{minutes % 60:02d}"
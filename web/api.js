@@ -0,0 +1,199 @@
+// api.js - Client condiviso per le chiamate alle API del server
+// Gestisce timeout, nuovi tentativi per le chiamate idempotenti, decodifica uniforme
+// delle risposte {success, error} (vedi json_response in web_server.py) e il banner offline
+
+const API_DEFAULT_TIMEOUT = 10000;      // Timeout predefinito per chiamata (ms)
+const API_DEFAULT_RETRIES = 2;          // Nuovi tentativi per le chiamate idempotenti
+const API_RETRY_BASE_DELAY = 500;       // Attesa prima del primo nuovo tentativo (raddoppia ogni volta)
+const API_RETRY_MAX_DELAY = 4000;       // Attesa massima tra i tentativi
+const API_PROBE_INTERVAL = 5000;        // Verifica periodica del server quando è irraggiungibile
+const API_PROBE_URL = '/get_connection_status';
+
+let apiServerReachable = true;
+let apiProbeTimer = null;
+
+// =================== ERRORI ===================
+
+// Errore restituito dal server (risposta {success: false, error} o stato HTTP di errore)
+class ApiError extends Error {
+    constructor(message, status = 0, data = null) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.data = data;
+    }
+}
+
+// Il server non è raggiungibile (rete assente, connessione rifiutata)
+class ApiNetworkError extends ApiError {
+    constructor(message = 'Server non raggiungibile') {
+        super(message);
+        this.name = 'ApiNetworkError';
+    }
+}
+
+// Il server non ha risposto entro il timeout
+class ApiTimeoutError extends ApiError {
+    constructor(message = 'Il server non ha risposto in tempo') {
+        super(message);
+        this.name = 'ApiTimeoutError';
+    }
+}
+
+// =================== RICHIESTE ===================
+
+/**
+ * Esegue una chiamata al server.
+ * @param {string} url - Endpoint da chiamare
+ * @param {Object} options - Opzioni della chiamata
+ * @param {string} options.method - Metodo HTTP (default GET)
+ * @param {*} options.body - Corpo della richiesta, serializzato in JSON
+ * @param {number} options.timeout - Timeout in millisecondi
+ * @param {boolean} options.idempotent - Se true la chiamata viene ritentata in caso di errore
+ *                                       di rete, timeout o errore 5xx (default: solo GET)
+ * @param {number} options.retries - Numero massimo di nuovi tentativi
+ * @param {string} options.responseType - 'json' (default) o 'text'
+ * @returns {Promise<*>} Dati decodificati della risposta
+ */
+function apiRequest(url, options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+    const idempotent = options.idempotent !== undefined ? options.idempotent : method === 'GET';
+    const maxRetries = idempotent ? (options.retries !== undefined ? options.retries : API_DEFAULT_RETRIES) : 0;
+    
+    const attempt = (retryNumber) => {
+        return apiFetchOnce(url, method, options)
+            .catch(error => {
+                if (retryNumber >= maxRetries || !isRetryableApiError(error)) {
+                    throw error;
+                }
+                
+                // Backoff esponenziale: 500ms, 1s, 2s...
+                const delay = Math.min(API_RETRY_BASE_DELAY * Math.pow(2, retryNumber), API_RETRY_MAX_DELAY);
+                console.warn(`Nuovo tentativo ${retryNumber + 1}/${maxRetries} per ${url} tra ${delay}ms`);
+                return new Promise(resolve => setTimeout(resolve, delay))
+                    .then(() => attempt(retryNumber + 1));
+            });
+    };
+    
+    return attempt(0);
+}
+
+// Singolo tentativo di chiamata con timeout e decodifica della risposta
+function apiFetchOnce(url, method, options) {
+    const controller = new AbortController();
+    const timeout = options.timeout || API_DEFAULT_TIMEOUT;
+    const timer = setTimeout(() => controller.abort(), timeout);
+    
+    const fetchOptions = { method: method, signal: controller.signal };
+    if (options.body !== undefined) {
+        fetchOptions.headers = { 'Content-Type': 'application/json' };
+        fetchOptions.body = JSON.stringify(options.body);
+    }
+    
+    return fetch(url, fetchOptions)
+        .catch(error => {
+            // L'interruzione per timeout viene gestita sotto
+            if (error.name === 'AbortError') throw error;
+            throw new ApiNetworkError();
+        })
+        .then(response => {
+            // Qualsiasi risposta, anche di errore, indica che il server è raggiungibile
+            setApiServerReachable(true);
+            return decodeApiResponse(response, options.responseType || 'json');
+        })
+        .catch(error => {
+            // Il timeout può scattare anche durante la lettura del corpo
+            if (error.name === 'AbortError') {
+                error = new ApiTimeoutError();
+            }
+            if (error instanceof ApiNetworkError || error instanceof ApiTimeoutError) {
+                setApiServerReachable(false);
+            }
+            throw error;
+        })
+        .finally(() => clearTimeout(timer));
+}
+
+// Decodifica la risposta: gli errori del server diventano ApiError con il messaggio ricevuto
+function decodeApiResponse(response, responseType) {
+    if (responseType === 'text') {
+        return response.text().then(text => {
+            if (!response.ok) {
+                throw new ApiError(`Errore HTTP: ${response.status}`, response.status);
+            }
+            return text;
+        });
+    }
+    
+    return response.text().then(text => {
+        let data = null;
+        try {
+            data = text ? JSON.parse(text) : null;
+        } catch (error) {
+            throw new ApiError(
+                response.ok ? 'Risposta del server non valida' : `Errore HTTP: ${response.status}`,
+                response.status
+            );
+        }
+        
+        // json_response usa {success: false, error} anche con stato 200
+        if (data && typeof data === 'object' && !Array.isArray(data) && data.success === false) {
+            throw new ApiError(data.error || 'Operazione non riuscita', response.status, data);
+        }
+        
+        if (!response.ok) {
+            const message = data && data.error ? data.error : `Errore HTTP: ${response.status}`;
+            throw new ApiError(message, response.status, data);
+        }
+        
+        return data;
+    });
+}
+
+// Errori di rete, timeout ed errori 5xx possono risolversi ritentando
+function isRetryableApiError(error) {
+    if (error instanceof ApiNetworkError || error instanceof ApiTimeoutError) {
+        return true;
+    }
+    return error instanceof ApiError && error.status >= 500;
+}
+
+function apiGet(url, options = {}) {
+    return apiRequest(url, { ...options, method: 'GET' });
+}
+
+function apiPost(url, body, options = {}) {
+    return apiRequest(url, { ...options, method: 'POST', body: body });
+}
+
+function apiPut(url, body, options = {}) {
+    return apiRequest(url, { ...options, method: 'PUT', body: body });
+}
+
+// =================== BANNER OFFLINE ===================
+
+// Mostra o nasconde il banner quando cambia la raggiungibilità del server
+function setApiServerReachable(reachable) {
+    if (apiServerReachable === reachable) return;
+    apiServerReachable = reachable;
+    
+    const banner = document.getElementById('offline-banner');
+    if (banner) {
+        banner.classList.toggle('visible', !reachable);
+    }
+    
+    if (reachable) {
+        console.log("Server di nuovo raggiungibile");
+        clearInterval(apiProbeTimer);
+        apiProbeTimer = null;
+    } else {
+        console.warn("Server non raggiungibile");
+        // Continua a verificare il server anche se la pagina corrente non fa chiamate
+        apiProbeTimer = setInterval(() => {
+            apiFetchOnce(API_PROBE_URL, 'GET', { timeout: API_PROBE_INTERVAL }).catch(() => {});
+        }, API_PROBE_INTERVAL);
+    }
+}
+
+// Il browser segnala la perdita della rete prima che una chiamata fallisca
+window.addEventListener('offline', () => setApiServerReachable(false));
@@ -0,0 +1,275 @@
+// calendar.js - Script per il calendario mensile delle irrigazioni pianificate
+
+// Variabili globali
+var calendarSettings = {};     // Impostazioni utente (zone, bilancio idrico, ritardo di attivazione)
+var calendarPrograms = {};     // Programmi salvati
+var calendarSunTimes = null;   // Alba e tramonto di oggi
+var calendarHoldUntil = null;  // Fine della sospensione dell'irrigazione automatica (Date)
+var calendarEvents = {};       // Esecuzioni del mese visualizzato: { "YYYY-MM-DD": [{ programId, time, held }] }
+var calendarSelectedDate = null;
+
+// Colori assegnati ai programmi, nell'ordine degli ID
+const CALENDAR_COLORS = ['#0099ff', '#00cc66', '#ff9900', '#9c27b0', '#e91e63', '#009688', '#795548', '#3f51b5'];
+
+// Monta la pagina del calendario
+function mountCalendarPage(container, ctx) {
+    console.log("Inizializzazione pagina calendario");
+    
+    Promise.all([
+        apiGet('/data/user_settings.json'),
+        apiGet('/data/program.json'),
+        // Senza alba e tramonto i programmi relativi non compaiono nel calendario
+        apiGet('/get_sun_times').catch(error => {
+            console.warn('Orari di alba e tramonto non disponibili:', error);
+            return null;
+        }),
+        apiGet('/get_irrigation_hold').catch(error => {
+            console.warn('Stato della sospensione non disponibile:', error);
+            return null;
+        })
+    ])
+        .then(([settings, programs, sunTimes, hold]) => {
+            calendarSettings = settings || {};
+            calendarPrograms = programs || {};
+            calendarSunTimes = sunTimes;
+            calendarHoldUntil = hold && hold.active ? new Date(Date.now() + hold.remaining * 1000) : null;
+            renderCalendar();
+        })
+        .catch(error => {
+            console.error('Errore nel caricamento del calendario:', error);
+            showToast('Errore nel caricamento del calendario', 'error');
+            
+            const grid = document.getElementById('calendar-grid');
+            if (grid) {
+                grid.innerHTML = `<div class="empty-calendar" style="grid-column: 1 / -1;">Errore nel caricamento: ${error.message}</div>`;
+            }
+        });
+}
+
+// Restituisce il mese richiesto dalla rotta (es. #/calendar?month=2024-10), altrimenti quello corrente
+function getCalendarMonth() {
+    const query = (currentRoute && currentRoute.query) || {};
+    const parts = (query.month || '').split('-').map(part => parseInt(part));
+    
+    if (parts.length === 2 && parts[0] > 2000 && parts[1] >= 1 && parts[1] <= 12) {
+        return { year: parts[0], month: parts[1] };
+    }
+    
+    const today = new Date();
+    return { year: today.getFullYear(), month: today.getMonth() + 1 };
+}
+
+// Passa al mese precedente (-1) o successivo (+1) aggiornando la rotta
+function changeCalendarMonth(delta) {
+    const current = getCalendarMonth();
+    const date = new Date(current.year, current.month - 1 + delta, 1);
+    
+    setRouteQuery({ month: `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}` });
+    calendarSelectedDate = null;
+    renderCalendar();
+}
+
+// ID dei programmi in ordine numerico (determina i colori), escluse le una tantum già archiviate
+function getCalendarProgramIds() {
+    return Object.keys(calendarPrograms)
+        .filter(programId => calendarPrograms[programId] && !isArchivedProgram(calendarPrograms[programId]))
+        .sort((a, b) => parseInt(a) - parseInt(b));
+}
+
+// Colore del programma nel calendario
+function getCalendarProgramColor(programId) {
+    const index = getCalendarProgramIds().indexOf(String(programId));
+    return CALENDAR_COLORS[Math.max(0, index) % CALENDAR_COLORS.length];
+}
+
+// Nome della zona (o "Zona N" se non configurata)
+function getCalendarZoneName(zoneId) {
+    const zones = Array.isArray(calendarSettings.zones) ? calendarSettings.zones : [];
+    const zone = zones.find(z => z && z.id === zoneId);
+    return (zone && zone.name) || `Zona ${zoneId + 1}`;
+}
+
+// Espande le cadenze di tutti i programmi nelle esecuzioni del mese
+function buildCalendarEvents(year, month) {
+    const firstDay = new Date(year, month - 1, 1);
+    const daysInMonth = new Date(year, month, 0).getDate();
+    const events = {};
+    
+    // Per i mesi futuri la simulazione parte da oggi: la cadenza dipende dall'ultima esecuzione
+    const today = new Date();
+    const fromDate = firstDay > today ? new Date(today.getFullYear(), today.getMonth(), today.getDate()) : firstDay;
+    const days = Math.round((new Date(year, month - 1, daysInMonth) - fromDate) / 86400000) + 1;
+    
+    getCalendarProgramIds().forEach(programId => {
+        getProgramScheduledRuns(calendarPrograms[programId], fromDate, days, calendarSunTimes).forEach(run => {
+            const runDate = parseScheduleDate(run.date);
+            if (runDate.getFullYear() !== year || runDate.getMonth() !== month - 1) return;
+            
+            const timeParts = run.time.split(':');
+            runDate.setHours(parseInt(timeParts[0]), parseInt(timeParts[1]));
+            
+            if (!events[run.date]) events[run.date] = [];
+            events[run.date].push({
+                programId: programId,
+                time: run.time,
+                held: calendarHoldUntil !== null && runDate < calendarHoldUntil
+            });
+        });
+    });
+    
+    Object.values(events).forEach(dayEvents => dayEvents.sort((a, b) => a.time.localeCompare(b.time)));
+    return events;
+}
+
+// Disegna il calendario del mese selezionato
+function renderCalendar() {
+    const grid = document.getElementById('calendar-grid');
+    const title = document.getElementById('calendar-month-title');
+    if (!grid || !title) return;
+    
+    const { year, month } = getCalendarMonth();
+    title.textContent = `${PROGRAM_MONTH_NAMES[month - 1]} ${year}`;
+    calendarEvents = buildCalendarEvents(year, month);
+    
+    renderCalendarNotice();
+    
+    const today = formatScheduleDate(new Date());
+    const daysInMonth = new Date(year, month, 0).getDate();
+    // Celle vuote prima del primo giorno (la settimana parte da lunedì)
+    const leadingDays = (new Date(year, month - 1, 1).getDay() + 6) % 7;
+    
+    let html = WEEKDAY_SHORT_NAMES.map(name => `<div class="calendar-weekday">${name}</div>`).join('');
+    html += '<div class="calendar-day empty"></div>'.repeat(leadingDays);
+    
+    for (let day = 1; day <= daysInMonth; day++) {
+        const dateString = formatScheduleDate(new Date(year, month - 1, day));
+        const classes = ['calendar-day'];
+        if (dateString < today) classes.push('past');
+        if (dateString === today) classes.push('today');
+        if (dateString === calendarSelectedDate) classes.push('selected');
+        
+        const eventsHtml = (calendarEvents[dateString] || []).map(event => {
+            const program = calendarPrograms[event.programId];
+            return `
+                <div class="calendar-event ${event.held ? 'held' : ''}" style="background-color: ${getCalendarProgramColor(event.programId)};"
+                     title="${event.time} ${program.name || ''}">
+                    ${event.time} ${program.name || ''}
+                </div>
+            `;
+        }).join('');
+        
+        html += `
+            <div class="${classes.join(' ')}" onclick="selectCalendarDay('${dateString}')">
+                <div class="calendar-day-number">${day}</div>
+                ${eventsHtml}
+            </div>
+        `;
+    }
+    
+    grid.innerHTML = html;
+    renderCalendarLegend();
+    renderCalendarDayDetail();
+}
+
+// Mostra gli avvisi che cambiano l'esito delle esecuzioni pianificate
+function renderCalendarNotice() {
+    const notice = document.getElementById('calendar-notice');
+    if (!notice) return;
+    
+    const messages = [];
+    if (calendarSettings.automatic_programs_enabled !== true) {
+        messages.push('I programmi automatici sono disattivati: le esecuzioni mostrate non partiranno.');
+    }
+    if (calendarHoldUntil) {
+        messages.push(`Irrigazione automatica sospesa fino al ${formatScheduleDate(calendarHoldUntil).split('-').reverse().join('/')} ` +
+            `alle ${String(calendarHoldUntil.getHours()).padStart(2, '0')}:${String(calendarHoldUntil.getMinutes()).padStart(2, '0')}: ` +
+            'le esecuzioni barrate verranno saltate.');
+    }
+    if (getCalendarProgramIds().some(programId => isSunRelativeProgram(calendarPrograms[programId]))) {
+        messages.push('Gli orari relativi ad alba e tramonto sono calcolati su quelli di oggi.');
+    }
+    
+    notice.innerHTML = messages.join('<br>');
+    notice.classList.toggle('visible', messages.length > 0);
+}
+
+// Legenda dei colori dei programmi
+function renderCalendarLegend() {
+    const legend = document.getElementById('calendar-legend');
+    if (!legend) return;
+    
+    legend.innerHTML = getCalendarProgramIds().map(programId => `
+        <div class="calendar-legend-item">
+            <span class="calendar-legend-color" style="background-color: ${getCalendarProgramColor(programId)};"></span>
+            ${calendarPrograms[programId].name || `Programma ${programId}`}
+        </div>
+    `).join('');
+}
+
+// Seleziona un giorno e ne mostra il dettaglio
+function selectCalendarDay(dateString) {
+    calendarSelectedDate = dateString;
+    
+    document.querySelectorAll('.calendar-day.selected').forEach(day => day.classList.remove('selected'));
+    const days = document.querySelectorAll('.calendar-day:not(.empty)');
+    const dayIndex = parseInt(dateString.split('-')[2]) - 1;
+    if (days[dayIndex]) {
+        days[dayIndex].classList.add('selected');
+    }
+    
+    renderCalendarDayDetail();
+}
+
+// Elenca le esecuzioni del giorno selezionato con zone, orari e durate
+function renderCalendarDayDetail() {
+    const detail = document.getElementById('calendar-day-detail');
+    const title = document.getElementById('calendar-day-title');
+    if (!detail || !title) return;
+    
+    if (!calendarSelectedDate) {
+        title.textContent = 'Dettaglio del giorno';
+        detail.innerHTML = '<div class="empty-calendar">Seleziona un giorno per vedere zone e durate</div>';
+        return;
+    }
+    
+    const date = parseScheduleDate(calendarSelectedDate);
+    title.textContent = `${WEEKDAY_SHORT_NAMES[(date.getDay() + 6) % 7]} ${date.getDate()} ${PROGRAM_MONTH_NAMES[date.getMonth()]}`;
+    
+    const events = calendarEvents[calendarSelectedDate] || [];
+    if (events.length === 0) {
+        const isPast = calendarSelectedDate < formatScheduleDate(new Date());
+        detail.innerHTML = `<div class="empty-calendar">${isPast ? 'Giorno passato: consulta lo storico irrigazioni' : 'Nessuna irrigazione pianificata'}</div>`;
+        return;
+    }
+    
+    detail.innerHTML = events.map(event => {
+        const program = calendarPrograms[event.programId];
+        const timeline = buildProgramTimeline(program, event.time, calendarSettings, date.getMonth() + 1);
+        
+        const zonesHtml = timeline.entries
+            .filter(entry => entry.zone_id !== null)
+            .map(entry => {
+                const cycle = entry.cycles > 1 ? ` (ciclo ${entry.cycle}/${entry.cycles})` : '';
+                return `
+                    <li>
+                        <span>${getCalendarZoneName(entry.zone_id)}${cycle}</span>
+                        <span>${formatTimeOfDay(entry.start)} - ${formatTimeOfDay(entry.end)} · ${Math.round((entry.end - entry.start) / 60)} min</span>
+                    </li>
+                `;
+            }).join('');
+        
+        return `
+            <div class="calendar-run" style="border-left-color: ${getCalendarProgramColor(event.programId)};">
+                <div class="calendar-run-title">
+                    <span>${event.time} · ${program.name || `Programma ${event.programId}`}</span>
+                    ${event.held ? '<span class="calendar-run-held">Sospeso</span>' : ''}
+                </div>
+                <ul class="calendar-run-zones">${zonesHtml || '<li>Nessuna zona configurata</li>'}</ul>
+            </div>
+        `;
+    }).join('');
+}
+
+registerPage('calendar.html', {
+    mount: mountCalendarPage
+});
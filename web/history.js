@@ -0,0 +1,283 @@
+// history.js - Script per la pagina dello storico delle irrigazioni
+
+// Variabili globali
+var historyZones = [];        // Zone configurate (per i nomi e il filtro)
+var historyPrograms = {};     // Programmi (per i nomi)
+var isLoadingHistory = false;
+
+// Giorni mostrati se la rotta non indica un periodo
+const HISTORY_DEFAULT_DAYS = 7;
+
+// Motivi di arresto registrati dal backend
+const HISTORY_REASON_LABELS = {
+    completed: 'Completata',
+    stopped: 'Arrestata',
+    skipped: 'Saltata',
+    paused: 'In pausa',
+    fault: 'Guasto flusso',
+    rain: 'Pioggia',
+    preempted: 'Interrotta da programma',
+    restarted: 'Riavviata'
+};
+
+// Monta la pagina dello storico
+function mountHistoryPage(container, ctx) {
+    console.log("Inizializzazione pagina storico");
+    
+    // Allinea i filtri al periodo indicato nella rotta (es. #/history?from=2024-06-01&to=2024-06-07)
+    const range = getHistoryRange();
+    document.getElementById('history-from').value = range.from;
+    document.getElementById('history-to').value = range.to;
+    
+    const userData = ctx.userData;
+    const settingsPromise = userData && Object.keys(userData).length > 0
+        ? Promise.resolve(userData)
+        : apiGet('/data/user_settings.json');
+    
+    Promise.all([
+        settingsPromise,
+        apiGet('/data/program.json').catch(() => ({}))
+    ])
+        .then(([settings, programs]) => {
+            historyZones = Array.isArray(settings.zones) ? settings.zones : [];
+            historyPrograms = programs || {};
+            renderHistoryZoneFilter();
+            loadHistory();
+        })
+        .catch(error => {
+            console.error('Errore nel caricamento delle impostazioni:', error);
+            showToast('Errore nel caricamento delle impostazioni', 'error');
+            loadHistory();
+        });
+}
+
+// Formatta una data locale come YYYY-MM-DD
+function formatHistoryDate(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// Restituisce il periodo richiesto dalla rotta corrente (default: ultimi HISTORY_DEFAULT_DAYS giorni)
+function getHistoryRange() {
+    const query = (currentRoute && currentRoute.query) || {};
+    const today = new Date();
+    const start = new Date();
+    start.setDate(today.getDate() - (HISTORY_DEFAULT_DAYS - 1));
+    
+    return {
+        from: query.from || formatHistoryDate(start),
+        to: query.to || formatHistoryDate(today),
+        zone: query.zone || ''
+    };
+}
+
+// Popola il filtro per zona con le zone visibili
+function renderHistoryZoneFilter() {
+    const zoneFilter = document.getElementById('history-zone-filter');
+    if (!zoneFilter) return;
+    
+    const options = historyZones
+        .filter(zone => zone && zone.status === 'show')
+        .map(zone => `<option value="${zone.id}">${getHistoryZoneName(zone.id)}</option>`)
+        .join('');
+    zoneFilter.innerHTML = `<option value="">Tutte le zone</option>${options}`;
+    zoneFilter.value = getHistoryRange().zone;
+}
+
+// Nome della zona (o "Zona N" se non configurata)
+function getHistoryZoneName(zoneId) {
+    const zone = historyZones.find(z => z && z.id === zoneId);
+    return (zone && zone.name) || `Zona ${zoneId + 1}`;
+}
+
+// Nome del programma (o "Manuale" se la zona è stata avviata a mano)
+function getHistoryProgramName(programId) {
+    if (programId === null || programId === undefined) return 'Manuale';
+    
+    const program = historyPrograms[programId];
+    return program && program.name ? program.name : `Programma ${programId}`;
+}
+
+// Cambia i filtri aggiornando la rotta e ricarica lo storico
+function changeHistoryFilters() {
+    const from = document.getElementById('history-from').value;
+    const to = document.getElementById('history-to').value;
+    const zone = document.getElementById('history-zone-filter').value;
+    
+    if (from && to && from > to) {
+        showToast('La data iniziale deve precedere quella finale', 'warning');
+        return;
+    }
+    
+    const query = {};
+    if (from) query.from = from;
+    if (to) query.to = to;
+    if (zone) query.zone = zone;
+    setRouteQuery(query);
+    
+    loadHistory();
+}
+
+// Carica lo storico dal server per il periodo selezionato
+function loadHistory() {
+    if (isLoadingHistory) return;
+    isLoadingHistory = true;
+    
+    const range = getHistoryRange();
+    const params = new URLSearchParams({ from: range.from, to: range.to });
+    if (range.zone) {
+        params.set('zone', range.zone);
+    }
+    
+    apiGet(`/history?${params.toString()}`)
+        .then(data => {
+            displayHistoryRetention(data.detail_days, data.total_days);
+            displayDailyTotals(data.daily_totals || {});
+            displayRuns(Array.isArray(data.entries) ? data.entries : []);
+        })
+        .catch(error => {
+            console.error('Errore nel caricamento dello storico:', error);
+            showToast(`Errore nel caricamento dello storico: ${error.message}`, 'error');
+            
+            const runsBody = document.getElementById('runs-tbody');
+            if (runsBody) {
+                runsBody.innerHTML = `
+                    <tr>
+                        <td colspan="8" class="empty-history">Errore nel caricamento dello storico</td>
+                    </tr>
+                `;
+            }
+        })
+        .finally(() => {
+            isLoadingHistory = false;
+        });
+}
+
+// Indica per quanti giorni sono conservate le singole irrigazioni e i totali giornalieri
+function displayHistoryRetention(detailDays, totalDays) {
+    const note = document.getElementById('history-detail-note');
+    if (!note || !detailDays) return;
+    
+    note.textContent = `Dettaglio degli ultimi ${detailDays} giorni, totali giornalieri degli ultimi ${totalDays} giorni`;
+}
+
+// Formatta una durata in minuti con un decimale
+function formatHistoryMinutes(minutes) {
+    return (Math.round(minutes * 10) / 10).toFixed(1);
+}
+
+// Visualizza la tabella dei minuti giornalieri per zona
+function displayDailyTotals(dailyTotals) {
+    const table = document.getElementById('daily-totals-table');
+    if (!table) return;
+    
+    // Date dalla più recente, zone in ordine di ID
+    const dates = Object.keys(dailyTotals).sort().reverse();
+    const zoneIds = [];
+    dates.forEach(date => {
+        Object.keys(dailyTotals[date]).forEach(zoneId => {
+            if (!zoneIds.includes(zoneId)) zoneIds.push(zoneId);
+        });
+    });
+    zoneIds.sort((a, b) => parseInt(a) - parseInt(b));
+    
+    if (dates.length === 0) {
+        table.innerHTML = `
+            <tbody>
+                <tr>
+                    <td class="empty-history">Nessuna irrigazione nel periodo selezionato</td>
+                </tr>
+            </tbody>
+        `;
+        return;
+    }
+    
+    const zoneTotals = {};
+    const rows = dates.map(date => {
+        let dayTotal = 0;
+        const cells = zoneIds.map(zoneId => {
+            const minutes = dailyTotals[date][zoneId] || 0;
+            dayTotal += minutes;
+            zoneTotals[zoneId] = (zoneTotals[zoneId] || 0) + minutes;
+            return `<td class="numeric">${minutes ? formatHistoryMinutes(minutes) : '-'}</td>`;
+        }).join('');
+        
+        return `
+            <tr>
+                <td>${date}</td>
+                ${cells}
+                <td class="numeric"><strong>${formatHistoryMinutes(dayTotal)}</strong></td>
+            </tr>
+        `;
+    }).join('');
+    
+    const grandTotal = Object.values(zoneTotals).reduce((sum, minutes) => sum + minutes, 0);
+    
+    table.innerHTML = `
+        <thead>
+            <tr>
+                <th>Data</th>
+                ${zoneIds.map(zoneId => `<th class="numeric">${getHistoryZoneName(parseInt(zoneId))}</th>`).join('')}
+                <th class="numeric">Totale</th>
+            </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+        <tfoot>
+            <tr>
+                <td>Totale</td>
+                ${zoneIds.map(zoneId => `<td class="numeric">${formatHistoryMinutes(zoneTotals[zoneId])}</td>`).join('')}
+                <td class="numeric">${formatHistoryMinutes(grandTotal)}</td>
+            </tr>
+        </tfoot>
+    `;
+}
+
+// Visualizza l'elenco delle irrigazioni (dalla più recente)
+function displayRuns(entries) {
+    const runsBody = document.getElementById('runs-tbody');
+    if (!runsBody) return;
+    
+    if (entries.length === 0) {
+        runsBody.innerHTML = `
+            <tr>
+                <td colspan="8" class="empty-history">Nessuna irrigazione nel periodo selezionato</td>
+            </tr>
+        `;
+        return;
+    }
+    
+    runsBody.innerHTML = entries.slice().reverse().map(entry => {
+        const planned = entry.planned_duration !== null && entry.planned_duration !== undefined
+            ? formatHistoryMinutes(entry.planned_duration / 60)
+            : '-';
+        const actual = formatHistoryMinutes((entry.duration || 0) / 60);
+        
+        // Le voci registrate prima dell'introduzione di avvio ed esito non hanno questi campi
+        const trigger = entry.trigger
+            ? `<span class="run-badge ${entry.trigger}">${entry.trigger === 'scheduled' ? 'Pianificato' : 'Manuale'}</span>`
+            : '-';
+        const reasonClass = entry.reason === 'completed' ? 'completed' : (entry.reason === 'fault' ? 'fault' : 'interrupted');
+        const reason = entry.reason
+            ? `<span class="run-badge ${reasonClass}">${HISTORY_REASON_LABELS[entry.reason] || entry.reason}</span>`
+            : '-';
+        const liters = entry.liters !== null && entry.liters !== undefined ? entry.liters.toFixed(1) : '-';
+        
+        return `
+            <tr>
+                <td>${entry.date || 'N/A'}</td>
+                <td>${entry.start || ''}${entry.end ? ` - ${entry.end}` : ''}</td>
+                <td>${getHistoryZoneName(entry.zone_id)}</td>
+                <td>${getHistoryProgramName(entry.program_id)}</td>
+                <td class="numeric">${planned} / ${actual}</td>
+                <td>${trigger}</td>
+                <td>${reason}</td>
+                <td class="numeric">${liters}</td>
+            </tr>
+        `;
+    }).join('');
+}
+
+registerPage('history.html', {
+    mount: mountHistoryPage
+});
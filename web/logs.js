@@ -3,19 +3,23 @@
 // Variabili globali
 var isLoadingLogs = false;
 var autoRefreshInterval = null;
+var lastLoadedLogs = [];
 
-// Inizializza la pagina dei log
-function initializeLogsPage() {
+// Monta la pagina dei log
+function mountLogsPage(container, ctx) {
     console.log("Inizializzazione pagina log");
     
+    // Allinea il filtro al livello indicato nella rotta (es. #/logs?level=ERROR)
+    const levelFilter = document.getElementById('logs-level-filter');
+    if (levelFilter) {
+        levelFilter.value = getLogLevelFilter();
+    }
+    
     // Carica i log
     loadLogs();
     
     // Imposta l'aggiornamento automatico ogni 30 secondi
     startAutoRefresh();
-    
-    // Ascoltatori per la pulizia quando l'utente lascia la pagina
-    window.addEventListener('pagehide', cleanupLogsPage);
 }
 
 // Avvia l'aggiornamento automatico
@@ -37,11 +41,23 @@ function stopAutoRefresh() {
     }
 }
 
-// Pulizia quando si cambia pagina
-function cleanupLogsPage() {
+// Smonta la pagina: ferma l'aggiornamento automatico
+function unmountLogsPage() {
     stopAutoRefresh();
 }
 
+// Restituisce il livello di log richiesto dalla rotta corrente ('' = tutti)
+function getLogLevelFilter() {
+    if (!currentRoute || !currentRoute.query || !currentRoute.query.level) return '';
+    return currentRoute.query.level.toUpperCase();
+}
+
+// Cambia il filtro per livello aggiornando la rotta
+function changeLogLevelFilter(level) {
+    setRouteQuery(level ? { level: level } : {});
+    displayLogs(lastLoadedLogs);
+}
+
 // Carica i log dal server
 function loadLogs() {
     if (isLoadingLogs) return;
@@ -56,13 +72,10 @@ function loadLogs() {
     // Mostra l'indicatore di caricamento
     logsBody.innerHTML = `<tr><td colspan="4" class="loading">Caricamento log...</td></tr>`;
     
-    fetch('/data/system_log.json')
-        .then(response => {
-            if (!response.ok) throw new Error('Errore nel caricamento dei log');
-            return response.json();
-        })
+    apiGet('/data/system_log.json')
         .then(logs => {
-            displayLogs(logs);
+            lastLoadedLogs = Array.isArray(logs) ? logs : [];
+            displayLogs(lastLoadedLogs);
         })
         .catch(error => {
             console.error('Errore:', error);
@@ -88,11 +101,17 @@ function displayLogs(logs) {
     const logsBody = document.getElementById('logs-tbody');
     if (!logsBody) return;
     
+    // Applica il filtro per livello, se presente nella rotta
+    const levelFilter = getLogLevelFilter();
+    if (logs && levelFilter) {
+        logs = logs.filter(log => (log.level || 'INFO') === levelFilter);
+    }
+    
     if (!logs || logs.length === 0) {
         logsBody.innerHTML = `
             <tr>
                 <td colspan="4" class="empty-logs">
-                    Nessun log disponibile
+                    ${levelFilter ? `Nessun log di livello ${levelFilter}` : 'Nessun log disponibile'}
                 </td>
             </tr>
         `;
@@ -170,22 +189,15 @@ function clearLogs() {
     // Chiudi la finestra di conferma
     closeConfirmDialog();
     
-    fetch('/clear_logs', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' }
-    })
-    .then(response => response.json())
-    .then(data => {
-        if (data.success) {
-            showToast('Log cancellati con successo', 'success');
-            loadLogs();
-        } else {
-            showToast(`Errore: ${data.error || 'Cancellazione fallita'}`, 'error');
-        }
+    // Cancellare log già vuoti non ha effetti: la chiamata può essere ritentata
+    apiPost('/clear_logs', {}, { idempotent: true })
+    .then(() => {
+        showToast('Log cancellati con successo', 'success');
+        loadLogs();
     })
     .catch(error => {
         console.error('Errore:', error);
-        showToast('Errore di rete durante la cancellazione dei log', 'error');
+        showToast(`Errore durante la cancellazione dei log: ${error.message}`, 'error');
     })
     .finally(() => {
         if (clearButton) {
@@ -195,5 +207,7 @@ function clearLogs() {
     });
 }
 
-// Inizializzazione quando il documento è caricato
-document.addEventListener('DOMContentLoaded', initializeLogsPage);
\ No newline at end of file
+registerPage('logs.html', {
+    mount: mountLogsPage,
+    unmount: unmountLogsPage
+});
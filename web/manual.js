@@ -4,12 +4,18 @@
 var maxActiveZones = 3;
 var maxZoneDuration = 180; // durata massima in minuti
 var progressIntervals = {};
+var liveStateUnsubscribers = []; // Sottoscrizioni allo stato in tempo reale
+var userSettings = {};
+var zoneRunSummary = {};    // Ultime irrigazioni e minuti recenti per zona
+var zoneActiveStates = {};  // Ultimo stato noto delle zone (per aggiornare il riepilogo allo spegnimento)
+const ZONE_SUMMARY_DAYS = 7;
 // Variabili globali aggiuntive
 window.programsData = {}; // Cache dei dati programmi
 window.lastKnownState = null; // Ultimo stato conosciuto
 
-// Modifica alla funzione initializeManualPage
-function initializeManualPage(userData) {
+// Monta la pagina di controllo manuale
+function mountManualPage(container, ctx) {
+    const userData = ctx.userData;
     console.log("Inizializzazione pagina controllo manuale");
     
     if (userData && Object.keys(userData).length > 0) {
@@ -20,11 +26,7 @@ function initializeManualPage(userData) {
         renderZones(userData.zones || []);
     } else {
         // Se userData non è disponibile, carica le impostazioni dal server
-        fetch('/data/user_settings.json')
-            .then(response => {
-                if (!response.ok) throw new Error('Errore nel caricamento delle impostazioni utente');
-                return response.json();
-            })
+        apiGet('/data/user_settings.json')
             .then(data => {
                 userSettings = data;
                 maxActiveZones = data.max_active_zones || 3;
@@ -37,36 +39,29 @@ function initializeManualPage(userData) {
             });
     }
    
-       // Carica i dati dei programmi per riferimento alla durata delle zone
+       // Carica i dati dei programmi (nomi mostrati nel pannello di avanzamento)
     loadProgramsData();
 	
-    // Avvia il polling per l'aggiornamento dello stato delle zone
-    startZoneStatusPolling();
-    
-    // Pulisci quando si cambia pagina (window.onbeforeunload non funziona bene su ESP32)
-    window.addEventListener('pagehide', cleanupManualPage);
+    // Ricevi gli aggiornamenti dello stato delle zone (stream eventi o polling)
+    startZoneStatusUpdates();
 }
 
 // Nuova funzione per caricare i dati dei programmi
 function loadProgramsData() {
-    fetch('/data/program.json')
-        .then(response => {
-            if (!response.ok) throw new Error('Errore nel caricamento dei programmi');
-            return response.json();
-        })
+    apiGet('/data/program.json')
         .then(programs => {
             window.programsData = programs || {};
-            console.log("Dati programmi caricati per riferimento durata zone");
+            console.log("Dati programmi caricati per il pannello di avanzamento");
+            
+            // I nomi dei programmi compaiono anche nel mini storico delle zone
+            renderZoneRunSummaries();
             
             // Dopo aver caricato i programmi, ottieni lo stato corrente
-            return fetch('/get_program_state');
-        })
-        .then(response => {
-            if (!response.ok) throw new Error('Errore nel caricamento dello stato del programma');
-            return response.json();
+            return apiGet('/get_program_state');
         })
         .then(state => {
             window.lastKnownState = state;
+            updateProgramProgressPanel(state);
             console.log("Stato programma caricato:", state);
         })
         .catch(error => {
@@ -74,26 +69,39 @@ function loadProgramsData() {
         });
 }
 
-// Funzione per avviare il polling dello stato delle zone
-function startZoneStatusPolling() {
-    // Esegui immediatamente e poi ogni 5 secondi (invece di 3)
-    fetchZonesStatus();
-    zoneStatusInterval = setInterval(fetchZonesStatus, 5000);
-    console.log("Polling zone avviato");
+// Sottoscrive lo stato in tempo reale di zone e programma
+function startZoneStatusUpdates() {
+    // Annulla eventuali sottoscrizioni precedenti
+    stopZoneStatusUpdates();
+    
+    // Lo stato del programma fornisce a updateZonesUI l'avanzamento esatto dello step
+    liveStateUnsubscribers = [
+        subscribeLiveState('program', state => {
+            window.lastKnownState = state;
+            updateProgramProgressPanel(state);
+        }),
+        subscribeLiveState('zones', zonesStatus => {
+            if (Array.isArray(zonesStatus)) {
+                updateZonesUI(zonesStatus);
+            }
+        }),
+        subscribeLiveState('sensors', updateRainSensorStatus)
+    ];
+    console.log("Aggiornamenti zone avviati");
 }
 
-// Funzione per fermare il polling
-function stopZoneStatusPolling() {
-    if (zoneStatusInterval) {
-        clearInterval(zoneStatusInterval);
-        zoneStatusInterval = null;
-        console.log("Polling zone fermato");
+// Annulla le sottoscrizioni allo stato in tempo reale
+function stopZoneStatusUpdates() {
+    if (liveStateUnsubscribers.length > 0) {
+        liveStateUnsubscribers.forEach(unsubscribe => unsubscribe());
+        liveStateUnsubscribers = [];
+        console.log("Aggiornamenti zone fermati");
     }
 }
 
-// Pulisci quando si cambia pagina
-function cleanupManualPage() {
-    stopZoneStatusPolling();
+// Smonta la pagina: annulla le sottoscrizioni e ferma gli intervalli di progresso
+function unmountManualPage() {
+    stopZoneStatusUpdates();
     
     // Pulisci gli intervalli di progresso
     for (const id in progressIntervals) {
@@ -119,11 +127,12 @@ function renderZones(zones) {
             <div class="empty-state">
                 <h3>Nessuna zona configurata</h3>
                 <p>Configura le zone nelle impostazioni per poterle controllare manualmente.</p>
-                <button class="button primary" onclick="loadPage('settings.html')">
+                <button class="button primary" onclick="navigateTo('/settings')">
                     Vai alle impostazioni
                 </button>
             </div>
         `;
+        renderOneShotForm([]);
         return;
     }
     
@@ -155,6 +164,15 @@ function renderZones(zones) {
 				<progress id="progress-${zone.id}" value="0" max="100"></progress>
 				<div class="timer-display" id="timer-${zone.id}">00:00</div>
 			</div>
+			<div class="zone-flow" id="flow-${zone.id}"></div>
+			<div class="zone-fault" id="fault-${zone.id}"></div>
+			<div class="zone-last-run" id="last-run-${zone.id}">
+				<div class="zone-last-run-summary" onclick="toggleZoneRunHistory(${zone.id})">
+					<span id="last-run-text-${zone.id}">Nessuna irrigazione registrata</span>
+					<span class="zone-last-run-arrow">▾</span>
+				</div>
+				<ul class="zone-run-history" id="run-history-${zone.id}"></ul>
+			</div>
 		`;
         container.appendChild(zoneCard);
     });
@@ -162,17 +180,230 @@ function renderZones(zones) {
     // Aggiungi i listener dopo aver creato gli elementi
     attachZoneToggleFunctions();
     
-    // Carica subito lo stato delle zone
+    // Carica subito lo stato delle zone e le ultime irrigazioni
+    zoneActiveStates = {};
     fetchZonesStatus();
+    loadZoneRunSummary();
+    
+    renderOneShotForm(visibleZones);
+}
+
+// Prepara il modulo dell'irrigazione una tantum con le zone visibili (propone domani alle 06:00)
+function renderOneShotForm(zones) {
+    const card = document.getElementById('one-shot-card');
+    const zonesContainer = document.getElementById('one-shot-zones');
+    if (!card || !zonesContainer) return;
+    
+    card.classList.toggle('visible', zones.length > 0);
+    
+    if (zones.length > 0) {
+        updateOneShotWarning();
+    }
+    
+    const tomorrow = new Date();
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    const dateInput = document.getElementById('one-shot-date');
+    dateInput.min = formatScheduleDate(new Date());
+    dateInput.value = formatScheduleDate(tomorrow);
+    
+    zonesContainer.innerHTML = zones.map(zone => `
+        <label class="one-shot-zone">
+            <input type="checkbox" class="one-shot-zone-check" data-zone-id="${zone.id}">
+            <span>${zone.name || `Zona ${zone.id + 1}`}</span>
+            <input type="number" id="one-shot-duration-${zone.id}" min="1" max="${maxZoneDuration}"
+                   value="${Math.min(10, maxZoneDuration)}" aria-label="Durata in minuti"> min
+        </label>
+    `).join('');
+}
+
+// Le irrigazioni una tantum sono eseguite solo con i programmi automatici attivi:
+// rilegge l'interruttore dal server (può essere cambiato da un'altra pagina) e mostra l'avviso
+function updateOneShotWarning() {
+    apiGet('/data/user_settings.json')
+        .then(data => {
+            userSettings.automatic_programs_enabled = data.automatic_programs_enabled;
+            const warning = document.getElementById('one-shot-warning');
+            if (warning) {
+                warning.classList.toggle('visible', userSettings.automatic_programs_enabled !== true);
+            }
+        })
+        .catch(error => {
+            console.error('Errore nel caricamento delle impostazioni:', error);
+        });
+}
+
+// Pianifica l'irrigazione una tantum come programma da eseguire una sola volta
+function scheduleOneShotRun(force = false) {
+    const name = document.getElementById('one-shot-name').value.trim();
+    const runDate = document.getElementById('one-shot-date').value;
+    const runTime = document.getElementById('one-shot-time').value;
+    
+    if (!name) {
+        showToast('Inserisci un nome per l\'irrigazione una tantum', 'warning');
+        return;
+    }
+    if (!runDate || !runTime) {
+        showToast('Inserisci la data e l\'orario dell\'irrigazione', 'warning');
+        return;
+    }
+    
+    const steps = [];
+    let invalidDuration = false;
+    document.querySelectorAll('.one-shot-zone-check:checked').forEach(checkbox => {
+        const zoneId = parseInt(checkbox.dataset.zoneId);
+        const duration = parseInt(document.getElementById(`one-shot-duration-${zoneId}`).value);
+        if (isNaN(duration) || duration < 1 || duration > maxZoneDuration) {
+            invalidDuration = true;
+            return;
+        }
+        steps.push({ zone_id: zoneId, duration: duration });
+    });
+    
+    if (invalidDuration) {
+        showToast(`La durata deve essere tra 1 e ${maxZoneDuration} minuti`, 'warning');
+        return;
+    }
+    if (steps.length === 0) {
+        showToast('Seleziona almeno una zona', 'warning');
+        return;
+    }
+    
+    const program = {
+        name: name,
+        schedule_type: PROGRAM_SCHEDULE_ONCE,
+        run_date: runDate,
+        start_mode: 'orario',
+        activation_times: [runTime],
+        steps: steps
+    };
+    if (force) {
+        program.force = true;
+    }
+    
+    const button = document.getElementById('one-shot-schedule');
+    if (button) button.disabled = true;
+    
+    // La creazione genera un nuovo programma: nessun nuovo tentativo automatico
+    return apiPost('/save_program', program)
+    .then(() => {
+        const message = `Irrigazione "${name}" pianificata per il ${runDate.split('-').reverse().join('/')} alle ${runTime}`;
+        if (userSettings.automatic_programs_enabled !== true) {
+            showToast(`${message}, ma i programmi automatici sono disattivati: riattivali per eseguirla`, 'warning');
+        } else {
+            showToast(message, 'success');
+        }
+        document.getElementById('one-shot-name').value = '';
+        document.querySelectorAll('.one-shot-zone-check').forEach(checkbox => {
+            checkbox.checked = false;
+        });
+        
+        // La nuova irrigazione può essere la prossima mostrata nell'intestazione
+        if (typeof window.fetchNextIrrigation === 'function') {
+            window.fetchNextIrrigation();
+        }
+    })
+    .catch(error => {
+        console.error('Errore nella pianificazione dell\'irrigazione una tantum:', error);
+        
+        // Sovrapposizione con altri programmi: chiedi conferma prima di salvare comunque
+        if (error instanceof ApiError && error.status === 409 && !force) {
+            if (confirm(`${error.message}. Pianificare comunque?`)) {
+                return scheduleOneShotRun(true);
+            }
+            return;
+        }
+        showToast(`Errore: ${error.message}`, 'error');
+    })
+    .finally(() => {
+        if (button) button.disabled = false;
+    });
+}
+
+// Carica dal server le ultime irrigazioni di ogni zona
+function loadZoneRunSummary() {
+    apiGet(`/get_zone_run_summary?days=${ZONE_SUMMARY_DAYS}`)
+        .then(summary => {
+            zoneRunSummary = (summary && summary.zones) || {};
+            renderZoneRunSummaries();
+        })
+        .catch(error => {
+            console.error('Errore nel caricamento delle ultime irrigazioni:', error);
+        });
+}
+
+// Aggiorna il riepilogo delle ultime irrigazioni in tutte le card
+function renderZoneRunSummaries() {
+    document.querySelectorAll('.zone-card').forEach(card => {
+        updateZoneRunSummary(parseInt(card.id.replace('zone-', '')));
+    });
+}
+
+// Formatta l'avvio di un'irrigazione (es. "Oggi 07:00", "Ieri 21:30", "12/06 07:00")
+function formatZoneRunStart(entry) {
+    const toDateString = date => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    const today = new Date();
+    const yesterday = new Date();
+    yesterday.setDate(today.getDate() - 1);
+    
+    const time = (entry.start || '').substring(0, 5);
+    if (entry.date === toDateString(today)) return `Oggi ${time}`;
+    if (entry.date === toDateString(yesterday)) return `Ieri ${time}`;
+    
+    const [, month, day] = (entry.date || '').split('-');
+    return `${day}/${month} ${time}`;
+}
+
+// Formatta una durata in secondi come minuti (es. "12 min", "45 s")
+function formatZoneRunDuration(seconds) {
+    if (seconds < 60) return `${seconds} s`;
+    return `${Math.round(seconds / 60)} min`;
+}
+
+// Mostra ultima irrigazione, minuti recenti e mini storico nella card della zona
+function updateZoneRunSummary(zoneId) {
+    const summaryText = document.getElementById(`last-run-text-${zoneId}`);
+    const historyList = document.getElementById(`run-history-${zoneId}`);
+    if (!summaryText || !historyList) return;
+    
+    const summary = zoneRunSummary[zoneId];
+    if (!summary || !summary.recent || summary.recent.length === 0) {
+        summaryText.textContent = 'Nessuna irrigazione registrata';
+        historyList.innerHTML = '<li class="zone-run-empty">Nessuna irrigazione registrata</li>';
+        return;
+    }
+    
+    const lastRun = summary.recent[0];
+    summaryText.textContent = `Ultima: ${formatZoneRunStart(lastRun)} · ${formatZoneRunDuration(lastRun.duration || 0)}` +
+        ` · ${ZONE_SUMMARY_DAYS} gg: ${Math.round(summary.total_minutes)} min`;
+    
+    historyList.innerHTML = summary.recent.map(entry => {
+        const programId = entry.program_id;
+        const program = programId !== null && programId !== undefined ? window.programsData[programId] : null;
+        const source = programId !== null && programId !== undefined
+            ? (program && program.name ? program.name : `Programma ${programId}`)
+            : 'Manuale';
+        
+        return `
+            <li>
+                <span>${formatZoneRunStart(entry)}</span>
+                <span>${formatZoneRunDuration(entry.duration || 0)}</span>
+                <span class="zone-run-source">${source}</span>
+            </li>
+        `;
+    }).join('');
+}
+
+// Espande o richiude il mini storico della zona
+function toggleZoneRunHistory(zoneId) {
+    const lastRun = document.getElementById(`last-run-${zoneId}`);
+    if (lastRun) {
+        lastRun.classList.toggle('expanded');
+    }
 }
 
 // Modifica alla funzione fetchZonesStatus per aggiornare anche lo stato del programma
 function fetchZonesStatus() {
-    fetch('/get_zones_status')
-        .then(response => {
-            if (!response.ok) throw new Error(`Errore HTTP: ${response.status}`);
-            return response.json();
-        })
+    apiGet('/get_zones_status')
         .then(zonesStatus => {
             console.log("Stato zone ricevuto:", zonesStatus);
             if (Array.isArray(zonesStatus)) {
@@ -182,14 +413,11 @@ function fetchZonesStatus() {
             }
             
             // Aggiorna anche lo stato del programma
-            return fetch('/get_program_state');
-        })
-        .then(response => {
-            if (!response.ok) throw new Error('Errore nel caricamento dello stato del programma');
-            return response.json();
+            return apiGet('/get_program_state');
         })
         .then(state => {
             window.lastKnownState = state;
+            updateProgramProgressPanel(state);
         })
         .catch(error => {
             console.error('Errore nel recupero dello stato delle zone:', error);
@@ -203,8 +431,16 @@ function fetchZonesStatus() {
 function updateZonesUI(zonesStatus) {
     if (!Array.isArray(zonesStatus)) return;
     
+    // Lo spegnimento di una zona aggiunge una voce allo storico
+    let zoneStopped = false;
+    
     zonesStatus.forEach(zone => {
         if (!zone || zone.id === undefined) return;
+        
+        if (zoneActiveStates[zone.id] && !zone.active) {
+            zoneStopped = true;
+        }
+        zoneActiveStates[zone.id] = zone.active;
                 
         const toggle = document.getElementById(`toggle-${zone.id}`);
         const zoneCard = document.getElementById(`zone-${zone.id}`);
@@ -234,6 +470,9 @@ function updateZonesUI(zonesStatus) {
             zoneCard.classList.remove('active');
         }
         
+        updateZoneFlow(zone);
+        updateZoneFault(zone);
+        
         // Aggiorna la barra di progresso se la zona è attiva
         if (zone.active) {
             const progressBar = document.getElementById(`progress-${zone.id}`);
@@ -242,51 +481,21 @@ function updateZonesUI(zonesStatus) {
             if (progressBar && timerDisplay) {
                 // Se non c'è già un intervallo in corso per questa zona, creane uno
                 if (!progressIntervals[zone.id]) {
-                    // CORREZIONE: Usa sempre il tempo rimanente dal server per calcolare la durata totale
-                    // anziché usare il valore dal campo input
+                    // Durata totale e tempo rimanente forniti dal server
+                    let remainingTime = zone.remaining_time;
+                    let totalDuration = zone.total_time || remainingTime;
                     
-                    // Ottieni il tempo rimanente dal server
-                    const remainingTime = zone.remaining_time;
+                    // Zona attivata da un programma: usa l'avanzamento esatto dello step
+                    // (dopo una pausa la zona viene riattivata solo per il tempo rimanente)
+                    const state = window.lastKnownState;
+                    if (state && state.program_running && state.current_zone === zone.id && state.step_total > 0) {
+                        totalDuration = state.step_total;
+                        remainingTime = Math.max(0, state.step_total - (state.step_elapsed || 0));
+                    }
                     
-                    // Cerca di ottenere la durata totale dalle informazioni della zona
-                    // Se il server non fornisce questa informazione, stimiamo in base al tempo rimanente
-					// Cerca di ottenere la durata totale dalle informazioni della zona
-					// Se il server non fornisce questa informazione, stimiamo in base al tempo rimanente
-					let totalDuration = remainingTime;
-					let elapsedTime = 0;
-
-					// Cerca info dal programma attivo per una stima migliore della durata totale
-					if (window.programsData && window.lastKnownState && 
-						window.lastKnownState.program_running && 
-						window.lastKnownState.current_program_id) {
-    
-						const programId = window.lastKnownState.current_program_id;
-						const program = window.programsData[programId];
-    
-						if (program && program.steps) {
-							// Cerca lo step corrispondente a questa zona
-							const currentStep = program.steps.find(s => s.zone_id === zone.id);
-							if (currentStep && currentStep.duration) {
-								// Durata totale in secondi
-								totalDuration = currentStep.duration * 60;
-								// Calcola il tempo trascorso con sicurezza
-								elapsedTime = Math.max(0, totalDuration - remainingTime);
-							} else {
-								// Fallback se non troviamo lo step
-								totalDuration = Math.max(600, remainingTime); // Assume 10 minuti default
-								elapsedTime = totalDuration - remainingTime;
-							}
-						} else {
-							// Calcolo generico
-							elapsedTime = totalDuration - remainingTime;
-						}
-					} else {
-						// Calcolo generico quando non c'è un programma attivo
-						elapsedTime = totalDuration - remainingTime;
-					}
-
-					// Assicuriamoci che la durata totale sia almeno pari al tempo rimanente
-					totalDuration = Math.max(totalDuration, remainingTime);
+                    // Assicuriamoci che la durata totale sia almeno pari al tempo rimanente
+                    totalDuration = Math.max(totalDuration, remainingTime);
+                    const elapsedTime = totalDuration - remainingTime;
                     
                     // Aggiorna la barra di progresso
                     updateProgressBar(zone.id, elapsedTime, totalDuration, remainingTime);
@@ -309,6 +518,69 @@ function updateZonesUI(zonesStatus) {
             }
         }
     });
+    
+    if (zoneStopped) {
+        loadZoneRunSummary();
+    }
+}
+
+// Mostra portata e litri erogati della zona attiva (solo con il flussometro abilitato)
+function updateZoneFlow(zone) {
+    const flowElement = document.getElementById(`flow-${zone.id}`);
+    if (!flowElement) return;
+    
+    if (!zone.active || zone.flow_rate === null || zone.flow_rate === undefined) {
+        flowElement.classList.remove('visible');
+        return;
+    }
+    
+    const liters = zone.liters !== null && zone.liters !== undefined ? ` · ${zone.liters.toFixed(1)} L erogati` : '';
+    flowElement.textContent = `💧 ${zone.flow_rate.toFixed(1)} L/min${liters}`;
+    flowElement.classList.add('visible');
+}
+
+// Mostra il guasto di flusso della zona finché l'utente non lo conferma
+function updateZoneFault(zone) {
+    const faultElement = document.getElementById(`fault-${zone.id}`);
+    const zoneCard = document.getElementById(`zone-${zone.id}`);
+    if (!faultElement || !zoneCard) return;
+    
+    const fault = zone.fault;
+    if (!fault) {
+        faultElement.classList.remove('visible');
+        faultElement.innerHTML = '';
+        zoneCard.classList.remove('fault');
+        return;
+    }
+    
+    const label = fault.type === 'high_flow' ? 'Portata eccessiva' : 'Portata assente';
+    const expected = fault.max !== null && fault.max !== undefined
+        ? `${fault.min.toFixed(1)}-${fault.max.toFixed(1)}`
+        : `≥ ${fault.min.toFixed(1)}`;
+    
+    faultElement.innerHTML = `
+        <div class="zone-fault-text">
+            <strong>⚠ ${label}</strong>
+            <span>${fault.flow.toFixed(1)} L/min (attesi ${expected}) · ${fault.date}</span>
+        </div>
+        <button class="zone-fault-ack" onclick="acknowledgeZoneFault(${zone.id})">OK</button>
+    `;
+    faultElement.classList.add('visible');
+    zoneCard.classList.add('fault');
+}
+
+// Conferma il guasto di flusso di una zona e nasconde il badge
+function acknowledgeZoneFault(zoneId) {
+    apiPost('/acknowledge_zone_fault', { zone_id: zoneId })
+    .then(() => {
+        showToast(`Guasto zona ${zoneId + 1} confermato`, 'info');
+        fetchZonesStatus();
+    })
+    .catch(error => {
+        console.error('Errore durante la conferma del guasto:', error);
+        showToast(`Errore: ${error.message}`, 'error');
+        fetchZonesStatus();
+    });
 }
 
 // Aggiorna la barra di progresso
@@ -364,6 +636,56 @@ function updateTimerDisplay(timeInSeconds, displayElement) {
     displayElement.textContent = formattedTime;
 }
 
+// Mostra lo stato del sensore di pioggia (nascosto se il sensore non è abilitato)
+function updateRainSensorStatus(sensors) {
+    const statusElement = document.getElementById('rain-sensor-status');
+    if (!statusElement) return;
+    
+    const rainSensor = sensors && sensors.rain_sensor;
+    if (!rainSensor || !rainSensor.enabled) {
+        statusElement.classList.remove('visible');
+        return;
+    }
+    
+    statusElement.classList.toggle('raining', rainSensor.rain_detected);
+    statusElement.textContent = rainSensor.rain_detected
+        ? '🌧 Pioggia rilevata: i programmi pianificati vengono saltati'
+        : '☀ Sensore pioggia: nessuna pioggia rilevata';
+    statusElement.classList.add('visible');
+}
+
+// Mostra l'avanzamento complessivo del programma in esecuzione
+function updateProgramProgressPanel(state) {
+    const panel = document.getElementById('program-progress-panel');
+    if (!panel) return;
+    
+    if (!state || !state.program_running || state.current_step === null || state.current_step === undefined) {
+        panel.classList.remove('visible');
+        return;
+    }
+    
+    const program = window.programsData[state.current_program_id];
+    const programName = program && program.name ? program.name : `Programma ${state.current_program_id}`;
+    const programTotal = state.program_total || 0;
+    const programElapsed = Math.min(state.program_elapsed || 0, programTotal);
+    const percentage = programTotal > 0 ? (programElapsed / programTotal) * 100 : 0;
+    
+    document.getElementById('program-progress-name').textContent =
+        state.paused ? `${programName} (in pausa)` : programName;
+    document.getElementById('program-progress-step').textContent =
+        `Step ${state.current_step + 1} di ${state.step_count}`;
+    document.getElementById('program-progress-fill').style.width = `${Math.min(Math.max(percentage, 0), 100)}%`;
+    
+    const elapsedDisplay = document.getElementById('program-progress-elapsed');
+    const remainingDisplay = document.getElementById('program-progress-remaining');
+    updateTimerDisplay(programElapsed, elapsedDisplay);
+    updateTimerDisplay(state.program_remaining || 0, remainingDisplay);
+    elapsedDisplay.textContent = `Trascorso ${elapsedDisplay.textContent}`;
+    remainingDisplay.textContent = `Rimanente ${remainingDisplay.textContent}`;
+    
+    panel.classList.add('visible');
+}
+
 // Funzione per avviare una zona
 function startZone(zoneId, duration) {
     console.log(`Tentativo di avvio zona ${zoneId} per ${duration} minuti`);
@@ -387,28 +709,10 @@ function startZone(zoneId, duration) {
         zoneCard.classList.add('loading');
     }
 
-    fetch('/start_zone', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ zone_id: zoneId, duration: duration })
-    })
-    .then(response => {
-        // Riabilita il toggle
-        if (toggle) toggle.disabled = false;
-        if (zoneCard) zoneCard.classList.remove('loading');
-        
-        if (!response.ok) {
-            throw new Error(`Errore HTTP: ${response.status}`);
-        }
-        return response.json();
-    })
+    // L'avvio riparte da zero se ripetuto: nessun nuovo tentativo automatico
+    apiPost('/start_zone', { zone_id: zoneId, duration: duration })
     .then(data => {
         console.log("Risposta dal server:", data);
-        
-        if (!data.success) {
-            throw new Error(data.error || 'Errore durante l\'avvio della zona');
-        }
-        
         console.log(`Zona ${zoneId} avviata per ${duration} minuti.`);
         showToast(`Zona ${zoneId + 1} avviata per ${duration} minuti`, 'success');
         
@@ -424,6 +728,11 @@ function startZone(zoneId, duration) {
         
         // Aggiorna lo stato per sicurezza
         fetchZonesStatus();
+    })
+    .finally(() => {
+        // Riabilita il toggle
+        if (toggle) toggle.disabled = false;
+        if (zoneCard) zoneCard.classList.remove('loading');
     });
 }
 
@@ -440,26 +749,9 @@ function stopZone(zoneId) {
         zoneCard.classList.add('loading');
     }
     
-    fetch('/stop_zone', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ zone_id: zoneId })
-    })
-    .then(response => {
-        // Riabilita il toggle
-        if (toggle) toggle.disabled = false;
-        if (zoneCard) zoneCard.classList.remove('loading');
-        
-        if (!response.ok) {
-            throw new Error(`Errore HTTP: ${response.status}`);
-        }
-        return response.json();
-    })
-    .then(data => {
-        if (!data.success) {
-            throw new Error(data.error || 'Errore durante l\'arresto della zona');
-        }
-        
+    // Fermare una zona già ferma non ha effetti: la chiamata può essere ritentata
+    apiPost('/stop_zone', { zone_id: zoneId }, { idempotent: true })
+    .then(() => {
         console.log(`Zona ${zoneId} arrestata.`);
         showToast(`Zona ${zoneId + 1} arrestata`, 'info');
         
@@ -471,13 +763,15 @@ function stopZone(zoneId) {
         showToast(`Errore: ${error.message}`, 'error');
         
         // Ripristina lo stato precedente
-        if (toggle) {
-            toggle.checked = true;
-            toggle.disabled = false;
-        }
+        if (toggle) toggle.checked = true;
         
         // Aggiorna lo stato per sicurezza
         fetchZonesStatus();
+    })
+    .finally(() => {
+        // Riabilita il toggle
+        if (toggle) toggle.disabled = false;
+        if (zoneCard) zoneCard.classList.remove('loading');
     });
 }
 
@@ -511,10 +805,7 @@ function attachZoneToggleFunctions() {
     });
 }
 
-// Inizializzazione quando il documento è caricato
-document.addEventListener('DOMContentLoaded', () => {
-    // Se userSettings è già disponibile, inizializza la pagina
-    if (window.userData && Object.keys(window.userData).length > 0) {
-        initializeManualPage(window.userData);
-    }
-});
\ No newline at end of file
+registerPage('manual.html', {
+    mount: mountManualPage,
+    unmount: unmountManualPage
+});
@@ -0,0 +1,1134 @@
+// program_form.js - Script della pagina di creazione e modifica programmi (program_form.html)
+// La modalità dipende dalla rotta: /programs/new crea un programma, /programs/:id/edit lo modifica
+
+// Elenco dei mesi selezionabili
+const PROGRAM_FORM_MONTHS = [
+    'Gennaio', 'Febbraio', 'Marzo', 'Aprile',
+    'Maggio', 'Giugno', 'Luglio', 'Agosto',
+    'Settembre', 'Ottobre', 'Novembre', 'Dicembre'
+];
+
+// Numero massimo di orari di attivazione per programma
+const PROGRAM_FORM_MAX_TIMES = 6;
+
+// Limiti di cicli e pause di assorbimento per step (come in program_manager.py)
+const PROGRAM_FORM_MAX_CYCLES = 10;
+const PROGRAM_FORM_MAX_SOAK = 120;
+
+// Anticipo/ritardo massimo rispetto ad alba e tramonto (minuti, come MAX_SUN_OFFSET sul server)
+const PROGRAM_FORM_MAX_SUN_OFFSET = 240;
+
+// Date escluse conservate per programma (come MAX_EXCLUDED_DATES sul server)
+const PROGRAM_FORM_MAX_EXCLUDED_DATES = 50;
+
+// Alba e tramonto di oggi (da /get_sun_times), per l'anteprima dell'orario di avvio
+let programFormSunTimes = null;
+
+// Impostazioni utente e programmi salvati, per l'anteprima dell'esecuzione
+let programFormSettings = null;
+let programFormPrograms = {};
+
+// ID del programma in modifica (escluso dal controllo delle sovrapposizioni)
+let programFormEditingId = null;
+
+// Ultimo salvataggio rifiutato per sovrapposizioni, ripetibile con "Salva comunque"
+let programFormPendingSave = null;
+
+// Carica le zone dalle impostazioni utente e genera le griglie del form
+function initializeProgramForm(editingProgramId = null) {
+    programFormEditingId = editingProgramId !== null ? String(editingProgramId) : null;
+    programFormPendingSave = null;
+    programFormSettings = null;
+    programFormPrograms = {};
+    
+    // Alba e tramonto servono solo per l'anteprima: un errore non blocca il form
+    programFormSunTimes = null;
+    apiGet('/get_sun_times')
+        .then(sunTimes => {
+            programFormSunTimes = sunTimes;
+            updateSunStartPreview();
+            updateTimelinePreview();
+        })
+        .catch(error => console.warn('Orari di alba e tramonto non disponibili:', error));
+    
+    // Anche i programmi esistenti servono solo a segnalare le sovrapposizioni
+    apiGet('/data/program.json')
+        .then(programs => {
+            programFormPrograms = programs && typeof programs === 'object' ? programs : {};
+            updateTimelinePreview();
+        })
+        .catch(error => console.warn('Programmi esistenti non disponibili:', error));
+    
+    return apiGet('/data/user_settings.json')
+        .then(userSettings => {
+            programFormSettings = userSettings || {};
+            
+            // Genera la griglia dei mesi e quella dei giorni della settimana
+            generateMonthsGrid();
+            generateWeekDaysGrid();
+            
+            // Parti con un solo orario fisso vuoto
+            setActivationTimes([]);
+            toggleStartMode();
+            
+            // Una tantum: propone domani alle 06:00
+            const tomorrow = new Date();
+            tomorrow.setDate(tomorrow.getDate() + 1);
+            document.getElementById('run-date').min = formatScheduleDate(new Date());
+            document.getElementById('run-date').value = formatScheduleDate(tomorrow);
+            document.getElementById('run-time').value = '06:00';
+            toggleScheduleType();
+            
+            // Nessun periodo limite né data esclusa
+            document.getElementById('excluded-date-input').min = formatScheduleDate(new Date());
+            setExcludedDates([]);
+            
+            // Genera la griglia delle zone
+            if (userSettings && userSettings.zones) {
+                generateZonesGrid(userSettings.zones);
+            } else {
+                console.error("Nessuna zona trovata nelle impostazioni");
+                showToast("Errore: nessuna zona configurata", "error");
+            }
+            
+            // Aggiorna l'anteprima dell'esecuzione a ogni modifica del form
+            const timelinePreview = document.getElementById('timeline-preview');
+            const formContainer = timelinePreview ? timelinePreview.closest('.container') : null;
+            if (formContainer) {
+                ['input', 'change', 'click'].forEach(eventName => {
+                    formContainer.addEventListener(eventName, () => updateTimelinePreview());
+                });
+            }
+            updateTimelinePreview();
+            
+            return userSettings;
+        });
+}
+
+// Genera la griglia dei mesi
+function generateMonthsGrid() {
+    const monthsGrid = document.getElementById('months-grid');
+    if (!monthsGrid) {
+        console.error("Elemento months-grid non trovato");
+        return;
+    }
+    
+    monthsGrid.innerHTML = '';
+    
+    PROGRAM_FORM_MONTHS.forEach(month => {
+        const monthItem = document.createElement('div');
+        monthItem.className = 'month-item';
+        monthItem.textContent = month;
+        monthItem.dataset.month = month;
+        
+        monthItem.addEventListener('click', () => {
+            monthItem.classList.toggle('selected');
+        });
+        
+        monthsGrid.appendChild(monthItem);
+    });
+}
+
+// Mostra data e orario di un'irrigazione una tantum al posto di orari, cadenza e mesi
+function toggleScheduleType() {
+    const scheduleType = document.getElementById('schedule-type');
+    const formContainer = scheduleType ? scheduleType.closest('.container') : null;
+    if (!formContainer) return;
+    
+    formContainer.classList.toggle('one-shot-mode', scheduleType.value === PROGRAM_SCHEDULE_ONCE);
+}
+
+// Indica se il form descrive un'irrigazione una tantum
+function isOneShotForm() {
+    const scheduleType = document.getElementById('schedule-type');
+    return !!scheduleType && scheduleType.value === PROGRAM_SCHEDULE_ONCE;
+}
+
+// Mostra gli orari fissi oppure l'anticipo/ritardo rispetto ad alba e tramonto
+function toggleStartMode() {
+    const startMode = document.getElementById('start-mode');
+    const fixedSection = document.getElementById('fixed-times-section');
+    const sunSection = document.getElementById('sun-start-section');
+    if (!startMode || !fixedSection || !sunSection) return;
+    
+    const sunRelative = startMode.value === 'alba' || startMode.value === 'tramonto';
+    fixedSection.classList.toggle('visible', !sunRelative);
+    sunSection.classList.toggle('visible', sunRelative);
+    
+    updateSunStartPreview();
+}
+
+// Legge l'anticipo/ritardo in minuti (negativo = prima dell'evento)
+function readSunOffset() {
+    const minutes = parseInt(document.getElementById('sun-offset-minutes').value);
+    const direction = parseInt(document.getElementById('sun-offset-direction').value);
+    return isNaN(minutes) ? NaN : minutes * direction;
+}
+
+// Mostra l'orario di avvio risultante per oggi
+function updateSunStartPreview() {
+    const preview = document.getElementById('sun-start-preview');
+    const startMode = document.getElementById('start-mode');
+    if (!preview || !startMode) return;
+    
+    if (!programFormSunTimes) {
+        preview.textContent = '';
+        return;
+    }
+    
+    if (!programFormSunTimes.configured) {
+        preview.textContent = 'Configura la posizione nelle impostazioni per usare alba e tramonto.';
+        return;
+    }
+    
+    const offset = readSunOffset();
+    const startTime = resolveSunStartTime({ start_mode: startMode.value, sun_offset: isNaN(offset) ? 0 : offset }, programFormSunTimes);
+    const eventLabel = startMode.value === 'alba' ? 'alba' : 'tramonto';
+    const eventTime = startMode.value === 'alba' ? programFormSunTimes.sunrise : programFormSunTimes.sunset;
+    
+    preview.textContent = startTime
+        ? `Oggi: ${eventLabel} alle ${eventTime}, avvio alle ${startTime}`
+        : `Oggi non c'è ${eventLabel === 'alba' ? "l'alba" : 'il tramonto'}: il programma non partirà`;
+}
+
+// Sostituisce gli orari di attivazione del form (almeno una riga, anche vuota)
+function setActivationTimes(times) {
+    const container = document.getElementById('activation-times');
+    if (!container) return;
+    
+    container.innerHTML = '';
+    const rows = times.length > 0 ? times.slice(0, PROGRAM_FORM_MAX_TIMES) : [''];
+    rows.forEach(time => addActivationTimeRow(time));
+}
+
+// Aggiunge una riga per un orario di attivazione
+function addActivationTimeRow(value = '') {
+    const container = document.getElementById('activation-times');
+    if (!container) return;
+    
+    if (container.children.length >= PROGRAM_FORM_MAX_TIMES) {
+        showToast(`Puoi inserire al massimo ${PROGRAM_FORM_MAX_TIMES} orari`, 'warning');
+        return;
+    }
+    
+    const row = document.createElement('div');
+    row.className = 'activation-time-row';
+    row.innerHTML = `
+        <input type="time" class="input-control activation-time-input">
+        <button type="button" class="remove-time-button" title="Rimuovi orario">&times;</button>
+    `;
+    row.querySelector('.activation-time-input').value = value;
+    row.querySelector('.remove-time-button').addEventListener('click', () => {
+        row.remove();
+        updateActivationTimeButtons();
+    });
+    
+    container.appendChild(row);
+    updateActivationTimeButtons();
+}
+
+// Nasconde la rimozione se resta un solo orario e disabilita l'aggiunta oltre il massimo
+function updateActivationTimeButtons() {
+    const rows = document.querySelectorAll('.activation-time-row');
+    rows.forEach(row => {
+        row.querySelector('.remove-time-button').style.visibility = rows.length > 1 ? 'visible' : 'hidden';
+    });
+    
+    const addButton = document.getElementById('add-time-button');
+    if (addButton) {
+        addButton.disabled = rows.length >= PROGRAM_FORM_MAX_TIMES;
+    }
+}
+
+// Genera la griglia dei giorni della settimana
+function generateWeekDaysGrid() {
+    const weekDaysGrid = document.getElementById('week-days-grid');
+    if (!weekDaysGrid) {
+        console.error("Elemento week-days-grid non trovato");
+        return;
+    }
+    
+    weekDaysGrid.innerHTML = '';
+    
+    WEEKDAY_SHORT_NAMES.forEach((dayName, dayIndex) => {
+        const dayItem = document.createElement('div');
+        dayItem.className = 'weekday-item';
+        dayItem.textContent = dayName;
+        dayItem.dataset.day = dayIndex;
+        
+        dayItem.addEventListener('click', () => {
+            dayItem.classList.toggle('selected');
+        });
+        
+        weekDaysGrid.appendChild(dayItem);
+    });
+}
+
+// Genera la griglia delle zone
+function generateZonesGrid(zones) {
+    const zonesGrid = document.getElementById('zones-grid');
+    if (!zonesGrid) {
+        console.error("Elemento zones-grid non trovato");
+        return;
+    }
+    
+    zonesGrid.innerHTML = '';
+    
+    // Filtra solo le zone visibili
+    const visibleZones = zones && Array.isArray(zones) ?
+                        zones.filter(zone => zone && zone.status === 'show') : [];
+    
+    if (visibleZones.length === 0) {
+        zonesGrid.innerHTML = `
+            <div style="grid-column: 1/-1; text-align:center; padding:20px;">
+                <p>Nessuna zona disponibile.</p>
+                <button onclick="navigateTo('/settings')" class="button secondary-button">
+                    Configura Zone
+                </button>
+            </div>
+        `;
+        return;
+    }
+    
+    visibleZones.forEach(zone => {
+        if (!zone || zone.id === undefined) return;
+        
+        const zoneItem = document.createElement('div');
+        zoneItem.className = 'zone-item';
+        zoneItem.dataset.zoneId = zone.id;
+        
+        zoneItem.innerHTML = `
+            <div class="zone-header">
+                <input type="checkbox" class="zone-checkbox" id="zone-${zone.id}" data-zone-id="${zone.id}">
+                <label for="zone-${zone.id}" class="zone-name">${zone.name || `Zona ${zone.id + 1}`}</label>
+            </div>
+            <div>
+                <input type="number" class="zone-duration" id="duration-${zone.id}"
+					min="1" max="180" placeholder="Durata (minuti)"
+					data-zone-id="${zone.id}" disabled>
+            </div>
+            <div class="zone-cycle-options">
+                <label>
+                    Cicli
+                    <input type="number" class="zone-cycles" id="cycles-${zone.id}"
+                           min="1" max="${PROGRAM_FORM_MAX_CYCLES}" value="1" disabled>
+                </label>
+                <label>
+                    Pausa tra cicli (min)
+                    <input type="number" class="zone-soak" id="soak-${zone.id}"
+                           min="0" max="${PROGRAM_FORM_MAX_SOAK}" value="0" disabled>
+                </label>
+            </div>
+        `;
+        
+        zonesGrid.appendChild(zoneItem);
+        
+        // Aggiungi listener al checkbox
+        const checkbox = zoneItem.querySelector('.zone-checkbox');
+        const durationInput = zoneItem.querySelector('.zone-duration');
+        const cycleInputs = zoneItem.querySelectorAll('.zone-cycles, .zone-soak');
+        
+        checkbox.addEventListener('change', () => {
+            // Abilita/disabilita durata, cicli e pausa in base allo stato del checkbox
+            durationInput.disabled = !checkbox.checked;
+            cycleInputs.forEach(input => {
+                input.disabled = !checkbox.checked;
+            });
+            
+            // Aggiorna la classe selected della zona
+            zoneItem.classList.toggle('selected', checkbox.checked);
+            
+            // Se il checkbox è selezionato, imposta il focus sull'input durata
+            if (checkbox.checked) {
+                durationInput.focus();
+            }
+        });
+    });
+}
+
+// Mostra/nascondi l'input per i giorni personalizzati e la scelta dei giorni della settimana
+function toggleCustomDays() {
+    const recurrenceSelect = document.getElementById('recurrence');
+    const customDaysDiv = document.getElementById('custom-days');
+    const weekDaysDiv = document.getElementById('week-days');
+    
+    if (!recurrenceSelect) return;
+    
+    if (customDaysDiv) {
+        customDaysDiv.classList.toggle('visible', recurrenceSelect.value === 'personalizzata');
+    }
+    if (weekDaysDiv) {
+        weekDaysDiv.classList.toggle('visible', recurrenceSelect.value === 'settimanale');
+    }
+}
+
+// Sostituisce le date escluse del form
+function setExcludedDates(dates) {
+    const container = document.getElementById('excluded-dates');
+    if (!container) return;
+    
+    container.innerHTML = '';
+    dates.slice().sort().forEach(date => addExcludedDateChip(date));
+    updateExcludedDatesEmpty();
+}
+
+// Aggiunge la data indicata nel campo alle date escluse
+function addExcludedDate() {
+    const input = document.getElementById('excluded-date-input');
+    const date = parseScheduleDate(input.value);
+    if (!date) {
+        showToast('Seleziona una data da escludere', 'warning');
+        return;
+    }
+    
+    const dateString = formatScheduleDate(date);
+    const dates = readExcludedDates();
+    if (dateString < formatScheduleDate(new Date())) {
+        showToast('Le date già passate non possono essere escluse', 'warning');
+        return;
+    }
+    if (dates.includes(dateString)) {
+        showToast('Data già esclusa', 'warning');
+        return;
+    }
+    if (dates.length >= PROGRAM_FORM_MAX_EXCLUDED_DATES) {
+        showToast(`Puoi escludere al massimo ${PROGRAM_FORM_MAX_EXCLUDED_DATES} date`, 'warning');
+        return;
+    }
+    
+    setExcludedDates(dates.concat(dateString));
+    input.value = '';
+}
+
+// Aggiunge l'etichetta di una data esclusa, con il pulsante per rimuoverla
+function addExcludedDateChip(date) {
+    const container = document.getElementById('excluded-dates');
+    const chip = document.createElement('span');
+    chip.className = 'excluded-date-chip';
+    chip.dataset.date = date;
+    chip.innerHTML = `
+        ${formatScheduleDateLabel(date)}
+        <button type="button" class="remove-excluded-date" title="Rimuovi data">&times;</button>
+    `;
+    chip.querySelector('.remove-excluded-date').addEventListener('click', () => {
+        chip.remove();
+        updateExcludedDatesEmpty();
+    });
+    
+    container.appendChild(chip);
+}
+
+// Mostra un avviso quando non ci sono date escluse
+function updateExcludedDatesEmpty() {
+    const empty = document.getElementById('excluded-dates-empty');
+    if (empty) {
+        empty.style.display = readExcludedDates().length === 0 ? 'block' : 'none';
+    }
+}
+
+// Date escluse presenti nel form, in ordine
+function readExcludedDates() {
+    return Array.from(document.querySelectorAll('.excluded-date-chip'))
+        .map(chip => chip.dataset.date)
+        .sort();
+}
+
+// Compila il form con i dati di un programma esistente
+function fillProgramForm(program) {
+    document.getElementById('program-name').value = program.name || '';
+    
+    // Irrigazione una tantum: data e unico orario
+    document.getElementById('schedule-type').value = isOneShotProgram(program) ? PROGRAM_SCHEDULE_ONCE : PROGRAM_SCHEDULE_RECURRING;
+    if (isOneShotProgram(program)) {
+        document.getElementById('run-date').value = program.run_date || '';
+        document.getElementById('run-time').value = getProgramActivationTimes(program)[0] || '';
+    }
+    toggleScheduleType();
+    
+    // Modalità di avvio: orari fissi oppure relativi ad alba/tramonto
+    document.getElementById('start-mode').value = isSunRelativeProgram(program) ? program.start_mode : 'orario';
+    if (isSunRelativeProgram(program)) {
+        const offset = parseInt(program.sun_offset) || 0;
+        document.getElementById('sun-offset-minutes').value = Math.abs(offset);
+        document.getElementById('sun-offset-direction').value = offset > 0 ? '1' : '-1';
+    } else {
+        setActivationTimes(getProgramActivationTimes(program));
+    }
+    toggleStartMode();
+    document.getElementById('recurrence').value = program.recurrence || 'giornaliero';
+    
+    // Se la ricorrenza è personalizzata, mostra e imposta l'intervallo
+    if (program.recurrence === 'personalizzata') {
+        document.getElementById('interval-days').value = program.interval_days || 3;
+    }
+    
+    // Se la ricorrenza è settimanale, seleziona i giorni
+    if (program.recurrence === 'settimanale' && Array.isArray(program.week_days)) {
+        document.querySelectorAll('.weekday-item').forEach(item => {
+            item.classList.toggle('selected', program.week_days.includes(parseInt(item.dataset.day)));
+        });
+    }
+    toggleCustomDays();
+    
+    // Seleziona i mesi
+    if (program.months && program.months.length > 0) {
+        document.querySelectorAll('.month-item').forEach(item => {
+            item.classList.toggle('selected', program.months.includes(item.dataset.month));
+        });
+    }
+    
+    // Periodo attivo e date escluse (facoltativi)
+    document.getElementById('active-from').value = program.active_from || '';
+    document.getElementById('active-to').value = program.active_to || '';
+    setExcludedDates(Array.isArray(program.excluded_dates) ? program.excluded_dates : []);
+    
+    // Seleziona le zone e imposta le durate
+    if (program.steps && program.steps.length > 0) {
+        program.steps.forEach(step => {
+            if (!step || step.zone_id === undefined) return;
+            
+            const checkbox = document.getElementById(`zone-${step.zone_id}`);
+            const durationInput = document.getElementById(`duration-${step.zone_id}`);
+            
+            if (checkbox && durationInput) {
+                checkbox.checked = true;
+                durationInput.disabled = false;
+                durationInput.value = step.duration || 10;
+                
+                // Cicli e pausa di assorbimento (facoltativi)
+                const cyclesInput = document.getElementById(`cycles-${step.zone_id}`);
+                const soakInput = document.getElementById(`soak-${step.zone_id}`);
+                if (cyclesInput && soakInput) {
+                    cyclesInput.disabled = false;
+                    soakInput.disabled = false;
+                    cyclesInput.value = step.cycles || 1;
+                    soakInput.value = step.soak_minutes || 0;
+                }
+                
+                // Seleziona anche la card della zona
+                const zoneItem = document.querySelector(`.zone-item[data-zone-id="${step.zone_id}"]`);
+                if (zoneItem) {
+                    zoneItem.classList.add('selected');
+                }
+            }
+        });
+    }
+}
+
+// Legge dal form i dati usati dall'anteprima, senza validarli né mostrare errori
+function readTimelineDraft() {
+    const startMode = document.getElementById('start-mode').value;
+    const draft = { start_mode: startMode, recurrence: document.getElementById('recurrence').value, months: [], steps: [] };
+    
+    if (draft.recurrence === 'settimanale') {
+        draft.week_days = [];
+        document.querySelectorAll('.weekday-item.selected').forEach(item => {
+            draft.week_days.push(parseInt(item.dataset.day));
+        });
+    }
+    
+    if (startMode === 'alba' || startMode === 'tramonto') {
+        const offset = readSunOffset();
+        draft.sun_offset = isNaN(offset) ? 0 : offset;
+    } else {
+        draft.activation_times = [];
+        document.querySelectorAll('.activation-time-input').forEach(input => {
+            if (input.value) draft.activation_times.push(input.value);
+        });
+    }
+    
+    document.querySelectorAll('.month-item.selected').forEach(item => {
+        draft.months.push(item.dataset.month);
+    });
+    
+    draft.active_from = document.getElementById('active-from').value;
+    draft.active_to = document.getElementById('active-to').value;
+    draft.excluded_dates = readExcludedDates();
+    
+    // Una tantum: un solo orario fisso nel giorno indicato, il cui mese è l'unico attivo
+    if (isOneShotForm()) {
+        const runDate = parseScheduleDate(document.getElementById('run-date').value);
+        const runTime = document.getElementById('run-time').value;
+        draft.schedule_type = PROGRAM_SCHEDULE_ONCE;
+        draft.run_date = runDate ? formatScheduleDate(runDate) : '';
+        draft.start_mode = 'orario';
+        draft.activation_times = runTime ? [runTime] : [];
+        draft.months = runDate ? [PROGRAM_MONTH_NAMES[runDate.getMonth()]] : [];
+        delete draft.recurrence;
+        delete draft.week_days;
+        delete draft.sun_offset;
+        delete draft.active_from;
+        delete draft.active_to;
+        delete draft.excluded_dates;
+    }
+    
+    document.querySelectorAll('.zone-checkbox:checked').forEach(checkbox => {
+        const zoneId = parseInt(checkbox.dataset.zoneId);
+        const duration = parseInt(document.getElementById(`duration-${zoneId}`).value);
+        if (isNaN(duration) || duration < 1) return;
+        
+        const cycles = parseInt(document.getElementById(`cycles-${zoneId}`).value) || 1;
+        const soakMinutes = parseInt(document.getElementById(`soak-${zoneId}`).value) || 0;
+        draft.steps.push({ zone_id: zoneId, duration: duration, cycles: cycles, soak_minutes: soakMinutes });
+    });
+    
+    return draft;
+}
+
+// Cerca i programmi abilitati che girano in contemporanea a un'esecuzione
+// (stessi criteri di check_program_conflicts sul server)
+function findTimelineOverlaps(draft, timeline) {
+    const overlaps = [];
+    
+    Object.entries(programFormPrograms).forEach(([programId, program]) => {
+        if (!program || programId === programFormEditingId) return;
+        if (program.automatic_enabled === false || isArchivedProgram(program)) return;
+        
+        // Due programmi possono sovrapporsi solo nei mesi in comune
+        const months = Array.isArray(program.months) ? program.months : [];
+        if (!months.some(month => draft.months.includes(month))) return;
+        
+        if (!timelineProgramsShareDays(draft, program)) return;
+        
+        getProgramStartTimes(program, programFormSunTimes).forEach(startTime => {
+            const other = buildProgramTimeline(program, startTime, programFormSettings);
+            if (timeRangesOverlap(timeline.start, timeline.end, other.start, other.end)) {
+                overlaps.push({ name: program.name || `Programma ${programId}`, start: other.start, end: other.end });
+            }
+        });
+    });
+    
+    return overlaps;
+}
+
+// Indica se due programmi possono girare nello stesso giorno (come _programs_share_days sul server):
+// solo la cadenza settimanale e le irrigazioni una tantum fissano i giorni in anticipo,
+// mentre periodi attivi disgiunti e date escluse separano comunque i programmi
+function timelineProgramsShareDays(program, other) {
+    if (isOneShotProgram(program) && isOneShotProgram(other)) {
+        return program.run_date === other.run_date;
+    }
+    
+    if (isOneShotProgram(program) || isOneShotProgram(other)) {
+        const oneShot = isOneShotProgram(program) ? program : other;
+        const recurring = oneShot === program ? other : program;
+        if (!isProgramEnabledOnDate(recurring, oneShot.run_date)) return false;
+        
+        const runDate = parseScheduleDate(oneShot.run_date);
+        return recurring.recurrence !== 'settimanale' ||
+            (!!runDate && (recurring.week_days || []).includes((runDate.getDay() + 6) % 7));
+    }
+    
+    if (!programDateWindowsOverlap(program, other)) return false;
+    
+    if (program.recurrence === 'settimanale' && other.recurrence === 'settimanale') {
+        return (other.week_days || []).some(day => (program.week_days || []).includes(day));
+    }
+    return true;
+}
+
+// Mostra l'anteprima dell'esecuzione: orari di ogni zona, pause e sovrapposizioni
+function updateTimelinePreview() {
+    const preview = document.getElementById('timeline-preview');
+    if (!preview || !programFormSettings) return;
+    
+    const draft = readTimelineDraft();
+    if (draft.steps.length === 0) {
+        preview.innerHTML = '<p class="timeline-empty">Seleziona almeno una zona con la relativa durata.</p>';
+        return;
+    }
+    
+    const startTimes = getProgramStartTimes(draft, programFormSunTimes);
+    if (startTimes.length === 0) {
+        preview.innerHTML = `<p class="timeline-empty">${isSunRelativeProgram(draft)
+            ? "Orario di alba o tramonto non disponibile per oggi."
+            : 'Inserisci almeno un orario di attivazione.'}</p>`;
+        return;
+    }
+    
+    // Il bilancio idrico di un'irrigazione una tantum è quello del mese di esecuzione
+    const runDate = isOneShotProgram(draft) ? parseScheduleDate(draft.run_date) : null;
+    const month = runDate ? runDate.getMonth() + 1 : undefined;
+    
+    // Nomi delle zone dalle impostazioni
+    const zoneNames = {};
+    (programFormSettings.zones || []).forEach(zone => {
+        if (zone && zone.id !== undefined) zoneNames[zone.id] = zone.name || `Zona ${zone.id + 1}`;
+    });
+    
+    const budgetPercent = getWaterBudgetPercent(programFormSettings, month);
+    const activationDelay = parseInt(programFormSettings.activation_delay) || 0;
+    const notes = [];
+    if (budgetPercent !== 100) notes.push(`bilancio idrico ${budgetPercent}%`);
+    if (activationDelay > 0) notes.push(`${activationDelay} s di ritardo tra le zone`);
+    
+    let html = notes.length > 0 ? `<p class="timeline-notes">Calcolata con ${notes.join(', ')}.</p>` : '';
+    
+    // Il dispositivo non attiva una zona oltre la durata massima: le durate vengono ridotte
+    const maxDuration = getMaxZoneDuration(programFormSettings);
+    const cappedZones = (draft.steps || [])
+        .filter(step => step && applyWaterBudget(step.duration || 1, budgetPercent) > maxDuration)
+        .map(step => zoneNames[step.zone_id] || `Zona ${step.zone_id + 1}`);
+    if (cappedZones.length > 0) {
+        html += `
+            <div class="timeline-warning">
+                ⚠️ Con il bilancio idrico ${cappedZones.join(', ')} supera la durata massima: limitata a ${maxDuration} min
+            </div>
+        `;
+    }
+    
+    startTimes.forEach(startTime => {
+        const timeline = buildProgramTimeline(draft, startTime, programFormSettings, month);
+        const totalMinutes = Math.round((timeline.end - timeline.start) / 60);
+        
+        html += `
+            <div class="timeline-run">
+                <div class="timeline-run-header">
+                    Avvio ${startTime} · fine ${formatTimeOfDay(timeline.end)} (${totalMinutes} min)
+                </div>
+        `;
+        
+        timeline.entries.forEach(entry => {
+            const label = entry.zone_id === null
+                ? 'Pausa di assorbimento'
+                : `${zoneNames[entry.zone_id] || `Zona ${entry.zone_id + 1}`}${entry.cycles > 1 ? ` (ciclo ${entry.cycle}/${entry.cycles})` : ''}`;
+            
+            html += `
+                <div class="timeline-entry${entry.zone_id === null ? ' soak' : ''}">
+                    <span class="timeline-time">${formatTimeOfDay(entry.start)} – ${formatTimeOfDay(entry.end)}</span>
+                    <span class="timeline-zone">${label}</span>
+                </div>
+            `;
+        });
+        
+        findTimelineOverlaps(draft, timeline).forEach(overlap => {
+            html += `
+                <div class="timeline-warning">
+                    ⚠️ Si sovrappone a "${overlap.name}" (${formatTimeOfDay(overlap.start)} – ${formatTimeOfDay(overlap.end)})
+                </div>
+            `;
+        });
+        
+        html += '</div>';
+    });
+    
+    preview.innerHTML = html;
+}
+
+// Legge e valida i dati del form.
+// Restituisce l'oggetto programma oppure null (dopo aver mostrato l'errore)
+function readProgramForm() {
+    const programName = document.getElementById('program-name').value.trim();
+    if (isOneShotForm()) {
+        return readOneShotProgramForm(programName);
+    }
+    
+    const recurrence = document.getElementById('recurrence').value;
+    let intervalDays = null;
+    let weekDays = null;
+    
+    if (recurrence === 'personalizzata') {
+        intervalDays = parseInt(document.getElementById('interval-days').value);
+        if (isNaN(intervalDays) || intervalDays < 1) {
+            showToast('Inserisci un intervallo di giorni valido', 'error');
+            return null;
+        }
+    }
+    
+    if (recurrence === 'settimanale') {
+        weekDays = [];
+        document.querySelectorAll('.weekday-item.selected').forEach(item => {
+            weekDays.push(parseInt(item.dataset.day));
+        });
+        if (weekDays.length === 0) {
+            showToast('Seleziona almeno un giorno della settimana', 'error');
+            return null;
+        }
+    }
+    
+    // Valida il nome del programma
+    if (!programName) {
+        showToast('Inserisci un nome per il programma', 'error');
+        return null;
+    }
+    
+    const startMode = document.getElementById('start-mode').value;
+    const sunRelative = startMode === 'alba' || startMode === 'tramonto';
+    const activationTimes = [];
+    let sunOffset = 0;
+    
+    if (sunRelative) {
+        // Valida l'anticipo/ritardo rispetto ad alba o tramonto
+        sunOffset = readSunOffset();
+        if (isNaN(sunOffset) || Math.abs(sunOffset) > PROGRAM_FORM_MAX_SUN_OFFSET) {
+            showToast(`Inserisci un anticipo o ritardo tra 0 e ${PROGRAM_FORM_MAX_SUN_OFFSET} minuti`, 'error');
+            return null;
+        }
+    } else {
+        // Raccogli e valida gli orari di attivazione (le righe vuote vengono ignorate)
+        document.querySelectorAll('.activation-time-input').forEach(input => {
+            if (input.value && !activationTimes.includes(input.value)) {
+                activationTimes.push(input.value);
+            }
+        });
+        activationTimes.sort();
+    
+        if (activationTimes.length === 0) {
+            showToast('Inserisci almeno un orario di attivazione', 'error');
+            return null;
+        }
+    }
+    
+    // Raccogli i mesi selezionati
+    const selectedMonths = [];
+    document.querySelectorAll('.month-item.selected').forEach(item => {
+        selectedMonths.push(item.dataset.month);
+    });
+    
+    if (selectedMonths.length === 0) {
+        showToast('Seleziona almeno un mese', 'error');
+        return null;
+    }
+    
+    // Periodo attivo facoltativo: basta una delle due date
+    const activeFrom = document.getElementById('active-from').value;
+    const activeTo = document.getElementById('active-to').value;
+    if (activeFrom && activeTo && activeFrom > activeTo) {
+        showToast('La data di inizio del periodo deve precedere quella di fine', 'error');
+        return null;
+    }
+    const excludedDates = readExcludedDates();
+    
+    const steps = readProgramFormSteps();
+    if (!steps) return null;
+    
+    // Crea l'oggetto programma
+    const program = {
+        name: programName,
+        schedule_type: PROGRAM_SCHEDULE_RECURRING,
+        start_mode: startMode,
+        recurrence: recurrence,
+        months: selectedMonths,
+        steps: steps
+    };
+    
+    // Aggiungi l'intervallo dei giorni se la ricorrenza è personalizzata
+    if (recurrence === 'personalizzata') {
+        program.interval_days = intervalDays;
+    }
+    
+    // Orari fissi oppure anticipo/ritardo rispetto ad alba o tramonto
+    if (sunRelative) {
+        program.sun_offset = sunOffset;
+    } else {
+        program.activation_times = activationTimes;
+    }
+    
+    // Aggiungi i giorni della settimana se la ricorrenza è settimanale
+    if (recurrence === 'settimanale') {
+        program.week_days = weekDays;
+    }
+    
+    // Periodo attivo e date escluse solo se indicati
+    if (activeFrom) program.active_from = activeFrom;
+    if (activeTo) program.active_to = activeTo;
+    if (excludedDates.length > 0) program.excluded_dates = excludedDates;
+    
+    return program;
+}
+
+// Legge e valida un'irrigazione una tantum (data, orario e zone).
+// Restituisce l'oggetto programma oppure null (dopo aver mostrato l'errore)
+function readOneShotProgramForm(programName) {
+    if (!programName) {
+        showToast('Inserisci un nome per il programma', 'error');
+        return null;
+    }
+    
+    const runDate = document.getElementById('run-date').value;
+    const runTime = document.getElementById('run-time').value;
+    if (!parseScheduleDate(runDate) || !runTime) {
+        showToast('Inserisci la data e l\'orario dell\'irrigazione', 'error');
+        return null;
+    }
+    
+    const start = parseScheduleDate(runDate);
+    const timeParts = runTime.split(':');
+    start.setHours(parseInt(timeParts[0]), parseInt(timeParts[1]));
+    if (start <= new Date()) {
+        showToast('La data e l\'orario devono essere futuri', 'error');
+        return null;
+    }
+    
+    const steps = readProgramFormSteps();
+    if (!steps) return null;
+    
+    return {
+        name: programName,
+        schedule_type: PROGRAM_SCHEDULE_ONCE,
+        run_date: runDate,
+        start_mode: 'orario',
+        activation_times: [runTime],
+        steps: steps
+    };
+}
+
+// Raccoglie le zone selezionate con durate, cicli e pause di assorbimento.
+// Restituisce gli step oppure null (dopo aver mostrato l'errore)
+function readProgramFormSteps() {
+    // Raccogli le zone selezionate e le loro durate
+    const steps = [];
+    let invalidZoneId = null;
+    let invalidCyclesZoneId = null;
+    document.querySelectorAll('.zone-checkbox:checked').forEach(checkbox => {
+        const zoneId = parseInt(checkbox.dataset.zoneId);
+        const durationInput = document.getElementById(`duration-${zoneId}`);
+        const duration = parseInt(durationInput.value);
+        
+        if (isNaN(duration) || duration < 1) {
+            if (invalidZoneId === null) invalidZoneId = zoneId;
+            return;
+        }
+        
+        const step = {
+            zone_id: zoneId,
+            duration: duration
+        };
+        
+        // Cicli e pausa di assorbimento: salvati solo se la zona è divisa in più cicli
+        const cycles = parseInt(document.getElementById(`cycles-${zoneId}`).value);
+        const soakMinutes = parseInt(document.getElementById(`soak-${zoneId}`).value);
+        if (isNaN(cycles) || cycles < 1 || cycles > PROGRAM_FORM_MAX_CYCLES || cycles > duration ||
+            isNaN(soakMinutes) || soakMinutes < 0 || soakMinutes > PROGRAM_FORM_MAX_SOAK) {
+            if (invalidCyclesZoneId === null) invalidCyclesZoneId = zoneId;
+            return;
+        }
+        if (cycles > 1) {
+            step.cycles = cycles;
+            step.soak_minutes = soakMinutes;
+        }
+        
+        steps.push(step);
+    });
+    
+    if (invalidZoneId !== null) {
+        showToast(`Durata non valida per la zona ${invalidZoneId}`, 'error');
+        return null;
+    }
+    
+    if (invalidCyclesZoneId !== null) {
+        showToast(`Cicli o pausa non validi per la zona ${invalidCyclesZoneId} (ogni ciclo deve durare almeno 1 minuto)`, 'error');
+        return null;
+    }
+    
+    if (steps.length === 0) {
+        showToast('Seleziona almeno una zona', 'error');
+        return null;
+    }
+    
+    return steps;
+}
+
+// Abilita/disabilita il pulsante di salvataggio del form
+function setProgramFormSaving(saving) {
+    const saveButton = document.getElementById('save-button');
+    if (saveButton) {
+        saveButton.classList.toggle('loading', saving);
+        saveButton.disabled = saving;
+    }
+}
+
+// Invia il programma al server e torna all'elenco programmi in caso di successo
+function submitProgramForm(endpoint, method, program, successMessage) {
+    setProgramFormSaving(true);
+    hideProgramConflicts();
+    
+    // Il salvataggio non è idempotente (la creazione genera un nuovo ID): nessun nuovo tentativo
+    return apiRequest(endpoint, { method: method, body: program })
+    .then(() => {
+        showToast(successMessage, 'success');
+            
+        // Torna alla pagina dei programmi dopo un breve ritardo
+        setTimeout(() => {
+            navigateTo('/programs');
+        }, 1000);
+    })
+    .catch(error => {
+        console.error('Errore:', error);
+        
+        // Sovrapposizioni con altri programmi: mostra le opzioni invece del solo errore
+        if (error instanceof ApiError && error.status === 409 && error.data && Array.isArray(error.data.conflicts)) {
+            programFormPendingSave = { endpoint, method, program, successMessage };
+            showProgramConflicts(error.data.conflicts, program);
+        } else {
+            showToast(`Errore: ${error.message}`, 'error');
+        }
+        
+        // Riabilita il pulsante
+        setProgramFormSaving(false);
+    });
+}
+
+// Mostra le sovrapposizioni restituite dal server con le opzioni "sposta" e "salva comunque"
+function showProgramConflicts(conflicts, program) {
+    const panel = document.getElementById('conflict-panel');
+    const list = document.getElementById('conflict-list');
+    if (!panel || !list) {
+        showToast('Il programma si sovrappone ad altri programmi', 'error');
+        return;
+    }
+    
+    // Lo spostamento è possibile solo per gli orari fissi
+    const canShift = !isSunRelativeProgram(program);
+    
+    list.innerHTML = conflicts.map(conflict => {
+        const shiftButton = canShift && conflict.suggested_time
+            ? `<button type="button" class="button secondary-button conflict-shift-button"
+                       onclick="shiftActivationTime('${conflict.activation_time}', '${conflict.suggested_time}')">
+                   Sposta alle ${conflict.suggested_time}
+               </button>`
+            : '';
+        
+        return `
+            <div class="conflict-item">
+                <span>
+                    L'avvio delle <strong>${conflict.activation_time}</strong> si sovrappone a
+                    "${conflict.program_name}" (${conflict.start} – ${conflict.end})
+                </span>
+                ${shiftButton}
+            </div>
+        `;
+    }).join('');
+    
+    panel.classList.add('visible');
+    panel.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+// Nasconde il pannello delle sovrapposizioni
+function hideProgramConflicts() {
+    const panel = document.getElementById('conflict-panel');
+    if (panel) {
+        panel.classList.remove('visible');
+    }
+}
+
+// Sostituisce un orario di attivazione con quello libero suggerito dal server
+function shiftActivationTime(fromTime, toTime) {
+    if (isOneShotForm()) {
+        document.getElementById('run-time').value = toTime;
+        hideProgramConflicts();
+        programFormPendingSave = null;
+        updateTimelinePreview();
+        showToast(`Orario spostato alle ${toTime}: salva di nuovo per confermare`, 'info');
+        return;
+    }
+    
+    const times = [];
+    document.querySelectorAll('.activation-time-input').forEach(input => {
+        if (input.value) {
+            times.push(input.value === fromTime ? toTime : input.value);
+        }
+    });
+    
+    setActivationTimes(times.filter((time, index, list) => list.indexOf(time) === index).sort());
+    hideProgramConflicts();
+    programFormPendingSave = null;
+    updateTimelinePreview();
+    
+    showToast(`Orario spostato alle ${toTime}: salva di nuovo per confermare`, 'info');
+}
+
+// Ripete l'ultimo salvataggio ignorando le sovrapposizioni
+function forceProgramFormSave() {
+    if (!programFormPendingSave) return;
+    
+    const pending = programFormPendingSave;
+    programFormPendingSave = null;
+    submitProgramForm(pending.endpoint, pending.method, { ...pending.program, force: true }, pending.successMessage);
+}
+
+// =================== PAGINA ===================
+
+// Monta la pagina in modalità creazione o modifica secondo la rotta
+function mountProgramFormPage(container, ctx) {
+    const programId = ctx.route && ctx.route.params ? ctx.route.params.id : null;
+    
+    if (programId === undefined || programId === null) {
+        console.log("Modalità creazione nuovo programma");
+        initializeProgramForm()
+            .catch(error => {
+                console.error('Errore nel caricamento delle impostazioni:', error);
+                showToast('Errore nel caricamento delle impostazioni', 'error');
+            });
+        return;
+    }
+    
+    console.log("Modifica programma con ID:", programId);
+    document.getElementById('program-form-title').textContent = 'Modifica Programma';
+    document.getElementById('save-button').textContent = 'Salva Modifiche';
+    
+    // Genera le griglie del form, poi carica i dati del programma da modificare
+    initializeProgramForm(programId)
+        .then(() => loadProgramData(programId))
+        .catch(error => {
+            console.error('Errore nel caricamento delle impostazioni:', error);
+            showToast('Errore nel caricamento delle impostazioni', 'error');
+        });
+}
+
+// Smonta la pagina del form
+function unmountProgramFormPage() {
+    programFormEditingId = null;
+    programFormPendingSave = null;
+}
+
+// Carica i dati di un programma esistente per la modifica
+function loadProgramData(programId) {
+    return apiGet('/data/program.json')
+        .then(programs => {
+            if (!programs || typeof programs !== 'object') {
+                throw new Error('Formato programmi non valido');
+            }
+            
+            const program = programs[programId];
+            if (!program) {
+                throw new Error('Programma non trovato');
+            }
+            
+            // Compila il form con i dati del programma
+            fillProgramForm(program);
+            updateTimelinePreview();
+        })
+        .catch(error => {
+            console.error('Errore nel caricamento del programma:', error);
+            showToast(`Errore: ${error.message}`, 'error');
+        });
+}
+
+// Crea il nuovo programma o salva le modifiche a quello in modifica
+function saveProgramForm() {
+    const program = readProgramForm();
+    if (!program) return;
+    
+    if (programFormEditingId === null) {
+        submitProgramForm('/save_program', 'POST', program, 'Programma salvato con successo');
+        return;
+    }
+    
+    // Includi sempre l'ID del programma da modificare
+    program.id = programFormEditingId;
+    submitProgramForm('/update_program', 'PUT', program, 'Programma aggiornato con successo');
+}
+
+// Annulla e torna alla pagina dei programmi (le modifiche a un programma esistente vanno confermate)
+function cancelProgramForm() {
+    if (programFormEditingId !== null && !confirm('Sei sicuro di voler annullare le modifiche?')) {
+        return;
+    }
+    navigateTo('/programs');
+}
+
+registerPage('program_form.html', {
+    mount: mountProgramFormPage,
+    unmount: unmountProgramFormPage
+});
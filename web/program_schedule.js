@@ -0,0 +1,535 @@
+// program_schedule.js - Funzioni condivise per leggere la pianificazione dei programmi
+// (usate dall'elenco programmi, dai form di creazione/modifica, dal calendario, dal controllo manuale
+// e dall'indicatore della prossima irrigazione nell'intestazione)
+
+// Nomi brevi dei giorni della settimana (0 = lunedì, come time.localtime() sul dispositivo)
+const WEEKDAY_SHORT_NAMES = ['Lun', 'Mar', 'Mer', 'Gio', 'Ven', 'Sab', 'Dom'];
+
+// Nomi dei mesi salvati nei programmi (come months_map in program_manager.py)
+const PROGRAM_MONTH_NAMES = [
+    'Gennaio', 'Febbraio', 'Marzo', 'Aprile', 'Maggio', 'Giugno',
+    'Luglio', 'Agosto', 'Settembre', 'Ottobre', 'Novembre', 'Dicembre'
+];
+
+// Tipo di pianificazione: ricorrente o una tantum (come SCHEDULE_* in program_manager.py)
+const PROGRAM_SCHEDULE_RECURRING = 'ricorrente';
+const PROGRAM_SCHEDULE_ONCE = 'una_tantum';
+
+// Esito delle irrigazioni una tantum archiviate
+const ONE_SHOT_OUTCOME_LABELS = {
+    avviata: 'Avviata',
+    pioggia: 'Saltata per pioggia',
+    mancata: 'Non eseguita'
+};
+
+// Giorni esaminati per cercare la prossima esecuzione (copre i programmi attivi in pochi mesi l'anno)
+const NEXT_RUN_SEARCH_DAYS = 366;
+
+/**
+ * Restituisce gli orari di attivazione di un programma, ordinati.
+ * I programmi salvati prima del supporto a più orari hanno solo activation_time.
+ * @param {Object} program - Programma
+ * @returns {string[]} Orari "HH:MM"
+ */
+function getProgramActivationTimes(program) {
+    if (!program) return [];
+    
+    let times = Array.isArray(program.activation_times) ? program.activation_times : [];
+    if (times.length === 0 && program.activation_time) {
+        times = [program.activation_time];
+    }
+    
+    return times
+        .filter(time => typeof time === 'string' && time)
+        .filter((time, index, list) => list.indexOf(time) === index)
+        .sort();
+}
+
+/**
+ * Formatta una data locale come "YYYY-MM-DD" (come last_run_date sul dispositivo)
+ * @param {Date} date - Data
+ * @returns {string}
+ */
+function formatScheduleDate(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Converte una data "YYYY-MM-DD" in una Date locale a mezzanotte
+ * @param {string} value - Data
+ * @returns {Date|null} null se la data non è valida
+ */
+function parseScheduleDate(value) {
+    if (typeof value !== 'string') return null;
+    
+    const parts = value.split('-').map(part => parseInt(part));
+    if (parts.length !== 3 || parts.some(isNaN)) return null;
+    
+    return new Date(parts[0], parts[1] - 1, parts[2]);
+}
+
+/**
+ * Indica se il programma è un'irrigazione una tantum (data e orario singoli)
+ * @param {Object} program - Programma
+ * @returns {boolean}
+ */
+function isOneShotProgram(program) {
+    return !!program && program.schedule_type === PROGRAM_SCHEDULE_ONCE;
+}
+
+/**
+ * Indica se un'irrigazione una tantum è già stata archiviata (avviata, saltata o mancata)
+ * @param {Object} program - Programma
+ * @returns {boolean}
+ */
+function isArchivedProgram(program) {
+    return !!program && program.archived === true;
+}
+
+/**
+ * Indica se il programma è attivo in un mese (come is_program_active_in_current_month)
+ * @param {Object} program - Programma
+ * @param {number} month - Mese 1-12
+ * @returns {boolean}
+ */
+function isProgramActiveInMonth(program, month) {
+    return Array.isArray(program.months) && program.months.includes(PROGRAM_MONTH_NAMES[month - 1]);
+}
+
+/**
+ * Indica se un giorno rientra nel periodo attivo del programma e non è tra le date escluse
+ * (come is_program_enabled_on_date)
+ * @param {Object} program - Programma
+ * @param {string} dateString - Giorno "YYYY-MM-DD"
+ * @returns {boolean}
+ */
+function isProgramEnabledOnDate(program, dateString) {
+    if (program.active_from && dateString < program.active_from) return false;
+    if (program.active_to && dateString > program.active_to) return false;
+    return !(Array.isArray(program.excluded_dates) && program.excluded_dates.includes(dateString));
+}
+
+/**
+ * Indica se i periodi attivi di due programmi hanno almeno un giorno in comune
+ * @param {Object} program - Programma
+ * @param {Object} other - Altro programma
+ * @returns {boolean}
+ */
+function programDateWindowsOverlap(program, other) {
+    const starts = [program.active_from, other.active_from].filter(Boolean);
+    const ends = [program.active_to, other.active_to].filter(Boolean);
+    if (starts.length === 0 || ends.length === 0) return true;
+    
+    return starts.sort()[starts.length - 1] <= ends.sort()[0];
+}
+
+/**
+ * Formatta una data "YYYY-MM-DD" come "GG/MM/AAAA"
+ * @param {string} value - Data
+ * @returns {string}
+ */
+function formatScheduleDateLabel(value) {
+    return value.split('-').reverse().join('/');
+}
+
+/**
+ * Descrive il periodo attivo del programma (es. "Dal 15/04/2026 al 20/09/2026")
+ * @param {Object} program - Programma
+ * @returns {string} Stringa vuota se il programma non ha date limite
+ */
+function formatProgramDateWindow(program) {
+    if (program.active_from && program.active_to) {
+        return `Dal ${formatScheduleDateLabel(program.active_from)} al ${formatScheduleDateLabel(program.active_to)}`;
+    }
+    if (program.active_from) return `Dal ${formatScheduleDateLabel(program.active_from)}`;
+    if (program.active_to) return `Fino al ${formatScheduleDateLabel(program.active_to)}`;
+    return '';
+}
+
+/**
+ * Indica se la cadenza del programma prevede un'esecuzione nel giorno indicato
+ * (come is_program_due_today, con l'ultima esecuzione nel giorno lastRun)
+ * @param {Object} program - Programma
+ * @param {Date} date - Giorno da verificare (a mezzanotte)
+ * @param {Date|null} lastRun - Giorno dell'ultima esecuzione (null se mai eseguito)
+ * @returns {boolean}
+ */
+function isProgramDueOnDate(program, date, lastRun) {
+    const daysSinceLastRun = lastRun
+        ? Math.round((Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) -
+            Date.UTC(lastRun.getFullYear(), lastRun.getMonth(), lastRun.getDate())) / 86400000)
+        : Infinity;
+    
+    if (isOneShotProgram(program)) {
+        return formatScheduleDate(date) === program.run_date;
+    }
+    
+    switch (program.recurrence || 'giornaliero') {
+        case 'giornaliero':
+            return true;
+        case 'giorni_alterni':
+            return daysSinceLastRun >= 2;
+        case 'personalizzata':
+            return daysSinceLastRun >= Math.max(1, parseInt(program.interval_days) || 1);
+        case 'settimanale':
+            // getDay() conta da domenica, i programmi da lunedì
+            return Array.isArray(program.week_days) && program.week_days.includes((date.getDay() + 6) % 7);
+        default:
+            return false;
+    }
+}
+
+/**
+ * Calcola le esecuzioni automatiche previste di un programma in un intervallo di giorni,
+ * simulando la cadenza come check_programs: ogni giorno di esecuzione diventa l'ultima esecuzione.
+ * I giorni passati e gli orari di oggi già raggiunti (compreso quello del minuto in corso) non sono considerati.
+ * @param {Object} program - Programma
+ * @param {Date} fromDate - Primo giorno dell'intervallo
+ * @param {number} days - Numero di giorni dell'intervallo
+ * @param {Object} sunTimes - Risposta di /get_sun_times (orari di oggi, usati per tutti i giorni)
+ * @param {Date} now - Istante corrente (default: adesso)
+ * @returns {Object[]} Esecuzioni { date: "YYYY-MM-DD", time: "HH:MM" } in ordine cronologico
+ */
+function getProgramScheduledRuns(program, fromDate, days, sunTimes, now = new Date()) {
+    if (!program || program.automatic_enabled === false || isArchivedProgram(program)) return [];
+    
+    const times = getProgramStartTimes(program, sunTimes);
+    if (times.length === 0) return [];
+    
+    const today = formatScheduleDate(now);
+    const currentTime = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+    let lastRun = parseScheduleDate(program.last_run_date);
+    const runs = [];
+    
+    for (let offset = 0; offset < days; offset++) {
+        const date = new Date(fromDate.getFullYear(), fromDate.getMonth(), fromDate.getDate() + offset);
+        const dateString = formatScheduleDate(date);
+        if (dateString < today || !isProgramActiveInMonth(program, date.getMonth() + 1)) continue;
+        // I giorni fuori periodo o esclusi non contano come esecuzioni per la cadenza
+        if (!isProgramEnabledOnDate(program, dateString)) continue;
+        
+        // Un avvio alle HH:MM:00 del minuto in corso è già passato: considerarlo farebbe
+        // ricalcolare di continuo la prossima esecuzione mentre il programma parte
+        let dayTimes = dateString === today ? times.filter(time => time > currentTime) : times;
+        if (lastRun && formatScheduleDate(lastRun) === dateString) {
+            // Già eseguito oggi: restano solo gli orari successivi all'ultima esecuzione
+            dayTimes = program.last_run_time ? dayTimes.filter(time => time > program.last_run_time) : [];
+        } else if (!isProgramDueOnDate(program, date, lastRun)) {
+            continue;
+        }
+        
+        if (dayTimes.length === 0) continue;
+        
+        dayTimes.forEach(time => runs.push({ date: dateString, time: time }));
+        lastRun = date;
+    }
+    
+    return runs;
+}
+
+/**
+ * Calcola la prossima esecuzione automatica di un programma, come la avvierebbe check_programs:
+ * considera l'interruttore generale dei programmi automatici, l'automazione del programma,
+ * i mesi attivi, il periodo e le date escluse, la cadenza e l'eventuale sospensione dell'irrigazione.
+ * @param {Object} program - Programma
+ * @param {Object} settings - Impostazioni utente (automatic_programs_enabled)
+ * @param {Object} sunTimes - Risposta di /get_sun_times (orari di oggi, usati per tutti i giorni)
+ * @param {Date|null} holdUntil - Fine della sospensione in corso (null se non sospesa)
+ * @param {Date} now - Istante corrente (default: adesso)
+ * @returns {Date|null} Istante della prossima esecuzione, null se non prevista
+ */
+function getProgramNextRun(program, settings, sunTimes, holdUntil = null, now = new Date()) {
+    if (!settings || settings.automatic_programs_enabled !== true) return null;
+    
+    // Durante la sospensione le esecuzioni vengono saltate: si cerca dalla sua fine
+    const from = holdUntil && holdUntil > now ? holdUntil : now;
+    const fromDate = new Date(from.getFullYear(), from.getMonth(), from.getDate());
+    
+    const runs = getProgramScheduledRuns(program, fromDate, NEXT_RUN_SEARCH_DAYS, sunTimes, from);
+    if (runs.length === 0) return null;
+    
+    const date = parseScheduleDate(runs[0].date);
+    const timeParts = runs[0].time.split(':');
+    date.setHours(parseInt(timeParts[0]), parseInt(timeParts[1]));
+    return date;
+}
+
+/**
+ * Trova la prima esecuzione automatica prevista tra tutti i programmi
+ * @param {Object} programs - Programmi salvati ({ id: programma })
+ * @param {Object} settings - Impostazioni utente
+ * @param {Object} sunTimes - Risposta di /get_sun_times
+ * @param {Date|null} holdUntil - Fine della sospensione in corso (null se non sospesa)
+ * @param {Date} now - Istante corrente (default: adesso)
+ * @returns {Object|null} { programId, date } oppure null se nessun programma è pianificato
+ */
+function getNextScheduledRun(programs, settings, sunTimes, holdUntil = null, now = new Date()) {
+    let next = null;
+    
+    Object.keys(programs || {}).forEach(programId => {
+        const date = getProgramNextRun(programs[programId], settings, sunTimes, holdUntil, now);
+        if (date && (!next || date < next.date)) {
+            next = { programId: programId, date: date };
+        }
+    });
+    
+    return next;
+}
+
+/**
+ * Descrive una prossima esecuzione con giorno, orario e tempo mancante
+ * (es. "oggi 06:00 (tra 2h 15m)", "mar 21/10 06:00 (tra 3g)")
+ * @param {Date} date - Istante dell'esecuzione
+ * @param {Date} now - Istante corrente (default: adesso)
+ * @returns {string}
+ */
+function formatNextRun(date, now = new Date()) {
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    const dayOffset = Math.round((day - today) / 86400000);
+    
+    let dayLabel;
+    if (dayOffset === 0) {
+        dayLabel = 'oggi';
+    } else if (dayOffset === 1) {
+        dayLabel = 'domani';
+    } else {
+        dayLabel = `${WEEKDAY_SHORT_NAMES[(date.getDay() + 6) % 7].toLowerCase()} ` +
+            `${String(date.getDate()).padStart(2, '0')}/${String(date.getMonth() + 1).padStart(2, '0')}`;
+    }
+    const time = `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+    
+    const totalMinutes = Math.max(0, Math.ceil((date - now) / 60000));
+    let countdown;
+    if (totalMinutes < 60) {
+        countdown = `${totalMinutes} min`;
+    } else if (totalMinutes < 1440) {
+        countdown = `${Math.floor(totalMinutes / 60)}h ${totalMinutes % 60}m`;
+    } else {
+        countdown = `${Math.floor(totalMinutes / 1440)}g ${Math.floor((totalMinutes % 1440) / 60)}h`;
+    }
+    
+    return `${dayLabel} ${time} (tra ${countdown})`;
+}
+
+/**
+ * Indica se il programma parte rispetto ad alba o tramonto
+ * @param {Object} program - Programma
+ * @returns {boolean}
+ */
+function isSunRelativeProgram(program) {
+    return !!program && (program.start_mode === 'alba' || program.start_mode === 'tramonto');
+}
+
+/**
+ * Calcola l'orario di avvio di un programma relativo ad alba o tramonto
+ * @param {Object} program - Programma con start_mode e sun_offset
+ * @param {Object} sunTimes - Risposta di /get_sun_times ({ sunrise, sunset } in "HH:MM")
+ * @returns {string|null} Orario "HH:MM" oppure null se non calcolabile
+ */
+function resolveSunStartTime(program, sunTimes) {
+    if (!isSunRelativeProgram(program) || !sunTimes) return null;
+    
+    const eventTime = program.start_mode === 'alba' ? sunTimes.sunrise : sunTimes.sunset;
+    if (!eventTime) return null;
+    
+    const parts = eventTime.split(':');
+    const minutes = parseInt(parts[0]) * 60 + parseInt(parts[1]) + (parseInt(program.sun_offset) || 0);
+    const normalized = ((minutes % 1440) + 1440) % 1440;
+    
+    return `${String(Math.floor(normalized / 60)).padStart(2, '0')}:${String(normalized % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Restituisce gli orari di avvio di oggi: orari fissi oppure l'orario calcolato da alba/tramonto
+ * @param {Object} program - Programma
+ * @param {Object} sunTimes - Risposta di /get_sun_times (può essere null)
+ * @returns {string[]} Orari "HH:MM"
+ */
+function getProgramStartTimes(program, sunTimes) {
+    if (!isSunRelativeProgram(program)) {
+        return getProgramActivationTimes(program);
+    }
+    
+    const startTime = resolveSunStartTime(program, sunTimes);
+    return startTime ? [startTime] : [];
+}
+
+/**
+ * Descrive l'avvio relativo ad alba o tramonto (es. "30 min prima dell'alba")
+ * @param {Object} program - Programma con start_mode e sun_offset
+ * @returns {string}
+ */
+function formatSunStart(program) {
+    const eventName = program.start_mode === 'alba' ? "all'alba" : 'al tramonto';
+    const offset = parseInt(program.sun_offset) || 0;
+    
+    if (offset === 0) {
+        return eventName.charAt(0).toUpperCase() + eventName.slice(1);
+    }
+    
+    const relation = program.start_mode === 'alba' ? "dell'alba" : 'del tramonto';
+    return `${Math.abs(offset)} min ${offset < 0 ? 'prima' : 'dopo'} ${relation}`;
+}
+
+/**
+ * Calcola la percentuale del bilancio idrico (globale x mensile) da applicare alle durate,
+ * come get_water_budget_percent in program_manager.py
+ * @param {Object} settings - Impostazioni utente (water_budget = { global, months[12] })
+ * @param {number} month - Mese 1-12 (default: mese corrente)
+ * @returns {number} Percentuale effettiva (100 = durate invariate)
+ */
+function getWaterBudgetPercent(settings, month) {
+    const budget = settings && settings.water_budget;
+    if (!budget || typeof budget !== 'object') return 100;
+    
+    if (month === undefined) {
+        month = new Date().getMonth() + 1;
+    }
+    
+    const globalPercent = parseFloat(budget.global !== undefined ? budget.global : 100);
+    const monthPercent = Array.isArray(budget.months) && budget.months.length === 12
+        ? parseFloat(budget.months[month - 1])
+        : 100;
+    
+    if (!(globalPercent > 0) || !(monthPercent > 0)) return 100;
+    
+    return globalPercent * monthPercent / 100;
+}
+
+/**
+ * Applica il bilancio idrico alla durata di uno step (come apply_water_budget sul server)
+ * @param {number} duration - Durata programmata in minuti
+ * @param {number} percent - Percentuale del bilancio idrico
+ * @param {number} [maxDuration] - Durata massima di una zona in minuti (nessun limite se omessa)
+ * @returns {number} Durata effettiva in minuti (almeno 1)
+ */
+function applyWaterBudget(duration, percent, maxDuration) {
+    const effective = Math.max(1, Math.floor(duration * percent / 100 + 0.5));
+    return maxDuration ? Math.min(effective, maxDuration) : effective;
+}
+
+/**
+ * Durata massima di attivazione di una zona (come max_zone_duration in zone_manager.py):
+ * le durate con il bilancio idrico vengono limitate a questo valore
+ * @param {Object} settings - Impostazioni utente (max_zone_duration)
+ * @returns {number} Durata massima in minuti
+ */
+function getMaxZoneDuration(settings) {
+    return parseInt(settings && settings.max_zone_duration) || 180;
+}
+
+/**
+ * Espande gli step in un ordine di esecuzione con cicli e pause di assorbimento
+ * (stesso algoritmo di expand_program_steps in program_manager.py)
+ * @param {Object[]} steps - Step del programma
+ * @param {number} budgetPercent - Percentuale del bilancio idrico
+ * @param {number} [maxDuration] - Durata massima di uno step in minuti (nessun limite se omessa)
+ * @returns {Object[]} Voci { zone_id, duration, cycle, cycles } in minuti; le attese hanno zone_id null
+ */
+function expandProgramSteps(steps, budgetPercent = 100, maxDuration) {
+    const pending = [];
+    (steps || []).forEach(step => {
+        if (!step || step.zone_id === undefined || step.zone_id === null) return;
+        
+        const duration = applyWaterBudget(step.duration || 1, budgetPercent, maxDuration);
+        const cycles = Math.max(1, Math.min(parseInt(step.cycles) || 1, duration));
+        const soak = cycles > 1 ? Math.max(0, parseInt(step.soak_minutes) || 0) : 0;
+        
+        // Ripartisci la durata: i primi cicli ricevono i minuti in eccesso
+        const base = Math.floor(duration / cycles);
+        const extra = duration % cycles;
+        pending.push({
+            zone_id: step.zone_id,
+            cycles: Array.from({ length: cycles }, (_, i) => (i < extra ? base + 1 : base)),
+            total: cycles,
+            soak: soak,
+            readyAt: 0
+        });
+    });
+    
+    // Simula il tempo: esegui il primo step pronto, altrimenti attendi il primo che lo diventa
+    const plan = [];
+    let now = 0;
+    while (pending.length > 0) {
+        const ready = pending.find(entry => entry.readyAt <= now);
+        
+        if (!ready) {
+            const wait = Math.min(...pending.map(entry => entry.readyAt)) - now;
+            plan.push({ zone_id: null, duration: wait, cycle: 0, cycles: 0 });
+            now += wait;
+            continue;
+        }
+        
+        const duration = ready.cycles.shift();
+        plan.push({
+            zone_id: ready.zone_id,
+            duration: duration,
+            cycle: ready.total - ready.cycles.length,
+            cycles: ready.total
+        });
+        now += duration;
+        ready.readyAt = now + ready.soak;
+        
+        if (ready.cycles.length === 0) {
+            pending.splice(pending.indexOf(ready), 1);
+        }
+    }
+    
+    return plan;
+}
+
+/**
+ * Calcola la sequenza temporale di un'esecuzione del programma, come la esegue il dispositivo:
+ * zone in ordine, pause di assorbimento e ritardo di attivazione tra una zona e la successiva
+ * @param {Object} program - Programma (steps)
+ * @param {string} startTime - Orario di avvio "HH:MM"
+ * @param {Object} settings - Impostazioni utente (activation_delay, water_budget)
+ * @param {number} month - Mese 1-12 per il bilancio idrico (default: mese corrente)
+ * @returns {Object} { start, end, entries: [{ zone_id, start, end, cycle, cycles }] } in secondi dalla mezzanotte
+ */
+function buildProgramTimeline(program, startTime, settings, month) {
+    const parts = startTime.split(':');
+    const start = (parseInt(parts[0]) * 60 + parseInt(parts[1])) * 60;
+    const activationDelay = Math.max(0, parseInt(settings && settings.activation_delay) || 0);
+    const plan = expandProgramSteps(program.steps, getWaterBudgetPercent(settings, month), getMaxZoneDuration(settings));
+    
+    const entries = [];
+    let time = start;
+    plan.forEach((run, index) => {
+        const end = time + run.duration * 60;
+        entries.push({ zone_id: run.zone_id, start: time, end: end, cycle: run.cycle, cycles: run.cycles });
+        time = end;
+        
+        // Il ritardo di attivazione si applica solo tra due zone
+        const nextRun = plan[index + 1];
+        if (run.zone_id !== null && nextRun && nextRun.zone_id !== null) {
+            time += activationDelay;
+        }
+    });
+    
+    return { start: start, end: time, entries: entries };
+}
+
+/**
+ * Formatta i secondi dalla mezzanotte come "HH:MM" (oltre la mezzanotte riparte da 00:00)
+ * @param {number} seconds - Secondi dalla mezzanotte
+ * @returns {string}
+ */
+function formatTimeOfDay(seconds) {
+    const minutes = Math.floor(seconds / 60) % 1440;
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Verifica se due intervalli giornalieri si sovrappongono, anche a cavallo della mezzanotte
+ * @param {number} startA - Inizio del primo intervallo (secondi dalla mezzanotte)
+ * @param {number} endA - Fine del primo intervallo
+ * @param {number} startB - Inizio del secondo intervallo
+ * @param {number} endB - Fine del secondo intervallo
+ * @returns {boolean}
+ */
+function timeRangesOverlap(startA, endA, startB, endB) {
+    const day = 24 * 3600;
+    return [-day, 0, day].some(shift => startA < endB + shift && startB + shift < endA);
+}
@@ -1,10 +1,69 @@
 // scripts.js - Script principale dell'applicazione
 
 // Variabili globali
-let isLoadingPage = false;
 let userData = {};
-let connectionStatusInterval = null;
 let currentPage = null;
+let currentRoute = null;
+let pageLoadToken = 0;
+
+// Registro dei moduli di pagina: ogni script di pagina chiama registerPage()
+// fornendo mount(container, ctx) e unmount()
+const pageModules = {};
+let activePageModule = null;
+const loadedScripts = new Set();
+const loadingScripts = {};  // Callback in attesa per gli script in caricamento
+
+// Stato in tempo reale: stream SSE /events condiviso da tutte le pagine,
+// con ripiego sul polling degli endpoint equivalenti quando lo stream cade
+const LIVE_STATE_ENDPOINTS = {
+    zones: '/get_zones_status',
+    program: '/get_program_state',
+    connection: '/get_connection_status',
+    sensors: '/get_sensors_status'
+};
+const LIVE_POLLING_INTERVAL = 5000;      // Polling di ripiego ogni 5 secondi
+const LIVE_RECONNECT_MIN_DELAY = 3000;   // Primo tentativo di riconnessione allo stream
+const LIVE_RECONNECT_MAX_DELAY = 60000;  // Ritardo massimo tra i tentativi
+const liveStateListeners = { zones: [], program: [], connection: [], sensors: [] };
+const liveStateCache = {};
+let liveEventSource = null;
+let livePollingInterval = null;
+let liveReconnectTimer = null;
+let liveReconnectDelay = LIVE_RECONNECT_MIN_DELAY;
+
+// Script da caricare per ciascuna pagina, nell'ordine indicato
+// (per le pagine non elencate si usa lo script con lo stesso nome dell'HTML)
+const PAGE_SCRIPTS = {
+    'manual.html': ['program_schedule.js', 'manual.js'],
+    'view_programs.html': ['program_schedule.js', 'view_programs.js'],
+    'calendar.html': ['program_schedule.js', 'calendar.js'],
+    'program_form.html': ['program_schedule.js', 'program_form.js']
+};
+
+// Tabella delle rotte: percorso dell'hash -> pagina da caricare
+// I segmenti che iniziano con ':' sono parametri (es. /programs/3/edit -> { id: '3' })
+const ROUTES = [
+    { path: '/manual', page: 'manual.html' },
+    { path: '/programs', page: 'view_programs.html' },
+    { path: '/programs/new', page: 'program_form.html' },
+    { path: '/programs/:id/edit', page: 'program_form.html' },
+    { path: '/calendar', page: 'calendar.html' },
+    { path: '/settings', page: 'settings.html' },
+    { path: '/history', page: 'history.html' },
+    { path: '/logs', page: 'logs.html' }
+];
+const DEFAULT_ROUTE = '/manual';
+
+// Sospensione dell'irrigazione automatica: stato aggiornato ogni minuto
+const HOLD_REFRESH_INTERVAL = 60000;
+const MAX_HOLD_HOURS = 720;
+let irrigationHoldUntil = null;  // Fine della sospensione in corso (Date), null se non sospesa
+
+// Prossima irrigazione automatica nell'intestazione: programmi e impostazioni ricaricati ogni 5 minuti
+const NEXT_IRRIGATION_REFRESH_INTERVAL = 300000;
+let nextIrrigationData = null;     // { settings, programs, sunTimes } usati per il calcolo
+let nextIrrigation = null;         // { programId, date } oppure null se nessuna esecuzione è prevista
+let isFetchingNextIrrigation = false;
 
 // Polyfill for crypto.randomUUID for older browsers
 if (!crypto.randomUUID) {
@@ -85,11 +144,7 @@ function showToast(message, type = 'info', duration = 3000) {
 
 // Funzione per caricare i dati da user_settings.json una sola volta
 function loadUserData(callback) {
-    fetch('/data/user_settings.json')
-        .then(response => {
-            if (!response.ok) throw new Error('Errore nel caricamento dei dati di user_settings');
-            return response.json();
-        })
+    apiGet('/data/user_settings.json')
         .then(data => {
             userData = data;
             console.log("Dati utente caricati:", userData);
@@ -101,27 +156,137 @@ function loadUserData(callback) {
         });
 }
 
-// Funzione per caricare e visualizzare una pagina
-function loadPage(pageName, callback) {
-    if (isLoadingPage) return;
-    isLoadingPage = true;
-    closeMenu();
-	
-    if (pageName === 'create_program.html') {
-        // Rimuovi sempre l'ID quando vai alla pagina di creazione
-        localStorage.removeItem('editProgramId');
-        sessionStorage.removeItem('editing_intent');
-    } else if (pageName !== 'modify_program.html') {
-        // Se stiamo andando a una pagina che non è né creazione né modifica,
-        // possiamo pulire l'ID (a meno che non stiamo salvando un form)
-        if (!pageName.includes('save') && !pageName.includes('update')) {
-            localStorage.removeItem('editProgramId');
-            sessionStorage.removeItem('editing_intent');
+// =================== ROUTER ===================
+
+// Scompone l'hash corrente (es. "#/logs?level=ERROR") in percorso e parametri di query
+function parseHash(hash) {
+    let value = (hash || '').replace(/^#/, '');
+    if (!value.startsWith('/')) {
+        value = '/' + value;
+    }
+    
+    const queryIndex = value.indexOf('?');
+    const path = queryIndex === -1 ? value : value.substring(0, queryIndex);
+    const query = {};
+    
+    if (queryIndex !== -1) {
+        new URLSearchParams(value.substring(queryIndex + 1)).forEach((paramValue, key) => {
+            query[key] = paramValue;
+        });
+    }
+    
+    // Rimuovi eventuali slash finali (tranne per la radice)
+    return { path: path.length > 1 ? path.replace(/\/+$/, '') : path, query };
+}
+
+// Cerca la rotta corrispondente al percorso ed estrae i parametri
+function matchRoute(path) {
+    const pathSegments = path.split('/').filter(Boolean);
+    
+    for (const route of ROUTES) {
+        const routeSegments = route.path.split('/').filter(Boolean);
+        if (routeSegments.length !== pathSegments.length) continue;
+        
+        const params = {};
+        const matches = routeSegments.every((segment, index) => {
+            if (segment.startsWith(':')) {
+                params[segment.substring(1)] = decodeURIComponent(pathSegments[index]);
+                return true;
+            }
+            return segment === pathSegments[index];
+        });
+        
+        if (matches) {
+            return { route, params };
+        }
+    }
+    
+    return null;
+}
+
+// Costruisce l'hash a partire da percorso e parametri di query
+function buildHash(path, query) {
+    const search = new URLSearchParams();
+    Object.keys(query || {}).forEach(key => {
+        if (query[key] !== undefined && query[key] !== null && query[key] !== '') {
+            search.append(key, query[key]);
         }
+    });
+    const queryString = search.toString();
+    return `#${path}${queryString ? '?' + queryString : ''}`;
+}
+
+// Naviga verso una rotta (es. navigateTo('/programs/3/edit')) aggiungendo una voce alla cronologia
+function navigateTo(target, options = {}) {
+    const { path, query } = parseHash(target);
+    const hash = buildHash(path, query);
+    
+    if (options.replace) {
+        history.replaceState(null, '', hash);
+    } else if (window.location.hash !== hash) {
+        history.pushState(null, '', hash);
     }
     
-    // Segna la pagina corrente nel menu
-    updateActiveMenuItem(pageName);
+    handleRouteChange();
+}
+
+// Aggiorna i parametri di query della rotta corrente senza ricaricare la pagina
+function setRouteQuery(query) {
+    if (!currentRoute) return;
+    
+    currentRoute.query = { ...query };
+    history.replaceState(null, '', buildHash(currentRoute.path, currentRoute.query));
+}
+
+// Carica la pagina corrispondente all'hash corrente
+function handleRouteChange() {
+    const { path, query } = parseHash(window.location.hash);
+    const match = matchRoute(path);
+    
+    if (!match) {
+        // Rotta sconosciuta: torna alla pagina predefinita senza sporcare la cronologia
+        history.replaceState(null, '', buildHash(DEFAULT_ROUTE));
+        handleRouteChange();
+        return;
+    }
+    
+    currentRoute = { path, query, params: match.params, page: match.route.page };
+    loadPage(match.route.page);
+}
+
+// =================== MODULI DI PAGINA ===================
+
+// Registra il modulo di una pagina.
+// mount(container, ctx) riceve l'elemento #content e { userData, route };
+// unmount() deve fermare polling, timer e listener avviati da mount.
+function registerPage(pageName, pageModule) {
+    pageModules[pageName] = pageModule;
+}
+
+// Smonta la pagina attiva, se presente
+function unmountCurrentPage() {
+    const pageModule = activePageModule;
+    activePageModule = null;
+    
+    if (pageModule && typeof pageModule.unmount === 'function') {
+        try {
+            pageModule.unmount();
+        } catch (error) {
+            console.error('Errore durante lo smontaggio della pagina:', error);
+        }
+    }
+}
+
+// Funzione per caricare e visualizzare una pagina
+function loadPage(pageName, callback) {
+    // L'ultima navigazione richiesta ha sempre la precedenza su quelle ancora in corso
+    const loadToken = ++pageLoadToken;
+    
+    // Smonta subito la pagina precedente: i suoi polling non devono sopravvivere al cambio
+    unmountCurrentPage();
+    
+    // Segna la rotta corrente nel menu
+    updateActiveMenuItem();
     
     // Memorizza la pagina corrente
     currentPage = pageName;
@@ -135,70 +300,35 @@ function loadPage(pageName, callback) {
         contentElement.innerHTML = '<div class="loading-indicator" style="text-align:center;padding:50px;">Caricamento...</div>';
     }
 
-    fetch(pageName)
-        .then(response => {
-            if (!response.ok) throw new Error(`Errore HTTP: ${response.status}`);
-            return response.text();
-        })
+    apiGet(pageName, { responseType: 'text' })
         .then(html => {
-            if (contentElement) {
-                contentElement.innerHTML = html;
+            // Una navigazione più recente ha già sostituito questa pagina
+            if (loadToken !== pageLoadToken || !contentElement) return;
+            
+            contentElement.innerHTML = html;
 
-                // Ferma il polling prima di caricare qualsiasi altra pagina
-                stopConnectionStatusPolling();
+            // Carica gli script associati alla pagina (una sola volta per sessione)
+            const scripts = PAGE_SCRIPTS[pageName] || [pageName.replace('.html', '.js')];
+            loadScripts(scripts, () => {
+                if (loadToken !== pageLoadToken) return;
 
-                // Carica gli script associati alla pagina
-                const scriptSrc = pageName.replace('.html', '.js');
+                const pageModule = pageModules[pageName];
+                if (!pageModule) {
+                    console.error(`Nessun modulo registrato per la pagina ${pageName}`);
+                    return;
+                }
                 
-                // Rimuovi eventuali script precedenti della stessa pagina
-                const oldScripts = document.querySelectorAll(`script[src="${scriptSrc}"]`);
-                oldScripts.forEach(script => script.remove());
+                activePageModule = pageModule;
+                pageModule.mount(contentElement, { userData, route: currentRoute });
                 
-                // Carica il nuovo script
-                loadScript(scriptSrc, () => {
-                    // Inizializza la pagina basandosi sul nome del file
-                    switch (pageName) {
-                        case 'manual.html':
-                            if (typeof initializeManualPage === 'function') {
-                                initializeManualPage(userData);
-                            }
-                            break;
-                        case 'create_program.html':
-                            if (typeof initializeCreateProgramPage === 'function') {
-                                initializeCreateProgramPage();
-                            }
-                            break;
-                        case 'modify_program.html':
-                            if (typeof initializeModifyProgramPage === 'function') {
-                                initializeModifyProgramPage();
-                            }
-                            break;
-                        case 'settings.html':
-                            if (typeof initializeSettingsPage === 'function') {
-                                initializeSettingsPage(userData);
-                            }
-                            // Avvia il polling dello stato della connessione solo se sei nella pagina Impostazioni
-                            startConnectionStatusPolling();
-                            break;
-                        case 'view_programs.html':
-                            if (typeof initializeViewProgramsPage === 'function') {
-                                initializeViewProgramsPage();
-                            }
-                            break;
-                        case 'logs.html':
-                            if (typeof initializeLogsPage === 'function') {
-                                initializeLogsPage();
-                            }
-                            break;
-                    }
-
-                    if (callback && typeof callback === 'function') {
-                        callback();
-                    }
-                });
-            }
+                if (callback && typeof callback === 'function') {
+                    callback();
+                }
+            });
         })
         .catch(error => {
+            if (loadToken !== pageLoadToken) return;
+            
             console.error('Errore nel caricamento della pagina:', error);
             if (contentElement) {
                 contentElement.innerHTML = `
@@ -213,35 +343,63 @@ function loadPage(pageName, callback) {
                 `;
             }
             showToast(`Errore nel caricamento di ${pageName}`, 'error');
-        })
-        .finally(() => {
-            isLoadingPage = false;
         });
 }
 
+// Carica in sequenza gli script indicati, saltando quelli già caricati
+function loadScripts(urls, callback) {
+    const pending = urls.filter(url => !loadedScripts.has(url));
+    
+    const loadNext = () => {
+        const url = pending.shift();
+        if (!url) {
+            callback();
+            return;
+        }
+        loadScript(url, loadNext);
+    };
+    
+    loadNext();
+}
+
 // Funzione per caricare uno script
 function loadScript(url, callback) {
-    // Prima rimuovi qualsiasi script esistente con lo stesso URL
-    const existingScripts = document.querySelectorAll(`script[src="${url}"]`);
-    existingScripts.forEach(script => script.remove());
+    // Script già richiesto altrove (es. dall'intestazione e dalla pagina): attendi lo stesso caricamento
+    if (loadingScripts[url]) {
+        loadingScripts[url].push(callback);
+        return;
+    }
+    loadingScripts[url] = [callback];
+    
+    const done = () => {
+        const callbacks = loadingScripts[url];
+        delete loadingScripts[url];
+        callbacks.forEach(cb => cb());
+    };
     
-    // Ora crea un nuovo script
     const script = document.createElement('script');
     script.src = url;
-    script.onload = callback;
+    script.onload = () => {
+        loadedScripts.add(url);
+        done();
+    };
     script.onerror = () => {
         console.error(`Errore nel caricamento dello script: ${url}`);
-        callback();  // Chiamiamo comunque il callback per non bloccare
+        // Rimuovi lo script fallito così da ritentare alla prossima visita
+        script.remove();
+        done();  // Chiamiamo comunque i callback per non bloccare
     };
     document.head.appendChild(script);
 }
 
 // Funzione per aggiornare l'elemento del menu attivo
-function updateActiveMenuItem(pageName) {
+function updateActiveMenuItem() {
+    // Confronta le rotte e non le pagine: creazione e modifica usano lo stesso form
+    const activeRoute = currentRoute ? matchRoute(currentRoute.path) : null;
     const menuItems = document.querySelectorAll('.menu li');
     menuItems.forEach(item => {
-        const itemPage = item.getAttribute('data-page');
-        if (itemPage === pageName) {
+        const itemRoute = matchRoute(item.getAttribute('data-route') || '');
+        if (itemRoute && activeRoute && itemRoute.route === activeRoute.route) {
             item.classList.add('active');
         } else {
             item.classList.remove('active');
@@ -293,73 +451,155 @@ function updateDateTime() {
 
     dateElement.textContent = formattedDate;
     timeElement.textContent = formattedTime;
+    
+    updateNextIrrigationIndicator();
 }
 
-// Funzioni per il polling dello stato della connessione
-function startConnectionStatusPolling() {
-    if (connectionStatusInterval) {
-        clearInterval(connectionStatusInterval);
+// =================== STATO IN TEMPO REALE ===================
+
+// Sottoscrive un tipo di stato ('zones', 'program', 'connection', 'sensors').
+// L'handler riceve subito l'ultimo valore noto e poi ogni aggiornamento.
+// Restituisce la funzione per annullare la sottoscrizione (da chiamare in unmount).
+function subscribeLiveState(eventName, handler) {
+    const listeners = liveStateListeners[eventName];
+    if (!listeners) {
+        console.error(`Tipo di stato sconosciuto: ${eventName}`);
+        return () => {};
     }
     
-    // Esegui subito
-    fetchConnectionStatus();
+    listeners.push(handler);
+    
+    if (liveStateCache[eventName] !== undefined) {
+        handler(liveStateCache[eventName]);
+    } else if (livePollingInterval) {
+        // In polling non serve attendere il prossimo giro per il primo valore
+        pollLiveState();
+    }
     
-    // Poi esegui ogni 30 secondi
-    connectionStatusInterval = setInterval(fetchConnectionStatus, 30000);
-    console.log("Polling dello stato della connessione avviato");
+    startLiveState();
+    
+    return () => {
+        const index = listeners.indexOf(handler);
+        if (index !== -1) {
+            listeners.splice(index, 1);
+        }
+        
+        // Nessuno è più in ascolto: chiudi stream e polling
+        if (!hasLiveStateListeners()) {
+            stopLiveState();
+        }
+    };
 }
 
-function stopConnectionStatusPolling() {
-    if (connectionStatusInterval) {
-        clearInterval(connectionStatusInterval);
-        connectionStatusInterval = null;
-        console.log("Polling dello stato della connessione fermato");
-    }
+// Verifica se c'è almeno un listener registrato
+function hasLiveStateListeners() {
+    return Object.keys(liveStateListeners).some(eventName => liveStateListeners[eventName].length > 0);
 }
 
-function fetchConnectionStatus() {
-    fetch('/get_connection_status')
-        .then(response => {
-            if (!response.ok) throw new Error('Errore nel caricamento dello stato della connessione');
-            return response.json();
-        })
-        .then(data => {
-            const statusElement = document.getElementById('connection-status');
-            if (statusElement) {
-                let statusHtml = '';
-                
-                if (data.mode === 'client') {
-                    statusHtml = `
-                        <div style="background-color:#e6f7ff;border-radius:8px;padding:15px;margin-top:15px;border:1px solid #91d5ff;">
-                            <h3 style="margin:0 0 10px 0;color:#0099ff;">Connesso alla rete WiFi</h3>
-                            <p><strong>SSID:</strong> ${data.ssid}</p>
-                            <p><strong>IP:</strong> ${data.ip}</p>
-                        </div>
-                    `;
-                } else if (data.mode === 'AP') {
-                    statusHtml = `
-                        <div style="background-color:#fff7e6;border-radius:8px;padding:15px;margin-top:15px;border:1px solid #ffd591;">
-                            <h3 style="margin:0 0 10px 0;color:#fa8c16;">Access Point attivo</h3>
-                            <p><strong>SSID:</strong> ${data.ssid}</p>
-                            <p><strong>IP:</strong> ${data.ip}</p>
-                        </div>
-                    `;
-                } else {
-                    statusHtml = `
-                        <div style="background-color:#fff1f0;border-radius:8px;padding:15px;margin-top:15px;border:1px solid #ffa39e;">
-                            <h3 style="margin:0 0 10px 0;color:#f5222d;">Nessuna connessione attiva</h3>
-                        </div>
-                    `;
-                }
-                
-                statusElement.innerHTML = statusHtml;
-                statusElement.style.display = 'block';
+// Memorizza il nuovo stato e lo notifica ai listener
+function dispatchLiveState(eventName, data) {
+    liveStateCache[eventName] = data;
+    
+    liveStateListeners[eventName].slice().forEach(handler => {
+        try {
+            handler(data);
+        } catch (error) {
+            console.error(`Errore nel gestore dello stato ${eventName}:`, error);
+        }
+    });
+}
+
+// Apre lo stream SSE (o avvia direttamente il polling se il browser non lo supporta)
+function startLiveState() {
+    if (liveEventSource || liveReconnectTimer) return;
+    
+    if (typeof EventSource === 'undefined') {
+        startLivePolling();
+        return;
+    }
+    
+    const source = new EventSource('/events');
+    liveEventSource = source;
+    
+    source.onopen = () => {
+        console.log("Stream eventi connesso");
+        liveReconnectDelay = LIVE_RECONNECT_MIN_DELAY;
+        stopLivePolling();
+    };
+    
+    Object.keys(LIVE_STATE_ENDPOINTS).forEach(eventName => {
+        source.addEventListener(eventName, event => {
+            try {
+                dispatchLiveState(eventName, JSON.parse(event.data));
+            } catch (error) {
+                console.error(`Evento ${eventName} non valido:`, error);
             }
-        })
-        .catch(error => {
-            console.error('Errore nel caricamento dello stato della connessione:', error);
-            // Non mostrare toast per evitare troppi popup
         });
+    });
+    
+    source.onerror = () => {
+        // Lo stream è caduto (o il server lo ha rifiutato): ripiega sul polling
+        // e ritenta la connessione con attesa crescente
+        console.warn("Stream eventi interrotto, uso il polling");
+        source.close();
+        liveEventSource = null;
+        startLivePolling();
+        
+        liveReconnectTimer = setTimeout(() => {
+            liveReconnectTimer = null;
+            if (hasLiveStateListeners()) {
+                startLiveState();
+            }
+        }, liveReconnectDelay);
+        liveReconnectDelay = Math.min(liveReconnectDelay * 2, LIVE_RECONNECT_MAX_DELAY);
+    };
+}
+
+// Chiude stream, polling e tentativi di riconnessione
+function stopLiveState() {
+    if (liveEventSource) {
+        liveEventSource.close();
+        liveEventSource = null;
+    }
+    
+    if (liveReconnectTimer) {
+        clearTimeout(liveReconnectTimer);
+        liveReconnectTimer = null;
+    }
+    
+    liveReconnectDelay = LIVE_RECONNECT_MIN_DELAY;
+    stopLivePolling();
+}
+
+// Avvia il polling di ripiego degli endpoint con listener attivi
+function startLivePolling() {
+    if (livePollingInterval) return;
+    
+    pollLiveState();
+    livePollingInterval = setInterval(pollLiveState, LIVE_POLLING_INTERVAL);
+    console.log("Polling dello stato avviato");
+}
+
+function stopLivePolling() {
+    if (livePollingInterval) {
+        clearInterval(livePollingInterval);
+        livePollingInterval = null;
+        console.log("Polling dello stato fermato");
+    }
+}
+
+// Interroga una volta gli endpoint dei tipi di stato sottoscritti
+function pollLiveState() {
+    Object.keys(LIVE_STATE_ENDPOINTS).forEach(eventName => {
+        if (liveStateListeners[eventName].length === 0) return;
+        
+        // Niente nuovi tentativi: ci pensa già il prossimo giro di polling
+        apiGet(LIVE_STATE_ENDPOINTS[eventName], { retries: 0 })
+            .then(data => dispatchLiveState(eventName, data))
+            .catch(error => {
+                console.error(`Errore nel polling di ${eventName}:`, error);
+            });
+    });
 }
 
 // Funzione per fermare tutti i programmi in esecuzione
@@ -370,55 +610,214 @@ function stopAllPrograms() {
         stopBtn.classList.add('loading');
     }
     
-    fetch('/stop_program', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' }
-    })
-    .then(response => response.json())
-    .then(data => {
-        if (stopBtn) {
-            stopBtn.classList.remove('loading');
+    // Ferma il programma in corso e svuota la coda; fermare un programma già fermo
+    // non ha effetti, quindi la chiamata può essere ritentata
+    apiPost('/stop_program', {}, { idempotent: true })
+    .then(() => {
+        showToast('Arresto totale eseguito con successo', 'success');
+        
+        // Se siamo nella pagina di visualizzazione programmi, aggiorniamola
+        if (currentPage === 'view_programs.html' && typeof fetchProgramState === 'function') {
+            fetchProgramState();
         }
         
-        if (data.success) {
-            showToast('Arresto totale eseguito con successo', 'success');
-            
-            // Se siamo nella pagina di visualizzazione programmi, aggiorniamola
-            if (currentPage === 'view_programs.html' && typeof fetchProgramState === 'function') {
-                fetchProgramState();
-            }
-            
-            // Se siamo nella pagina manuale, aggiorniamola
-            if (currentPage === 'manual.html' && typeof fetchZonesStatus === 'function') {
-                fetchZonesStatus();
-            }
-        } else {
-            showToast(`Errore durante l'arresto totale: ${data.error || 'Errore sconosciuto'}`, 'error');
+        // Se siamo nella pagina manuale, aggiorniamola
+        if (currentPage === 'manual.html' && typeof fetchZonesStatus === 'function') {
+            fetchZonesStatus();
         }
     })
     .catch(error => {
+        console.error('Errore durante l\'arresto totale:', error);
+        showToast(`Errore durante l'arresto totale: ${error.message}`, 'error');
+    })
+    .finally(() => {
         if (stopBtn) {
             stopBtn.classList.remove('loading');
         }
-        console.error('Errore di rete durante l\'arresto totale:', error);
-        showToast('Errore di rete durante l\'arresto totale', 'error');
     });
 }
 
+// =================== SOSPENSIONE IRRIGAZIONE ===================
+
+// Recupera lo stato della sospensione e aggiorna il banner
+function fetchIrrigationHold() {
+    apiGet('/get_irrigation_hold', { retries: 0 })
+        .then(updateHoldBanner)
+        .catch(error => {
+            console.error('Errore nel recupero della sospensione irrigazione:', error);
+        });
+}
+
+// Mostra il banner con il tempo rimanente della sospensione (o lo nasconde)
+function updateHoldBanner(status) {
+    const banner = document.getElementById('hold-banner');
+    const text = document.getElementById('hold-banner-text');
+    if (!banner || !text) return;
+    
+    // La sospensione sposta la prossima irrigazione automatica
+    irrigationHoldUntil = status && status.active ? new Date(Date.now() + status.remaining * 1000) : null;
+    computeNextIrrigation();
+    
+    if (!status || !status.active) {
+        banner.classList.remove('visible');
+        return;
+    }
+    
+    const totalMinutes = Math.ceil(status.remaining / 60);
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    const remaining = hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+    
+    // "YYYY-MM-DD HH:MM" -> "DD/MM alle HH:MM"
+    let until = '';
+    if (status.until) {
+        const [datePart, timePart] = status.until.split(' ');
+        const [, month, day] = datePart.split('-');
+        until = ` (fino al ${day}/${month} alle ${timePart})`;
+    }
+    
+    text.textContent = `Irrigazione automatica sospesa: mancano ${remaining}${until}`;
+    banner.classList.add('visible');
+}
+
+// Sospende l'irrigazione automatica per il numero di ore indicato
+function setIrrigationHold(hours) {
+    // Ripetere la richiesta ricalcola solo la scadenza: la chiamata può essere ritentata
+    apiPost('/set_irrigation_hold', { hours: hours }, { idempotent: true })
+        .then(status => {
+            updateHoldBanner(status);
+            closeMenu();
+            showToast(`Irrigazione automatica sospesa per ${hours} ore`, 'success');
+        })
+        .catch(error => {
+            console.error('Errore nella sospensione dell\'irrigazione:', error);
+            showToast(`Errore nella sospensione: ${error.message}`, 'error');
+        });
+}
+
+// Chiede una durata personalizzata per la sospensione
+function promptIrrigationHold() {
+    const value = prompt(`Per quante ore sospendere l'irrigazione automatica? (1-${MAX_HOLD_HOURS})`, '12');
+    if (value === null) return;
+    
+    const hours = parseInt(value, 10);
+    if (isNaN(hours) || hours < 1 || hours > MAX_HOLD_HOURS) {
+        showToast(`Inserisci un numero di ore tra 1 e ${MAX_HOLD_HOURS}`, 'error');
+        return;
+    }
+    
+    setIrrigationHold(hours);
+}
+
+// Annulla la sospensione e riattiva subito i programmi automatici
+function clearIrrigationHold() {
+    apiPost('/clear_irrigation_hold', {}, { idempotent: true })
+        .then(() => {
+            updateHoldBanner(null);
+            showToast('Irrigazione automatica riattivata', 'success');
+        })
+        .catch(error => {
+            console.error('Errore nell\'annullamento della sospensione:', error);
+            showToast(`Errore nell'annullamento della sospensione: ${error.message}`, 'error');
+        });
+}
+
+// =================== PROSSIMA IRRIGAZIONE ===================
+
+// Carica programmi e impostazioni e ricalcola la prossima irrigazione automatica
+function fetchNextIrrigation() {
+    if (isFetchingNextIrrigation) return;
+    isFetchingNextIrrigation = true;
+    
+    loadScripts(['program_schedule.js'], () => {
+        Promise.all([
+            apiGet('/data/user_settings.json', { retries: 0 }),
+            apiGet('/data/program.json', { retries: 0 })
+        ])
+            .then(([settings, programs]) => {
+                programs = programs || {};
+                
+                // Alba e tramonto servono solo ai programmi relativi
+                const needsSunTimes = Object.keys(programs).some(programId => isSunRelativeProgram(programs[programId]));
+                const sunTimesPromise = needsSunTimes
+                    ? apiGet('/get_sun_times', { retries: 0 }).catch(() => null)
+                    : Promise.resolve(null);
+                
+                return sunTimesPromise.then(sunTimes => {
+                    nextIrrigationData = { settings: settings || {}, programs: programs, sunTimes: sunTimes };
+                    computeNextIrrigation();
+                });
+            })
+            .catch(error => {
+                console.error('Errore nel calcolo della prossima irrigazione:', error);
+            })
+            .finally(() => {
+                isFetchingNextIrrigation = false;
+            });
+    });
+}
+
+// Ricalcola la prossima irrigazione con i dati già caricati
+function computeNextIrrigation() {
+    if (!nextIrrigationData || typeof getNextScheduledRun !== 'function') return;
+    
+    const { settings, programs, sunTimes } = nextIrrigationData;
+    nextIrrigation = getNextScheduledRun(programs, settings, sunTimes, irrigationHoldUntil);
+    updateNextIrrigationIndicator();
+}
+
+// Aggiorna l'indicatore della prossima irrigazione nell'intestazione (chiamata ogni secondo)
+function updateNextIrrigationIndicator() {
+    const element = document.getElementById('next-irrigation');
+    if (!element || !nextIrrigationData) return;
+    
+    // Orario raggiunto: il programma è partito, la prossima esecuzione dipende dal nuovo stato
+    if (nextIrrigation && nextIrrigation.date <= new Date()) {
+        nextIrrigation = null;
+        fetchNextIrrigation();
+    }
+    
+    if (nextIrrigation) {
+        const program = nextIrrigationData.programs[nextIrrigation.programId] || {};
+        element.textContent = `Prossima irrigazione: ${formatNextRun(nextIrrigation.date)}`;
+        element.title = program.name || `Programma ${nextIrrigation.programId}`;
+    } else if (nextIrrigationData.settings.automatic_programs_enabled !== true) {
+        element.textContent = 'Programmi automatici disattivati';
+        element.title = '';
+    } else {
+        element.textContent = 'Nessuna irrigazione pianificata';
+        element.title = '';
+    }
+}
+
 // Funzione per l'inizializzazione della pagina
 function initializePage() {
     // Aggiorna data e ora
     updateDateTime();
     setInterval(updateDateTime, 1000);
+    
+    // Banner della sospensione dell'irrigazione automatica
+    fetchIrrigationHold();
+    setInterval(fetchIrrigationHold, HOLD_REFRESH_INTERVAL);
+    
+    // Prossima irrigazione automatica nell'intestazione
+    fetchNextIrrigation();
+    setInterval(fetchNextIrrigation, NEXT_IRRIGATION_REFRESH_INTERVAL);
 
-    // Carica i dati utente e dopo carica la pagina predefinita
+    // Carica i dati utente e dopo carica la pagina indicata dall'URL
+    // (la pagina predefinita è il controllo manuale)
     loadUserData(() => {
-        // Carica la pagina predefinita (controllo manuale)
-        loadPage('manual.html');
+        handleRouteChange();
     });
     
+    // Gestisci i pulsanti avanti/indietro del browser e le modifiche manuali all'hash
+    window.addEventListener('popstate', handleRouteChange);
+    
     // Esponi funzioni globali
     window.showToast = showToast;
+    window.registerPage = registerPage;
+    window.subscribeLiveState = subscribeLiveState;
+    window.fetchNextIrrigation = fetchNextIrrigation;
 }
 
 // Inizializzazione quando il DOM è completamente caricato
@@ -429,9 +828,9 @@ document.addEventListener('DOMContentLoaded', () => {
     // Gestisci i click sui link di navigazione
     document.querySelectorAll('.menu li').forEach(item => {
         item.addEventListener('click', (event) => {
-            const targetPage = event.currentTarget.getAttribute('data-page');
-            if (targetPage) {
-                loadPage(targetPage);
+            const targetRoute = event.currentTarget.getAttribute('data-route');
+            if (targetRoute) {
+                navigateTo(targetRoute);
             }
         });
     });
@@ -2,27 +2,32 @@
 
 // Variabili globali
 var isLoading = false;
-var settingsStatusInterval = null;
+var unsubscribeConnectionStatus = null;
 var wifiNetworks = [];
 var settingsModified = {
     wifi: false,
     zones: false,
+    budget: false,
+    rainSensor: false,
+    flowMeter: false,
     advanced: false
 };
 
-// Funzione per inizializzare la pagina delle impostazioni
-function initializeSettingsPage(userData) {
+// Limiti e nomi dei mesi per il bilancio idrico
+const WATER_BUDGET_MIN = 10;
+const WATER_BUDGET_MAX = 300;
+const WATER_BUDGET_MONTHS = ['Gen', 'Feb', 'Mar', 'Apr', 'Mag', 'Giu', 'Lug', 'Ago', 'Set', 'Ott', 'Nov', 'Dic'];
+
+// Monta la pagina delle impostazioni
+function mountSettingsPage(container, ctx) {
+    const userData = ctx.userData;
     console.log("Inizializzazione pagina impostazioni");
     
     if (userData && Object.keys(userData).length > 0) {
         loadSettingsWithData(userData);
     } else {
         // Se userData non è già disponibile, carica dal server
-        fetch('/data/user_settings.json')
-            .then(response => {
-                if (!response.ok) throw new Error('Errore nel caricamento delle impostazioni utente');
-                return response.json();
-            })
+        apiGet('/data/user_settings.json')
             .then(data => {
                 console.log("Dati impostazioni caricati dal server:", data);
                 loadSettingsWithData(data);
@@ -33,11 +38,8 @@ function initializeSettingsPage(userData) {
             });
     }
     
-    // Inizia il polling dello stato connessione
-    startConnectionStatusPolling();
-    
-    // Ascoltatori per il cambio di pagina
-    window.addEventListener('pagehide', cleanupSettingsPage);
+    // Ricevi gli aggiornamenti dello stato connessione (stream eventi o polling)
+    startConnectionStatusUpdates();
     
     // Ascoltatori per rilevare modifiche ai campi
     addChangeListeners();
@@ -75,11 +77,33 @@ function loadSettingsWithData(data) {
     // Impostazioni zone
     renderZonesSettings(data.zones || []);
     
+    // Bilancio idrico
+    renderWaterBudgetSettings(data.water_budget || {});
+    
+    // Sensore pioggia
+    const rainSensor = data.rain_sensor || {};
+    document.getElementById('rain-sensor-enabled').checked = rainSensor.enabled === true;
+    document.getElementById('rain-sensor-pin').value = rainSensor.pin !== undefined && rainSensor.pin !== null ? rainSensor.pin : '';
+    document.getElementById('rain-sensor-type').value = rainSensor.type === 'NC' ? 'NC' : 'NO';
+    document.getElementById('rain-sensor-abort').checked = rainSensor.abort_running === true;
+    
+    // Flussometro
+    const flowMeter = data.flow_meter || {};
+    document.getElementById('flow-meter-enabled').checked = flowMeter.enabled === true;
+    document.getElementById('flow-meter-pin').value = flowMeter.pin !== undefined && flowMeter.pin !== null ? flowMeter.pin : '';
+    document.getElementById('flow-meter-pulses').value = flowMeter.pulses_per_liter || 450;
+    
     // Impostazioni avanzate
     document.getElementById('max-active-zones').value = data.max_active_zones || 3;
     document.getElementById('activation-delay').value = data.activation_delay || 0;
     document.getElementById('max-zone-duration').value = data.max_zone_duration || 180;
     
+    // Posizione per alba e tramonto
+    const location = data.location || {};
+    document.getElementById('location-latitude').value = location.latitude !== undefined ? location.latitude : '';
+    document.getElementById('location-longitude').value = location.longitude !== undefined ? location.longitude : '';
+    document.getElementById('location-utc-offset').value = location.utc_offset !== undefined ? location.utc_offset : 1;
+    
     // Imposta il valore del pin del relè di sicurezza (solo nell'hidden input)
     const safetyRelayPin = data.safety_relay && data.safety_relay.pin !== undefined ? 
                         data.safety_relay.pin : 13;
@@ -89,6 +113,9 @@ function loadSettingsWithData(data) {
     settingsModified = {
         wifi: false,
         zones: false,
+        budget: false,
+        rainSensor: false,
+        flowMeter: false,
         advanced: false
     };
 }
@@ -116,9 +143,50 @@ function addChangeListeners() {
         }
     });
     
+    // Bilancio idrico (i campi dei mesi ricevono il listener quando vengono generati)
+    const budgetGlobal = document.getElementById('water-budget-global');
+    if (budgetGlobal) {
+        budgetGlobal.addEventListener('input', () => {
+            settingsModified.budget = true;
+        });
+    }
+    
+    // Sensore pioggia
+    ['rain-sensor-enabled', 'rain-sensor-pin', 'rain-sensor-type', 'rain-sensor-abort'].forEach(id => {
+        const element = document.getElementById(id);
+        if (element) {
+            element.addEventListener('change', () => {
+                settingsModified.rainSensor = true;
+            });
+            
+            if (element.type === 'number') {
+                element.addEventListener('input', () => {
+                    settingsModified.rainSensor = true;
+                });
+            }
+        }
+    });
+    
+    // Flussometro
+    ['flow-meter-enabled', 'flow-meter-pin', 'flow-meter-pulses'].forEach(id => {
+        const element = document.getElementById(id);
+        if (element) {
+            element.addEventListener('change', () => {
+                settingsModified.flowMeter = true;
+            });
+            
+            if (element.type === 'number') {
+                element.addEventListener('input', () => {
+                    settingsModified.flowMeter = true;
+                });
+            }
+        }
+    });
+    
     // Advanced settings
     const advancedElements = [
-        'max-active-zones', 'activation-delay', 'max-zone-duration'
+        'max-active-zones', 'activation-delay', 'max-zone-duration',
+        'location-latitude', 'location-longitude', 'location-utc-offset'
     ];
     
     advancedElements.forEach(id => {
@@ -203,6 +271,15 @@ function renderZonesSettings(zones) {
                     </label>
                 </div>
             </div>
+            <div class="input-group">
+                <label for="zone-flow-min-${zone.id}">Portata attesa (L/min):</label>
+                <div class="input-row">
+                    <input type="number" id="zone-flow-min-${zone.id}" class="input-control zone-flow-min-input" 
+                           value="${zone.flow_min !== null && zone.flow_min !== undefined ? zone.flow_min : ''}" min="0" step="0.1" placeholder="Min (auto)">
+                    <input type="number" id="zone-flow-max-${zone.id}" class="input-control zone-flow-max-input" 
+                           value="${zone.flow_max !== null && zone.flow_max !== undefined ? zone.flow_max : ''}" min="0" step="0.1" placeholder="Max (auto)">
+                </div>
+            </div>
         `;
         
         zonesGrid.appendChild(zoneCard);
@@ -211,6 +288,13 @@ function renderZonesSettings(zones) {
         const nameInput = zoneCard.querySelector('.zone-name-input');
         const statusToggle = zoneCard.querySelector('.zone-status-toggle');
         
+        // Lasciando vuoti i limiti la portata attesa viene appresa dalle irrigazioni precedenti
+        zoneCard.querySelectorAll('.zone-flow-min-input, .zone-flow-max-input').forEach(input => {
+            input.addEventListener('input', () => {
+                settingsModified.zones = true;
+            });
+        });
+        
         if (nameInput) {
             nameInput.addEventListener('input', () => {
                 settingsModified.zones = true;
@@ -265,11 +349,8 @@ function scanWifiNetworks() {
         scanButton.disabled = true;
     }
     
-    fetch('/scan_wifi')
-        .then(response => {
-            if (!response.ok) throw new Error('Errore durante la scansione WiFi');
-            return response.json();
-        })
+    // La scansione può richiedere qualche secondo in più delle altre chiamate
+    apiGet('/scan_wifi', { timeout: 20000 })
         .then(networks => {
             console.log('Reti WiFi trovate:', networks);
             wifiNetworks = networks;
@@ -434,6 +515,216 @@ function saveWifiSettings() {
     });
 }
 
+// Genera i campi del bilancio idrico (globale e per mese)
+function renderWaterBudgetSettings(budget) {
+    const globalInput = document.getElementById('water-budget-global');
+    if (globalInput) {
+        globalInput.value = budget.global !== undefined ? budget.global : 100;
+    }
+    
+    const monthsGrid = document.getElementById('water-budget-months');
+    if (!monthsGrid) return;
+    
+    const months = Array.isArray(budget.months) && budget.months.length === 12 ? budget.months : null;
+    const currentMonth = new Date().getMonth();
+    monthsGrid.innerHTML = '';
+    
+    WATER_BUDGET_MONTHS.forEach((monthName, index) => {
+        const monthItem = document.createElement('label');
+        monthItem.className = `budget-month ${index === currentMonth ? 'current' : ''}`;
+        monthItem.innerHTML = `
+            ${monthName}
+            <input type="number" class="input-control budget-month-input" data-month="${index}"
+                   min="${WATER_BUDGET_MIN}" max="${WATER_BUDGET_MAX}" value="${months ? months[index] : 100}">
+        `;
+        
+        monthItem.querySelector('input').addEventListener('input', () => {
+            settingsModified.budget = true;
+        });
+        
+        monthsGrid.appendChild(monthItem);
+    });
+}
+
+// Funzione per salvare il bilancio idrico
+function saveWaterBudgetSettings() {
+    if (!settingsModified.budget) {
+        showToast('Nessuna modifica da salvare', 'info');
+        return;
+    }
+    
+    const saveButton = document.getElementById('save-budget-button');
+    const resetButton = () => {
+        if (saveButton) {
+            saveButton.classList.remove('loading');
+            saveButton.disabled = false;
+        }
+    };
+    
+    if (saveButton) {
+        saveButton.classList.add('loading');
+        saveButton.disabled = true;
+    }
+    
+    // Raccogli e valida le percentuali
+    const isValidPercent = value => !isNaN(value) && value >= WATER_BUDGET_MIN && value <= WATER_BUDGET_MAX;
+    const globalPercent = parseInt(document.getElementById('water-budget-global').value);
+    const monthPercents = [];
+    document.querySelectorAll('.budget-month-input').forEach(input => {
+        monthPercents[parseInt(input.dataset.month)] = parseInt(input.value);
+    });
+    
+    if (!isValidPercent(globalPercent) || monthPercents.length !== 12 || !monthPercents.every(isValidPercent)) {
+        showToast(`Le percentuali devono essere tra ${WATER_BUDGET_MIN} e ${WATER_BUDGET_MAX}`, 'error');
+        resetButton();
+        return;
+    }
+    
+    // Invia la richiesta
+    saveSettings({ water_budget: { global: globalPercent, months: monthPercents } }, () => {
+        settingsModified.budget = false;
+        resetButton();
+        showToast('Bilancio idrico salvato con successo', 'success');
+    }, resetButton);
+}
+
+// Verifica se un pin è già usato da una zona, dal relè di sicurezza o da un altro sensore
+function isPinInUse(pin, sensorKey) {
+    const data = window.userData || {};
+    const usedPins = (data.zones || []).map(zone => zone.pin);
+    if (data.safety_relay) {
+        usedPins.push(data.safety_relay.pin);
+    }
+    
+    ['rain_sensor', 'flow_meter'].forEach(key => {
+        if (key !== sensorKey && data[key] && data[key].enabled) {
+            usedPins.push(data[key].pin);
+        }
+    });
+    
+    return usedPins.includes(pin);
+}
+
+// Funzione per salvare la configurazione del sensore di pioggia
+function saveRainSensorSettings() {
+    if (!settingsModified.rainSensor) {
+        showToast('Nessuna modifica da salvare', 'info');
+        return;
+    }
+    
+    const saveButton = document.getElementById('save-rain-sensor-button');
+    const resetButton = () => {
+        if (saveButton) {
+            saveButton.classList.remove('loading');
+            saveButton.disabled = false;
+        }
+    };
+    
+    if (saveButton) {
+        saveButton.classList.add('loading');
+        saveButton.disabled = true;
+    }
+    
+    const enabled = document.getElementById('rain-sensor-enabled').checked;
+    const pinValue = document.getElementById('rain-sensor-pin').value.trim();
+    const pin = parseInt(pinValue);
+    
+    if (pinValue && (isNaN(pin) || pin < 0 || pin > 39)) {
+        showToast('Il pin del sensore deve essere un numero tra 0 e 39', 'error');
+        resetButton();
+        return;
+    }
+    
+    if (enabled && !pinValue) {
+        showToast('Indica il pin a cui è collegato il sensore', 'error');
+        resetButton();
+        return;
+    }
+    
+    if (pinValue && isPinInUse(pin, 'rain_sensor')) {
+        showToast(`Il pin ${pin} è già usato da una zona, dal relè di sicurezza o da un altro sensore`, 'error');
+        resetButton();
+        return;
+    }
+    
+    const rainSensor = {
+        enabled: enabled,
+        pin: pinValue ? pin : null,
+        type: document.getElementById('rain-sensor-type').value,
+        abort_running: document.getElementById('rain-sensor-abort').checked
+    };
+    
+    // Invia la richiesta
+    saveSettings({ rain_sensor: rainSensor }, () => {
+        settingsModified.rainSensor = false;
+        resetButton();
+        showToast('Sensore pioggia salvato con successo', 'success');
+    }, resetButton);
+}
+
+// Funzione per salvare la configurazione del flussometro
+function saveFlowMeterSettings() {
+    if (!settingsModified.flowMeter) {
+        showToast('Nessuna modifica da salvare', 'info');
+        return;
+    }
+    
+    const saveButton = document.getElementById('save-flow-meter-button');
+    const resetButton = () => {
+        if (saveButton) {
+            saveButton.classList.remove('loading');
+            saveButton.disabled = false;
+        }
+    };
+    
+    if (saveButton) {
+        saveButton.classList.add('loading');
+        saveButton.disabled = true;
+    }
+    
+    const enabled = document.getElementById('flow-meter-enabled').checked;
+    const pinValue = document.getElementById('flow-meter-pin').value.trim();
+    const pin = parseInt(pinValue);
+    const pulsesPerLiter = parseFloat(document.getElementById('flow-meter-pulses').value);
+    
+    if (pinValue && (isNaN(pin) || pin < 0 || pin > 39)) {
+        showToast('Il pin del flussometro deve essere un numero tra 0 e 39', 'error');
+        resetButton();
+        return;
+    }
+    
+    if (enabled && !pinValue) {
+        showToast('Indica il pin a cui è collegato il flussometro', 'error');
+        resetButton();
+        return;
+    }
+    
+    if (isNaN(pulsesPerLiter) || pulsesPerLiter <= 0 || pulsesPerLiter > 10000) {
+        showToast('Gli impulsi per litro devono essere un numero tra 0 e 10000', 'error');
+        resetButton();
+        return;
+    }
+    
+    if (pinValue && isPinInUse(pin, 'flow_meter')) {
+        showToast(`Il pin ${pin} è già usato da una zona, dal relè di sicurezza o da un altro sensore`, 'error');
+        resetButton();
+        return;
+    }
+    
+    const flowMeter = {
+        enabled: enabled,
+        pin: pinValue ? pin : null,
+        pulses_per_liter: pulsesPerLiter
+    };
+    
+    // Invia la richiesta
+    saveSettings({ flow_meter: flowMeter }, () => {
+        settingsModified.flowMeter = false;
+        resetButton();
+        showToast('Flussometro salvato con successo', 'success');
+    }, resetButton);
+}
+
 // Funzione per salvare le impostazioni delle zone
 function saveZonesSettings() {
     if (!settingsModified.zones) {
@@ -450,6 +741,7 @@ function saveZonesSettings() {
     // Raccogli i dati dalle zone
     const zones = [];
     const zoneCards = document.querySelectorAll('.zone-card');
+    let invalidFlowZone = null;
     
     zoneCards.forEach(card => {
         const zoneId = parseInt(card.dataset.zoneId);
@@ -464,15 +756,35 @@ function saveZonesSettings() {
             const currentZone = window.userData.zones.find(z => z.id === zoneId);
             const pin = currentZone && currentZone.pin !== undefined ? currentZone.pin : 14 + zoneId;
             
+            // Limiti di portata facoltativi (null = appresa automaticamente)
+            const flowMin = parseFloat(card.querySelector('.zone-flow-min-input').value);
+            const flowMax = parseFloat(card.querySelector('.zone-flow-max-input').value);
+            const zoneFlowMin = flowMin > 0 ? flowMin : null;
+            const zoneFlowMax = flowMax > 0 ? flowMax : null;
+            if (zoneFlowMin !== null && zoneFlowMax !== null && zoneFlowMin >= zoneFlowMax) {
+                invalidFlowZone = zoneId;
+            }
+            
             zones.push({
                 id: zoneId,
                 name: name,
                 pin: pin,
-                status: status
+                status: status,
+                flow_min: zoneFlowMin,
+                flow_max: zoneFlowMax
             });
         }
     });
     
+    if (invalidFlowZone !== null) {
+        showToast(`Zona ${invalidFlowZone + 1}: la portata minima deve essere inferiore alla massima`, 'warning');
+        if (saveButton) {
+            saveButton.classList.remove('loading');
+            saveButton.disabled = false;
+        }
+        return;
+    }
+    
     if (zones.length === 0) {
         showToast('Errore nel salvataggio delle zone', 'error');
         if (saveButton) {
@@ -523,6 +835,11 @@ function saveAdvancedSettings() {
     const activationDelay = parseInt(document.getElementById('activation-delay').value);
     const maxZoneDuration = parseInt(document.getElementById('max-zone-duration').value);
     const safetyRelayPin = parseInt(document.getElementById('safety-relay-pin').value);
+    const latitudeValue = document.getElementById('location-latitude').value.trim();
+    const longitudeValue = document.getElementById('location-longitude').value.trim();
+    const latitude = parseFloat(latitudeValue);
+    const longitude = parseFloat(longitudeValue);
+    const utcOffset = parseFloat(document.getElementById('location-utc-offset').value);
     
     // Validazione
     if (isNaN(maxActiveZones) || maxActiveZones < 1 || maxActiveZones > 8) {
@@ -553,6 +870,28 @@ function saveAdvancedSettings() {
         return;
     }
     
+    // La posizione è facoltativa, ma se indicata deve essere completa e valida
+    if (latitudeValue || longitudeValue) {
+        if (isNaN(latitude) || latitude < -90 || latitude > 90 ||
+            isNaN(longitude) || longitude < -180 || longitude > 180) {
+            showToast('Inserisci latitudine (-90/90) e longitudine (-180/180) valide', 'error');
+            if (saveButton) {
+                saveButton.classList.remove('loading');
+                saveButton.disabled = false;
+            }
+            return;
+        }
+    }
+    
+    if (isNaN(utcOffset) || utcOffset < -12 || utcOffset > 14) {
+        showToast('Il fuso orario deve essere tra -12 e 14 ore', 'error');
+        if (saveButton) {
+            saveButton.classList.remove('loading');
+            saveButton.disabled = false;
+        }
+        return;
+    }
+    
     // Prepara i dati da inviare
     const advancedSettings = {
         max_active_zones: maxActiveZones,
@@ -561,6 +900,11 @@ function saveAdvancedSettings() {
         safety_relay: {
             pin: safetyRelayPin
         },
+        location: {
+            latitude: latitudeValue ? latitude : null,
+            longitude: longitudeValue ? longitude : null,
+            utc_offset: utcOffset
+        },
         automatic_programs_enabled: true // Mantenuto per compatibilità, ma non mostrato nell'UI
     };
     
@@ -584,62 +928,44 @@ function saveAdvancedSettings() {
 
 // Funzione generica per il salvataggio delle impostazioni
 function saveSettings(settings, onSuccess, onError) {
-    fetch('/save_user_settings', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(settings)
-    })
-    .then(response => response.json())
-    .then(data => {
-        if (data.success) {
-            // Aggiorna le impostazioni locali
-            Object.assign(window.userData, settings);
-            
-            // Callback di successo
-            if (onSuccess) onSuccess();
-        } else {
-            showToast(`Errore: ${data.error || 'Salvataggio fallito'}`, 'error');
+    // Le impostazioni vengono sovrascritte per intero: la chiamata può essere ritentata
+    apiPost('/save_user_settings', settings, { idempotent: true })
+    .then(() => {
+        // Aggiorna le impostazioni locali
+        Object.assign(window.userData, settings);
             
-            // Callback di errore
-            if (onError) onError();
-        }
+        // Callback di successo
+        if (onSuccess) onSuccess();
     })
     .catch(error => {
         console.error('Errore:', error);
-        showToast('Errore di rete durante il salvataggio', 'error');
+        showToast(`Errore durante il salvataggio: ${error.message}`, 'error');
         
         // Callback di errore
         if (onError) onError();
     });
 }
 
-// Funzioni per il polling dello stato della connessione
-function startConnectionStatusPolling() {
-    // Ferma eventuali polling precedenti
-    stopConnectionStatusPolling();
+// Sottoscrive lo stato della connessione in tempo reale
+function startConnectionStatusUpdates() {
+    // Annulla eventuali sottoscrizioni precedenti
+    stopConnectionStatusUpdates();
     
-    // Esegui subito
-    fetchConnectionStatus();
-    
-    // Poi ogni 10 secondi
-    settingsStatusInterval = setInterval(fetchConnectionStatus, 10000);
-    console.log("Polling dello stato della connessione avviato");
+    unsubscribeConnectionStatus = subscribeLiveState('connection', updateConnectionStatus);
+    console.log("Aggiornamenti dello stato della connessione avviati");
 }
 
-function stopConnectionStatusPolling() {
-    if (settingsStatusInterval) {
-        clearInterval(settingsStatusInterval);
-        settingsStatusInterval = null;
-        console.log("Polling dello stato della connessione fermato");
+function stopConnectionStatusUpdates() {
+    if (unsubscribeConnectionStatus) {
+        unsubscribeConnectionStatus();
+        unsubscribeConnectionStatus = null;
+        console.log("Aggiornamenti dello stato della connessione fermati");
     }
 }
 
+// Richiede subito lo stato della connessione (es. dopo aver salvato il WiFi)
 function fetchConnectionStatus() {
-    fetch('/get_connection_status')
-        .then(response => {
-            if (!response.ok) throw new Error('Errore nel caricamento dello stato della connessione');
-            return response.json();
-        })
+    apiGet('/get_connection_status')
         .then(data => {
             updateConnectionStatus(data);
         })
@@ -691,21 +1017,16 @@ function updateConnectionStatus(data) {
     statusElement.innerHTML = statusHTML;
 }
 
-// Pulizia quando si cambia pagina
-function cleanupSettingsPage() {
-    stopConnectionStatusPolling();
-    
-    // Chiedi conferma se ci sono modifiche non salvate
-    const hasUnsavedChanges = settingsModified.wifi || settingsModified.zones || settingsModified.advanced;
+// Smonta la pagina: annulla la sottoscrizione allo stato connessione
+function unmountSettingsPage() {
+    stopConnectionStatusUpdates();
+    
+    // Lo smontaggio non può annullare la navigazione: segnala solo le modifiche perse
+    const hasUnsavedChanges = settingsModified.wifi || settingsModified.zones ||
+                              settingsModified.budget || settingsModified.rainSensor ||
+                              settingsModified.flowMeter || settingsModified.advanced;
     if (hasUnsavedChanges) {
-        if (confirm('Ci sono modifiche non salvate. Vuoi lasciare comunque la pagina?')) {
-            // L'utente ha confermato, non fare nulla
-        } else {
-            // L'utente ha annullato, rimani nella pagina
-            // Ma questa funzione viene chiamata quando la pagina sta per essere scaricata,
-            // quindi non possiamo impedire all'utente di lasciare la pagina in questo modo.
-            // La conferma dovrebbe essere implementata negli event listener dei link di navigazione.
-        }
+        console.warn("Pagina impostazioni lasciata con modifiche non salvate");
     }
 }
 
@@ -772,37 +1093,25 @@ function restartSystem() {
     // Chiudi la finestra di conferma
     closeRestartDialog();
     
-    fetch('/restart_system', {
-        method: 'POST'
-    })
-    .then(response => response.json())
-    .then(data => {
-        if (data.success) {
-            showToast('Sistema in riavvio. La pagina si ricaricherà automaticamente tra 30 secondi.', 'info');
-            
-            // Mostra un countdown e ricarica la pagina dopo 30 secondi
-            let countDown = 30;
-            const countdownInterval = setInterval(() => {
-                countDown--;
-                if (countDown <= 0) {
-                    clearInterval(countdownInterval);
-                    window.location.reload();
-                } else {
-                    showToast(`Sistema in riavvio. Ricaricamento in ${countDown} secondi...`, 'info');
-                }
-            }, 1000);
-        } else {
-            showToast(`Errore: ${data.error || 'Riavvio fallito'}`, 'error');
+    apiPost('/restart_system')
+    .then(() => {
+        showToast('Sistema in riavvio. La pagina si ricaricherà automaticamente tra 30 secondi.', 'info');
             
-            if (restartButton) {
-                restartButton.classList.remove('loading');
-                restartButton.disabled = false;
+        // Mostra un countdown e ricarica la pagina dopo 30 secondi
+        let countDown = 30;
+        const countdownInterval = setInterval(() => {
+            countDown--;
+            if (countDown <= 0) {
+                clearInterval(countdownInterval);
+                window.location.reload();
+            } else {
+                showToast(`Sistema in riavvio. Ricaricamento in ${countDown} secondi...`, 'info');
             }
-        }
+        }, 1000);
     })
     .catch(error => {
         console.error('Errore:', error);
-        showToast('Errore di rete durante il riavvio', 'error');
+        showToast(`Errore durante il riavvio: ${error.message}`, 'error');
         
         if (restartButton) {
             restartButton.classList.remove('loading');
@@ -821,30 +1130,18 @@ function executeFactoryReset() {
     // Chiudi la finestra di conferma
     closeFactoryResetFinalDialog();
     
-    fetch('/reset_factory_data', {
-        method: 'POST'
-    })
-    .then(response => response.json())
-    .then(data => {
-        if (data.success) {
-            showToast('Reset di fabbrica completato. La pagina si ricaricherà.', 'success');
+    apiPost('/reset_factory_data')
+    .then(() => {
+        showToast('Reset di fabbrica completato. La pagina si ricaricherà.', 'success');
             
-            // Ricarica la pagina dopo 2 secondi
-            setTimeout(() => {
-                window.location.reload();
-            }, 2000);
-        } else {
-            showToast(`Errore: ${data.error || 'Reset fallito'}`, 'error');
-            
-            if (factoryResetButton) {
-                factoryResetButton.classList.remove('loading');
-                factoryResetButton.disabled = false;
-            }
-        }
+        // Ricarica la pagina dopo 2 secondi
+        setTimeout(() => {
+            window.location.reload();
+        }, 2000);
     })
     .catch(error => {
         console.error('Errore:', error);
-        showToast('Errore di rete durante il reset', 'error');
+        showToast(`Errore durante il reset: ${error.message}`, 'error');
         
         if (factoryResetButton) {
             factoryResetButton.classList.remove('loading');
@@ -853,10 +1150,7 @@ function executeFactoryReset() {
     });
 }
 
-// Inizializzazione quando il documento è caricato
-document.addEventListener('DOMContentLoaded', () => {
-    // Se userData è già disponibile, inizializza la pagina
-    if (window.userData && Object.keys(window.userData).length > 0) {
-        initializeSettingsPage(window.userData);
-    }
-});
\ No newline at end of file
+registerPage('settings.html', {
+    mount: mountSettingsPage,
+    unmount: unmountSettingsPage
+});
@@ -1,149 +1,78 @@
 // view_programs.js - Script per la pagina di visualizzazione programmi
 
 // =================== VARIABILI GLOBALI ===================
-// Verifica se la variabile è già stata dichiarata per evitare errori
-// in caso di ricarica dello script
-if (typeof window.programStatusInterval === 'undefined') {
-    window.programStatusInterval = null;      // Intervallo per il polling dello stato
-}
-// Replace lines 9-18 in view_programs.js with this:
-if (typeof window.programStatusInterval === 'undefined') {
-    window.programStatusInterval = null;      // Intervallo per il polling dello stato
-}
+// Lo script viene caricato una sola volta per sessione (vedi registerPage in scripts.js)
 if (typeof window.programsData === 'undefined') {
-    window.programsData = {};      // Cache dei dati dei programmi
+    window.programsData = {};          // Cache dei dati dei programmi (condivisa con manual.js)
 }
 
 // Usa direttamente window.programsData in tutto il file
 let zoneNameMap = {};                  // Mappatura ID zona -> nome zona
 let lastKnownState = null;             // Ultimo stato conosciuto (per confronti)
-let pollingAccelerated = false;        // Flag per indicare se il polling è accelerato
-let retryInProgress = false;           // Flag per evitare richieste multiple contemporanee
+let retryInProgress = false;           // Flag per evitare richieste di avvio/arresto contemporanee
+let unsubscribeProgramState = null;    // Annulla la sottoscrizione allo stato del programma
+let todaySunTimes = null;              // Alba e tramonto di oggi (per i programmi relativi)
+let waterBudgetPercent = 100;          // Bilancio idrico del mese corrente applicato alle durate
+let programWaterUsage = null;          // Litri erogati per programma (null senza flussometro)
+let programSettings = {};              // Impostazioni utente (interruttore dei programmi automatici)
+let nextRunInterval = null;            // Aggiornamento periodico delle prossime esecuzioni
+
+// Intervallo di aggiornamento del tempo mancante alle prossime esecuzioni
+const NEXT_RUN_UPDATE_INTERVAL = 30000;
 
-// Costanti di configurazione
-const NORMAL_POLLING_INTERVAL = 5000;  // 5 secondi per il polling normale
-const FAST_POLLING_INTERVAL = 1000;    // 1 secondo per il polling accelerato
-const MAX_API_RETRIES = 3;             // Numero massimo di tentativi per le chiamate API
+// Irrigazioni una tantum archiviate mostrate sotto quelle in attesa
+const ONE_SHOT_ARCHIVED_SHOWN = 5;
 
 // =================== INIZIALIZZAZIONE ===================
 
 /**
- * Inizializza la pagina di visualizzazione programmi
+ * Monta la pagina di visualizzazione programmi
+ * @param {HTMLElement} container - Elemento che contiene la pagina
+ * @param {Object} ctx - Contesto di navigazione ({ userData, route })
  */
-function initializeViewProgramsPage() {
+function mountViewProgramsPage(container, ctx) {
     console.log("Inizializzazione pagina visualizzazione programmi");
     
     // Carica i dati e mostra i programmi
     loadUserSettingsAndPrograms();
     
-    // Avvia il polling dello stato dei programmi
-    startProgramStatusPolling();
+    // Ricevi gli aggiornamenti dello stato dei programmi (stream eventi o polling)
+    unsubscribeProgramState = subscribeLiveState('program', applyProgramState);
     
-    // Ascoltatori per la pulizia quando l'utente lascia la pagina
-    window.addEventListener('pagehide', cleanupViewProgramsPage);
+    // Aggiorna il tempo mancante alle prossime esecuzioni
+    nextRunInterval = setInterval(updateProgramNextRuns, NEXT_RUN_UPDATE_INTERVAL);
     
     // Esponi la funzione di aggiornamento stato programma globalmente
     window.fetchProgramState = fetchProgramState;
 }
 
 /**
- * Pulisce le risorse quando l'utente lascia la pagina
+ * Smonta la pagina: annulla la sottoscrizione allo stato dei programmi
  */
-function cleanupViewProgramsPage() {
-    stopProgramStatusPolling();
-}
-
-// =================== GESTIONE POLLING ===================
-
-/**
- * Avvia il polling dello stato dei programmi
- */
-function startProgramStatusPolling() {
-    // Esegui subito
-    fetchProgramState();
-    
-    // Imposta l'intervallo per il polling e adatta in base allo stato
-    let pollingInterval = NORMAL_POLLING_INTERVAL;
-    
-    // Adatta l'intervallo di polling in base allo stato del programma
-    if (lastKnownState && lastKnownState.program_running) {
-        pollingInterval = FAST_POLLING_INTERVAL;
+function unmountViewProgramsPage() {
+    if (unsubscribeProgramState) {
+        unsubscribeProgramState();
+        unsubscribeProgramState = null;
     }
     
-    window.programStatusInterval = setInterval(fetchProgramState, pollingInterval);
-    console.log("Polling dello stato dei programmi avviato");
-    
-    // Aggiungi listener per visibilità pagina se necessario
-    document.addEventListener('visibilitychange', function() {
-        if (document.hidden && window.programStatusInterval) {
-            // Se la pagina non è visibile, polling più lento
-            clearInterval(window.programStatusInterval);
-            window.programStatusInterval = setInterval(fetchProgramState, NORMAL_POLLING_INTERVAL * 2);
-        } else if (!document.hidden && window.programStatusInterval) {
-            // Quando la pagina diventa visibile, ripristina polling normale
-            clearInterval(window.programStatusInterval);
-            
-            // Adatta l'intervallo in base allo stato
-            let newInterval = lastKnownState && lastKnownState.program_running ? 
-                FAST_POLLING_INTERVAL : NORMAL_POLLING_INTERVAL;
-                
-            window.programStatusInterval = setInterval(fetchProgramState, newInterval);
-        }
-    });
-}
-/**
- * Ferma il polling dello stato dei programmi
- */
-function stopProgramStatusPolling() {
-    if (window.programStatusInterval) {
-        clearInterval(window.programStatusInterval);
-        window.programStatusInterval = null;
-        console.log("Polling dello stato dei programmi fermato");
+    if (nextRunInterval) {
+        clearInterval(nextRunInterval);
+        nextRunInterval = null;
     }
 }
 
+// =================== STATO PROGRAMMA ===================
+
 /**
- * Ottiene lo stato del programma corrente con gestione degli errori migliorata
+ * Richiede subito lo stato del programma corrente (es. dopo avvio/arresto),
+ * senza attendere il prossimo aggiornamento in tempo reale
  */
 function fetchProgramState() {
-    // Evita richieste sovrapposte se una è in corso e in retry
+    // Evita richieste sovrapposte mentre è in corso un avvio o un arresto
     if (retryInProgress) return;
     
-    fetch('/get_program_state')
-        .then(response => {
-            if (!response.ok) throw new Error(`Errore HTTP: ${response.status}`);
-            return response.json();
-        })
-        .then(state => {
-            if (state && typeof state === 'object') {
-                // Salva l'ultimo stato conosciuto per confronti
-                const previousState = lastKnownState;
-                lastKnownState = state;
-                
-                // Aggiorna l'UI con il nuovo stato
-                updateProgramsUI(state);
-                
-                // Se c'è un programma in esecuzione, aggiorna l'UI con maggiori dettagli
-                if (state.program_running && state.current_program_id) {
-                    updateRunningProgramStatus(state);
-                    
-                    // Se siamo passati da non in esecuzione a in esecuzione, accelera il polling
-                    if (previousState && !previousState.program_running && !pollingAccelerated) {
-                        acceleratePolling();
-                    }
-                } else {
-                    // Rimuovi eventuali indicatori di stato se non c'è un programma in esecuzione
-                    hideRunningStatus();
-                    
-                    // Se siamo passati da in esecuzione a non in esecuzione, ripristina polling normale
-                    if (previousState && previousState.program_running && pollingAccelerated) {
-                        restoreNormalPolling();
-                    }
-                }
-            } else {
-                console.error("Formato di risposta non valido per lo stato del programma");
-            }
-        })
+    apiGet('/get_program_state')
+        .then(applyProgramState)
         .catch(error => {
             console.error('Errore nel recupero dello stato del programma:', error);
             // Non aggiorniamo l'UI in caso di errore per evitare visualizzazioni errate
@@ -151,38 +80,29 @@ function fetchProgramState() {
 }
 
 /**
- * Accelera temporaneamente il polling durante l'esecuzione iniziale di un programma
+ * Applica all'interfaccia un nuovo stato del programma
+ * @param {Object} state - Stato ricevuto da /events o /get_program_state
  */
-function acceleratePolling() {
-    if (pollingAccelerated) return;
-    
-    console.log("Accelerazione polling per monitoraggio stato");
-    pollingAccelerated = true;
-    
-    // Ferma il polling normale
-    stopProgramStatusPolling();
-    
-    // Imposta un intervallo più frequente
-    window.programStatusInterval = setInterval(fetchProgramState, FAST_POLLING_INTERVAL);
-    
-    // Dopo 15 secondi, ripristina l'intervallo normale
-    setTimeout(restoreNormalPolling, 15000);
-}
-
-/**
- * Ripristina il polling normale
- */
-function restoreNormalPolling() {
-    if (!pollingAccelerated) return;
+function applyProgramState(state) {
+    if (!state || typeof state !== 'object') {
+        console.error("Formato di risposta non valido per lo stato del programma");
+        return;
+    }
     
-    console.log("Ripristino polling normale");
-    pollingAccelerated = false;
+    // Salva l'ultimo stato conosciuto per confronti
+    lastKnownState = state;
     
-    // Ferma il polling accelerato
-    stopProgramStatusPolling();
+    // Aggiorna l'UI con il nuovo stato
+    updateProgramsUI(state);
+    renderRunQueue(state.queue || []);
     
-    // Ripristina l'intervallo normale
-    window.programStatusInterval = setInterval(fetchProgramState, NORMAL_POLLING_INTERVAL);
+    // Se c'è un programma in esecuzione, aggiorna l'UI con maggiori dettagli
+    if (state.program_running && state.current_program_id) {
+        updateRunningProgramStatus(state);
+    } else {
+        // Rimuovi eventuali indicatori di stato se non c'è un programma in esecuzione
+        hideRunningStatus();
+    }
 }
 
 // =================== CARICAMENTO DATI ===================
@@ -200,22 +120,31 @@ function loadUserSettingsAndPrograms() {
     // Uso Promise.all per fare richieste parallele
     Promise.all([
         // Carica le impostazioni utente per ottenere i nomi delle zone
-        fetch('/data/user_settings.json').then(response => {
-            if (!response.ok) throw new Error('Errore nel caricamento delle impostazioni utente');
-            return response.json();
-        }),
+        apiGet('/data/user_settings.json'),
         // Carica i programmi
-        fetch('/data/program.json').then(response => {
-            if (!response.ok) throw new Error('Errore nel caricamento dei programmi');
-            return response.json();
-        }),
+        apiGet('/data/program.json'),
         // Carica lo stato corrente
-        fetch('/get_program_state').then(response => {
-            if (!response.ok) throw new Error('Errore nel caricamento dello stato del programma');
-            return response.json();
+        apiGet('/get_program_state'),
+        // Alba e tramonto di oggi: se non disponibili le card mostrano solo la regola
+        apiGet('/get_sun_times').catch(error => {
+            console.warn('Orari di alba e tramonto non disponibili:', error);
+            return null;
+        }),
+        // Litri erogati dai programmi: se non disponibili le card non mostrano i consumi
+        apiGet('/get_water_usage').catch(error => {
+            console.warn('Consumi d\'acqua non disponibili:', error);
+            return null;
         })
     ])
-    .then(([settings, programs, state]) => {
+    .then(([settings, programs, state, sunTimes, waterUsage]) => {
+        todaySunTimes = sunTimes;
+        programSettings = settings || {};
+        waterBudgetPercent = getWaterBudgetPercent(settings);
+        
+        // I consumi si mostrano solo con il flussometro abilitato
+        const flowMeterEnabled = settings.flow_meter && settings.flow_meter.enabled === true;
+        programWaterUsage = flowMeterEnabled && waterUsage ? waterUsage : null;
+        
         // Salva l'ultimo stato conosciuto
         lastKnownState = state;
         
@@ -236,6 +165,9 @@ function loadUserSettingsAndPrograms() {
         
         // Ora che abbiamo tutti i dati necessari, possiamo renderizzare i programmi
         renderProgramCards(programsData, state);
+        renderOneShotPrograms(programsData);
+        updateProgramsUI(state);
+        renderRunQueue(state.queue || []);
     })
     .catch(error => {
         console.error('Errore nel caricamento dei dati:', error);
@@ -269,7 +201,8 @@ function renderProgramCards(programs, state) {
     const container = document.getElementById('programs-container');
     if (!container) return;
     
-    const programIds = programs ? Object.keys(programs) : [];
+    // Le irrigazioni una tantum hanno un elenco a parte (vedi renderOneShotPrograms)
+    const programIds = programs ? Object.keys(programs).filter(programId => !isOneShotProgram(programs[programId])) : [];
     
     if (!programs || programIds.length === 0) {
         // Nessun programma trovato
@@ -277,7 +210,7 @@ function renderProgramCards(programs, state) {
             <div class="empty-state">
                 <h3>Nessun programma configurato</h3>
                 <p>Crea il tuo primo programma di irrigazione per iniziare a usare il sistema.</p>
-                <button class="btn" onclick="loadPage('create_program.html')">Crea Programma</button>
+                <button class="btn" onclick="navigateTo('/programs/new')">Crea Programma</button>
             </div>
         `;
         return;
@@ -300,9 +233,38 @@ function renderProgramCards(programs, state) {
         // Costruisci la visualizzazione dei mesi
         const monthsHtml = buildMonthsGrid(program.months || []);
         
+        // Periodo attivo e date escluse, solo se il programma ne ha
+        const dateWindow = formatProgramActiveWindow(program);
+        const dateWindowHtml = dateWindow ? `
+                <div class="info-row">
+                    <div class="info-label">Periodo attivo:</div>
+                    <div class="info-value" title="${(program.excluded_dates || []).map(formatScheduleDateLabel).join(', ')}">${dateWindow}</div>
+                </div>` : '';
+        
         // Costruisci la visualizzazione delle zone
         const zonesHtml = buildZonesGrid(program.steps || []);
         
+        // Orari di attivazione (uno o più, oppure relativo ad alba/tramonto)
+        const activationTimes = getProgramActivationTimes(program);
+        let startLabel = activationTimes.length > 1 ? 'Orari' : 'Orario';
+        let startValue = activationTimes.join(', ') || 'Non impostato';
+        if (isSunRelativeProgram(program)) {
+            const todayTime = resolveSunStartTime(program, todaySunTimes);
+            startLabel = 'Avvio';
+            startValue = `${formatSunStart(program)}${todayTime ? ` (oggi ${todayTime})` : ''}`;
+        }
+        
+        // Litri erogati dal programma negli ultimi giorni (solo con il flussometro)
+        let waterUsageHtml = '';
+        if (programWaterUsage) {
+            const liters = programWaterUsage.programs[String(programId)] || 0;
+            waterUsageHtml = `
+                <div class="info-row">
+                    <div class="info-label">Acqua (${programWaterUsage.days} giorni):</div>
+                    <div class="info-value">${liters.toFixed(1)} L</div>
+                </div>`;
+        }
+        
         // Get the automatic status (default to true for backward compatibility)
         const isAutomatic = program.automatic_enabled !== false;
         
@@ -335,17 +297,21 @@ function renderProgramCards(programs, state) {
             </div>
             <div class="program-content">
                 <div class="info-row">
-                    <div class="info-label">Orario:</div>
-                    <div class="info-value">${program.activation_time || 'Non impostato'}</div>
+                    <div class="info-label">${startLabel}:</div>
+                    <div class="info-value">${startValue}</div>
                 </div>
                 <div class="info-row">
                     <div class="info-label">Cadenza:</div>
-                    <div class="info-value">${formatRecurrence(program.recurrence, program.interval_days)}</div>
+                    <div class="info-value">${formatRecurrence(program.recurrence, program.interval_days, program.week_days)}</div>
                 </div>
                 <div class="info-row">
                     <div class="info-label">Ultima esecuzione:</div>
                     <div class="info-value">${program.last_run_date || 'Mai eseguito'}</div>
                 </div>
+                <div class="info-row">
+                    <div class="info-label">Prossima esecuzione:</div>
+                    <div class="info-value" id="next-run-${programId}">${formatProgramNextRun(program)}</div>
+                </div>${waterUsageHtml}
                 <div class="info-row">
                     <div class="info-label">Mesi attivi:</div>
                     <div class="info-value">
@@ -353,7 +319,7 @@ function renderProgramCards(programs, state) {
                             ${monthsHtml}
                         </div>
                     </div>
-                </div>
+                </div>${dateWindowHtml}
                 <div class="info-row">
                     <div class="info-label">Zone:</div>
                     <div class="info-value">
@@ -409,12 +375,14 @@ function renderProgramCards(programs, state) {
 function updateProgramsUI(state) {
     const currentProgramId = state.current_program_id;
     const programRunning = state.program_running;
+    const queuedIds = (state.queue || []).map(entry => String(entry.program_id));
     
     // Aggiorna tutte le card dei programmi
     document.querySelectorAll('.program-card').forEach(card => {
         const cardProgramId = card.getAttribute('data-program-id');
         // Assicuriamo il confronto tra stringhe per evitare problemi di tipo
         const isActive = programRunning && String(cardProgramId) === String(currentProgramId);
+        const isQueued = queuedIds.includes(String(cardProgramId));
         
         // Aggiorna classe attiva
         if (isActive) {
@@ -426,10 +394,16 @@ function updateProgramsUI(state) {
                 if (programHeader) {
                     const indicator = document.createElement('div');
                     indicator.className = 'active-indicator';
-                    indicator.textContent = 'In esecuzione';
                     programHeader.appendChild(indicator);
                 }
             }
+            
+            // Il programma può essere in esecuzione o in pausa
+            const indicator = card.querySelector('.active-indicator');
+            if (indicator) {
+                indicator.textContent = state.paused ? 'In pausa' : 'In esecuzione';
+                indicator.classList.toggle('paused', !!state.paused);
+            }
         } else {
             card.classList.remove('active-program');
             
@@ -455,10 +429,11 @@ function updateProgramsUI(state) {
                 // Assicurati che il pulsante stop sia realmente cliccabile
                 stopBtn.style.pointerEvents = 'auto';
                 stopBtn.setAttribute('onclick', "stopProgram()");
-            } else if (programRunning) {
-                // Un altro programma è attivo
-                startBtn.classList.add('disabled');
-                startBtn.disabled = true;
+            } else if (programRunning || isQueued) {
+                // Un altro programma è attivo: l'avvio mette il programma in coda
+                startBtn.classList.toggle('disabled', isQueued);
+                startBtn.disabled = isQueued;
+                startBtn.title = isQueued ? 'Programma già in coda' : 'Avvia al termine del programma in corso';
                 stopBtn.classList.add('disabled');
                 stopBtn.disabled = true;
                 stopBtn.style.pointerEvents = 'none';
@@ -466,6 +441,7 @@ function updateProgramsUI(state) {
                 // Nessun programma è attivo
                 startBtn.classList.remove('disabled');
                 startBtn.disabled = false;
+                startBtn.title = '';
                 stopBtn.classList.add('disabled');
                 stopBtn.disabled = true;
                 stopBtn.style.pointerEvents = 'none';
@@ -475,69 +451,180 @@ function updateProgramsUI(state) {
 }
 
 /**
- * Aggiorna le informazioni dettagliate sul programma in esecuzione
- * @param {Object} state - Stato del programma
+ * Aggiorna le informazioni dettagliate sul programma in esecuzione:
+ * zona o attesa in corso, avanzamento dello step e dell'intero programma
+ * @param {Object} state - Stato del programma (tempi in secondi da /get_program_state)
  */
-// Update or add this function in view_programs.js
 function updateRunningProgramStatus(state) {
     // Ottieni il div per il programma attivo, se esiste
     const activeCard = document.querySelector(`.program-card[data-program-id="${state.current_program_id}"]`);
     
     if (!activeCard) return;
     
-    // Se abbiamo informazioni sulla zona attiva, mostrale
-    if (state.active_zone) {
-        // Crea o aggiorna la sezione di stato di esecuzione
-        let statusSection = activeCard.querySelector('.running-status-section');
+    // Prima del primo step non c'è ancora nulla da mostrare
+    if (state.current_step === null || state.current_step === undefined) return;
         
-        if (!statusSection) {
-            // Crea la sezione se non esiste già
-            statusSection = document.createElement('div');
-            statusSection.className = 'running-status-section';
+    // Crea o aggiorna la sezione di stato di esecuzione
+    let statusSection = activeCard.querySelector('.running-status-section');
             
-            // Inseriscila prima delle azioni
-            const programActions = activeCard.querySelector('.program-actions');
-            if (programActions) {
-                activeCard.insertBefore(statusSection, programActions);
-            }
-        }
+    if (!statusSection) {
+        // Crea la sezione se non esiste già
+        statusSection = document.createElement('div');
+        statusSection.className = 'running-status-section';
         
-        // Calcola il tempo rimanente in formato leggibile
-        const remainingSeconds = state.active_zone.remaining_time || 0;
-        const minutes = Math.floor(remainingSeconds / 60);
-        const seconds = remainingSeconds % 60;
-        const formattedTime = `${minutes}:${seconds.toString().padStart(2, '0')}`;
-        
-        // Determina l'avanzamento della zona attiva - calcolo corretto percentuale
-        let progressPercentage = 0;
-        const steps = window.programsData[state.current_program_id]?.steps || [];
-        const currentStep = steps.find(step => step.zone_id === state.active_zone.id);
-        
-        if (currentStep) {
-            const totalSeconds = currentStep.duration * 60;
-            const elapsedSeconds = totalSeconds - remainingSeconds;
-            progressPercentage = Math.min(Math.max((elapsedSeconds / totalSeconds) * 100, 0), 100);
-        } else {
-            // Fallback, dovrebbe sempre trovare lo step corrispondente
-            progressPercentage = calculateProgressPercentage(remainingSeconds);
+        // Inseriscila prima delle azioni
+        const programActions = activeCard.querySelector('.program-actions');
+        if (programActions) {
+            activeCard.insertBefore(statusSection, programActions);
         }
+    }
         
-        // Aggiorna il contenuto dello status section
-        statusSection.innerHTML = `
-            <div style="font-weight: 600; margin-bottom: 5px;">Stato di Esecuzione:</div>
-            <div style="display: flex; justify-content: space-between; margin-bottom: 5px;">
-                <span>Zona Attiva:</span>
-                <span>${state.active_zone.name}</span>
-            </div>
-            <div style="display: flex; justify-content: space-between; margin-bottom: 5px;">
-                <span>Tempo Rimanente:</span>
-                <span>${formattedTime}</span>
-            </div>
-            <div class="progress-bar-container">
-                <div class="progress-bar" style="width: ${progressPercentage}%;"></div>
-            </div>
-        `;
+    // Zona attiva oppure pausa di assorbimento / ritardo tra zone
+    let currentActivity = 'Attesa tra le zone';
+    if (state.current_zone !== null && state.current_zone !== undefined) {
+        currentActivity = zoneNameMap[state.current_zone] || `Zona ${state.current_zone + 1}`;
     }
+        
+    const stepTotal = state.step_total || 0;
+    const stepElapsed = Math.min(state.step_elapsed || 0, stepTotal);
+    const programTotal = state.program_total || 0;
+    const stepPercentage = stepTotal > 0 ? (stepElapsed / stepTotal) * 100 : 0;
+    const programPercentage = programTotal > 0 ? ((state.program_elapsed || 0) / programTotal) * 100 : 0;
+            
+    // Pulsante per mettere in pausa o riprendere il programma
+    const pauseButtonHtml = state.paused
+        ? '<button class="btn btn-pause" onclick="resumeProgram()"><span class="btn-icon">▶</span> Riprendi</button>'
+        : '<button class="btn btn-pause" onclick="pauseProgram()"><span class="btn-icon">❚❚</span> Pausa</button>';
+        
+    // In pausa non si può saltare lo step
+    const skipButtonHtml = state.paused
+        ? ''
+        : '<button class="btn btn-skip" onclick="skipProgramStep()"><span class="btn-icon">⏭</span> Salta zona</button>';
+        
+    statusSection.innerHTML = `
+        <div style="font-weight: 600; margin-bottom: 5px;">
+            ${state.paused ? 'Programma in pausa' : 'Stato di Esecuzione'} · step ${state.current_step + 1} di ${state.step_count}
+        </div>
+        <div style="display: flex; justify-content: space-between; margin-bottom: 5px;">
+            <span>${state.current_zone !== null && state.current_zone !== undefined ? 'Zona Attiva' : 'In corso'}:</span>
+            <span>${currentActivity}</span>
+        </div>
+        <div style="display: flex; justify-content: space-between; margin-bottom: 5px;">
+            <span>Tempo Rimanente:</span>
+            <span>${formatDurationSeconds(stepTotal - stepElapsed)}</span>
+        </div>
+        <div class="progress-bar-container">
+            <div class="progress-bar" style="width: ${Math.min(Math.max(stepPercentage, 0), 100)}%;"></div>
+        </div>
+        <div style="display: flex; justify-content: space-between; margin: 10px 0 5px;">
+            <span>Programma:</span>
+            <span>${formatDurationSeconds(state.program_elapsed || 0)} / ${formatDurationSeconds(programTotal)}</span>
+        </div>
+        <div class="progress-bar-container">
+            <div class="progress-bar program-progress-bar" style="width: ${Math.min(Math.max(programPercentage, 0), 100)}%;"></div>
+        </div>
+        <div class="running-status-actions">
+            ${pauseButtonHtml}
+            ${skipButtonHtml}
+        </div>
+    `;
+}
+        
+/**
+ * Formatta una durata in secondi come "m:ss" (o "h:mm:ss" oltre l'ora)
+ * @param {number} totalSeconds - Durata in secondi
+ * @returns {string}
+ */
+function formatDurationSeconds(totalSeconds) {
+    const seconds = Math.max(0, Math.round(totalSeconds));
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const rest = String(seconds % 60).padStart(2, '0');
+        
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+}
+
+/**
+ * Mostra le esecuzioni in coda, con i comandi per riordinarle o annullarle
+ * @param {Array} queue - Voci della coda ({ id, program_id, program_name, manual, activation_time })
+ */
+function renderRunQueue(queue) {
+    const panel = document.getElementById('run-queue-panel');
+    const list = document.getElementById('run-queue-list');
+    if (!panel || !list) return;
+    
+    panel.classList.toggle('visible', queue.length > 0);
+    
+    list.innerHTML = queue.map((entry, index) => `
+        <div class="run-queue-item">
+            <span class="run-queue-position">${index + 1}</span>
+            <span class="run-queue-name">
+                ${entry.program_name}
+                <small>${entry.manual ? 'avvio manuale' : `pianificato alle ${entry.activation_time}`}</small>
+            </span>
+            <span class="run-queue-actions">
+                <button class="btn-queue" title="Sposta su" onclick="moveQueuedRun(${entry.id}, ${index - 1})"
+                        ${index === 0 ? 'disabled' : ''}>▲</button>
+                <button class="btn-queue" title="Sposta giù" onclick="moveQueuedRun(${entry.id}, ${index + 1})"
+                        ${index === queue.length - 1 ? 'disabled' : ''}>▼</button>
+                <button class="btn-queue btn-queue-cancel" title="Rimuovi dalla coda"
+                        onclick="cancelQueuedRun(${entry.id})">✕</button>
+            </span>
+        </div>
+    `).join('');
+}
+
+/**
+ * Mostra le irrigazioni una tantum: quelle in attesa con il pulsante di annullamento,
+ * seguite dalle ultime archiviate con il loro esito
+ * @param {Object} programs - Oggetto contenente i programmi
+ */
+function renderOneShotPrograms(programs) {
+    const panel = document.getElementById('one-shot-panel');
+    const list = document.getElementById('one-shot-list');
+    if (!panel || !list) return;
+    
+    const oneShots = Object.keys(programs || {})
+        .filter(programId => isOneShotProgram(programs[programId]))
+        .map(programId => Object.assign({ id: programId }, programs[programId]));
+    const runKey = program => `${program.run_date} ${getProgramActivationTimes(program)[0] || ''}`;
+    
+    const pending = oneShots.filter(program => !isArchivedProgram(program))
+        .sort((a, b) => runKey(a).localeCompare(runKey(b)));
+    const archived = oneShots.filter(program => isArchivedProgram(program))
+        .sort((a, b) => runKey(b).localeCompare(runKey(a)))
+        .slice(0, ONE_SHOT_ARCHIVED_SHOWN);
+    
+    panel.classList.toggle('visible', pending.length + archived.length > 0);
+    
+    const describe = program => {
+        const date = (program.run_date || '').split('-').reverse().join('/');
+        const zones = (program.steps || [])
+            .map(step => `${zoneNameMap[step.zone_id] || `Zona ${step.zone_id + 1}`} ${step.duration} min`)
+            .join(', ');
+        return `${date} alle ${getProgramActivationTimes(program)[0] || '--:--'} · ${zones}`;
+    };
+    
+    list.innerHTML = pending.map(program => `
+        <div class="run-queue-item one-shot-item">
+            <span class="run-queue-name">
+                ${program.name || 'Senza nome'}
+                <small>${describe(program)}</small>
+                <small id="next-run-${program.id}">${formatProgramNextRun(program)}</small>
+            </span>
+            <span class="run-queue-actions">
+                <button class="btn-queue btn-queue-cancel" title="Annulla l'irrigazione"
+                        onclick="cancelOneShotProgram('${program.id}')">✕</button>
+            </span>
+        </div>
+    `).join('') + archived.map(program => `
+        <div class="run-queue-item one-shot-item archived">
+            <span class="run-queue-name">
+                ${program.name || 'Senza nome'}
+                <small>${describe(program)} · ${ONE_SHOT_OUTCOME_LABELS[program.archive_outcome] || 'Archiviata'}</small>
+            </span>
+        </div>
+    `).join('');
 }
 
 /**
@@ -589,38 +676,47 @@ function buildZonesGrid(steps) {
         if (!step || step.zone_id === undefined) return '';
         
         const zoneName = zoneNameMap[step.zone_id] || `Zona ${step.zone_id + 1}`;
+        const duration = step.duration || 0;
+        
+        // Con il bilancio idrico attivo mostra la durata effettiva accanto a quella programmata
+        let durationHtml = `${duration} min`;
+        let durationTitle = `Bilancio idrico: ${Math.round(waterBudgetPercent)}%`;
+        if (duration > 0) {
+            const maxDuration = getMaxZoneDuration(programSettings);
+            const effectiveDuration = applyWaterBudget(duration, waterBudgetPercent, maxDuration);
+            if (effectiveDuration !== duration) {
+                durationHtml = `<s>${duration}</s> ${effectiveDuration} min`;
+            }
+            
+            // Oltre la durata massima la zona viene irrigata solo per il massimo consentito
+            if (applyWaterBudget(duration, waterBudgetPercent) > maxDuration) {
+                durationHtml = `⚠️ ${durationHtml}`;
+                durationTitle += ` · limitata alla durata massima di ${maxDuration} min`;
+            }
+        }
+        
+        // Zona divisa in cicli con pausa di assorbimento
+        if (step.cycles > 1) {
+            durationHtml += ` · ${step.cycles} cicli, pausa ${step.soak_minutes || 0} min`;
+        }
+        
         return `
             <div class="zone-tag">
                 ${zoneName}
-                <span class="duration">${step.duration || 0} min</span>
+                <span class="duration" title="${durationTitle}">${durationHtml}</span>
             </div>
         `;
     }).join('');
 }
 
-/**
- * Calcola la percentuale di avanzamento per la barra di progresso
- * @param {number} remainingSeconds - Secondi rimanenti 
- * @returns {number} Percentuale di avanzamento
- */
-function calculateProgressPercentage(remainingSeconds) {
-    // Questa è un'approssimazione, in quanto non conosciamo la durata totale della zona
-    // quindi assumiamo che la maggior parte delle zone durano circa 10 minuti
-    const estimatedTotalSeconds = 10 * 60;
-    const elapsedSeconds = estimatedTotalSeconds - remainingSeconds;
-    const elapsedPercentage = (elapsedSeconds / estimatedTotalSeconds * 100);
-    
-    // Limita il valore tra 0 e 100
-    return Math.min(Math.max(elapsedPercentage, 0), 100);
-}
-
 /**
  * Formatta la cadenza per la visualizzazione
  * @param {string} recurrence - Tipo di ricorrenza
  * @param {number} interval_days - Intervallo giorni per ricorrenza personalizzata
+ * @param {number[]} week_days - Giorni della settimana per ricorrenza settimanale
  * @returns {string} Descrizione formattata della ricorrenza
  */
-function formatRecurrence(recurrence, interval_days) {
+function formatRecurrence(recurrence, interval_days, week_days) {
     if (!recurrence) return 'Non impostata';
     
     switch (recurrence) {
@@ -630,11 +726,69 @@ function formatRecurrence(recurrence, interval_days) {
             return 'Giorni alterni';
         case 'personalizzata':
             return `Ogni ${interval_days || 1} giorn${interval_days === 1 ? 'o' : 'i'}`;
+        case 'settimanale':
+            if (!Array.isArray(week_days) || week_days.length === 0) return 'Nessun giorno';
+            if (week_days.length === 7) return 'Ogni giorno';
+            return week_days
+                .slice()
+                .sort((a, b) => a - b)
+                .map(day => WEEKDAY_SHORT_NAMES[day])
+                .filter(Boolean)
+                .join(', ');
         default:
             return recurrence;
     }
 }
 
+/**
+ * Descrive il periodo attivo di un programma e il numero di date escluse
+ * @param {Object} program - Programma
+ * @returns {string} Descrizione (es. "Dal 15/04/2026 al 20/09/2026 · 2 date escluse"), vuota se non limitato
+ */
+function formatProgramActiveWindow(program) {
+    const parts = [];
+    const dateWindow = formatProgramDateWindow(program);
+    if (dateWindow) {
+        const ended = program.active_to && program.active_to < formatScheduleDate(new Date());
+        parts.push(ended ? `${dateWindow} (terminato)` : dateWindow);
+    }
+    
+    const excludedCount = Array.isArray(program.excluded_dates) ? program.excluded_dates.length : 0;
+    if (excludedCount > 0) {
+        parts.push(excludedCount === 1 ? '1 data esclusa' : `${excludedCount} date escluse`);
+    }
+    
+    return parts.join(' · ');
+}
+
+/**
+ * Descrive la prossima esecuzione automatica di un programma
+ * @param {Object} program - Programma
+ * @returns {string} Giorno, orario e tempo mancante, oppure il motivo per cui non è prevista
+ */
+function formatProgramNextRun(program) {
+    if (programSettings.automatic_programs_enabled !== true) return 'Programmi automatici disattivati';
+    if (program.automatic_enabled === false) return 'Automazione disattivata';
+    if (isSunRelativeProgram(program) && !todaySunTimes) return 'Non calcolabile (alba e tramonto non disponibili)';
+    
+    // La sospensione in corso è seguita da scripts.js per il banner
+    const holdUntil = typeof irrigationHoldUntil !== 'undefined' ? irrigationHoldUntil : null;
+    const nextRun = getProgramNextRun(program, programSettings, todaySunTimes, holdUntil);
+    return nextRun ? formatNextRun(nextRun) : 'Nessuna nei prossimi 12 mesi';
+}
+
+/**
+ * Aggiorna la prossima esecuzione mostrata su ogni card
+ */
+function updateProgramNextRuns() {
+    Object.keys(programsData).forEach(programId => {
+        const element = document.getElementById(`next-run-${programId}`);
+        if (element && programsData[programId]) {
+            element.textContent = formatProgramNextRun(programsData[programId]);
+        }
+    });
+}
+
 // =================== AZIONI PROGRAMMI ===================
 
 /**
@@ -652,75 +806,39 @@ function startProgram(programId) {
         startBtn.disabled = true;
     }
     
-    // Tenta più volte la richiesta in caso di errore di rete
-    let retryCount = 0;
-    
-    function attemptStartProgram() {
-        fetch('/start_program', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ program_id: programId })
-        })
-        .then(response => {
-            if (!response.ok) {
-                throw new Error(`Errore HTTP: ${response.status}`);
-            }
-            return response.json();
-        })
-        .then(data => {
-            retryInProgress = false;
-            
-            if (data.success) {
-                if (typeof showToast === 'function') {
-                    showToast('Programma avviato con successo', 'success');
-                }
-                // Aggiorna immediatamente l'interfaccia e accelera il polling
-                fetchProgramState();
-                acceleratePolling();
+    // L'avvio non è idempotente: un nuovo tentativo potrebbe avviare il programma due volte
+    apiPost('/start_program', { program_id: programId })
+    .then(result => {
+        if (typeof showToast === 'function') {
+            if (result && result.queued) {
+                showToast(`Programma in coda (posizione ${result.position}): partirà al termine di quello in corso`, 'info');
             } else {
-                if (typeof showToast === 'function') {
-                    showToast(`Errore nell'avvio del programma: ${data.error || 'Errore sconosciuto'}`, 'error');
-                }
-                
-                // Riabilita il pulsante in caso di errore
-                if (startBtn) {
-                    startBtn.classList.remove('disabled');
-                    startBtn.disabled = false;
-                }
+                showToast('Programma avviato con successo', 'success');
             }
-        })
-        .catch(error => {
-            console.error("Errore durante l'avvio del programma:", error);
-            
-            // Tenta nuovamente se non abbiamo raggiunto il numero massimo di tentativi
-            if (retryCount < MAX_API_RETRIES) {
-                retryCount++;
-                console.log(`Tentativo di avviare il programma ${retryCount}/${MAX_API_RETRIES}`);
-                
-                // Ritenta dopo un breve ritardo
-                setTimeout(attemptStartProgram, 500 * retryCount);
-            } else {
-                retryInProgress = false;
-                
-                if (typeof showToast === 'function') {
-                    showToast("Errore di rete durante l'avvio del programma", 'error');
-                }
-                
-                // Riabilita il pulsante dopo il numero massimo di tentativi
-                if (startBtn) {
-                    startBtn.classList.remove('disabled');
-                    startBtn.disabled = false;
-                }
-            }
-        });
-    }
+        }
+        // Aggiorna immediatamente l'interfaccia
+        fetchProgramState();
+    })
+    .catch(error => {
+        console.error("Errore durante l'avvio del programma:", error);
     
-    // Avvia il primo tentativo
-    attemptStartProgram();
+        if (typeof showToast === 'function') {
+            showToast(`Errore nell'avvio del programma: ${error.message}`, 'error');
+        }
+            
+        // Riabilita il pulsante in caso di errore
+        if (startBtn) {
+            startBtn.classList.remove('disabled');
+            startBtn.disabled = false;
+        }
+    })
+    .finally(() => {
+        retryInProgress = false;
+    });
 }
 
 /**
- * Arresta il programma in esecuzione
+ * Arresta il programma in esecuzione (le esecuzioni in coda restano e partono dopo)
  */
 function stopProgram() {
     // Previeni clic multipli
@@ -733,69 +851,174 @@ function stopProgram() {
         btn.disabled = true;
     });
     
-    // Tenta più volte la richiesta in caso di errore di rete
-    let retryCount = 0;
+    // Fermare un programma già fermo non ha effetti: la chiamata può essere ritentata
+    apiPost('/stop_program', { keep_queue: true }, { idempotent: true })
+    .then(() => {
+        if (typeof showToast === 'function') {
+            showToast('Programma arrestato con successo', 'success');
+        }
+        // Aggiorna immediatamente l'interfaccia
+        fetchProgramState();
+    })
+    .catch(error => {
+        console.error("Errore durante l'arresto del programma:", error);
     
-    function attemptStopProgram() {
-        fetch('/stop_program', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' }
-        })
-        .then(response => {
-            if (!response.ok) {
-                throw new Error(`Errore HTTP: ${response.status}`);
-            }
-            return response.json();
-        })
-        .then(data => {
-            retryInProgress = false;
-            
-            if (data.success) {
-                if (typeof showToast === 'function') {
-                    showToast('Programma arrestato con successo', 'success');
-                }
-                // Aggiorna immediatamente l'interfaccia
-                fetchProgramState();
-            } else {
-                if (typeof showToast === 'function') {
-                    showToast(`Errore nell'arresto del programma: ${data.error || 'Errore sconosciuto'}`, 'error');
-                }
-            }
-            
-            // Riabilita i pulsanti
-            stopBtns.forEach(btn => {
-                btn.classList.remove('disabled');
-                btn.disabled = false;
-            });
-        })
-        .catch(error => {
-            console.error("Errore durante l'arresto del programma:", error);
+        if (typeof showToast === 'function') {
+            showToast(`Errore nell'arresto del programma: ${error.message}`, 'error');
+        }
+    })
+    .finally(() => {
+        retryInProgress = false;
             
-            // Tenta nuovamente se non abbiamo raggiunto il numero massimo di tentativi
-            if (retryCount < MAX_API_RETRIES) {
-                retryCount++;
-                console.log(`Tentativo di arrestare il programma ${retryCount}/${MAX_API_RETRIES}`);
-                
-                // Ritenta dopo un breve ritardo (con aumenti progressivi)
-                setTimeout(attemptStopProgram, 500 * retryCount);
-            } else {
-                retryInProgress = false;
-                
-                if (typeof showToast === 'function') {
-                    showToast("Errore di rete durante l'arresto del programma", 'error');
-                }
-                
-                // Riabilita i pulsanti dopo il numero massimo di tentativi
-                stopBtns.forEach(btn => {
-                    btn.classList.remove('disabled');
-                    btn.disabled = false;
-                });
-            }
+        // Riabilita i pulsanti
+        stopBtns.forEach(btn => {
+            btn.classList.remove('disabled');
+            btn.disabled = false;
         });
+    });
+}
+
+/**
+ * Sposta un'esecuzione in un'altra posizione della coda
+ * @param {number} queueId - ID della voce in coda
+ * @param {number} position - Nuova posizione (0 = prossima esecuzione)
+ */
+function moveQueuedRun(queueId, position) {
+    // Spostare una voce nella stessa posizione non ha effetti: la chiamata può essere ritentata
+    apiPost('/move_queued_run', { queue_id: queueId, position: position }, { idempotent: true })
+    .then(() => fetchProgramState())
+    .catch(error => {
+        console.error("Errore durante lo spostamento nella coda:", error);
+        showToast(`Errore nello spostamento: ${error.message}`, 'error');
+        fetchProgramState();
+    });
+}
+
+/**
+ * Rimuove un'esecuzione dalla coda
+ * @param {number} queueId - ID della voce in coda
+ */
+function cancelQueuedRun(queueId) {
+    apiPost('/cancel_queued_run', { queue_id: queueId }, { idempotent: true })
+    .then(() => {
+        showToast('Esecuzione rimossa dalla coda', 'success');
+        fetchProgramState();
+    })
+    .catch(error => {
+        console.error("Errore durante la rimozione dalla coda:", error);
+        showToast(`Errore nella rimozione: ${error.message}`, 'error');
+        fetchProgramState();
+    });
+}
+
+/**
+ * Annulla un'irrigazione una tantum non ancora eseguita
+ * @param {string} programId - ID dell'irrigazione una tantum
+ */
+function cancelOneShotProgram(programId) {
+    const program = programsData[programId];
+    if (!confirm(`Annullare l'irrigazione una tantum "${program ? program.name : programId}"?`)) {
+        return;
     }
     
-    // Avvia il primo tentativo
-    attemptStopProgram();
+    const onCancelled = () => {
+        showToast('Irrigazione una tantum annullata', 'success');
+        delete programsData[programId];
+        renderOneShotPrograms(programsData);
+        
+        // La prossima irrigazione nell'intestazione potrebbe essere cambiata
+        if (typeof window.fetchNextIrrigation === 'function') {
+            window.fetchNextIrrigation();
+        }
+    };
+    
+    // Eliminare un programma già eliminato non ha effetti: la chiamata può essere ritentata
+    apiPost('/delete_program', { id: programId }, { idempotent: true })
+    .then(onCancelled)
+    .catch(error => {
+        // Programma non trovato: era già stato eliminato (es. da un tentativo precedente la cui risposta è andata persa)
+        if (error instanceof ApiError && error.status === 404) {
+            onCancelled();
+            return;
+        }
+        console.error("Errore durante l'annullamento dell'irrigazione una tantum:", error);
+        showToast(`Errore nell'annullamento: ${error.message}`, 'error');
+    });
+}
+
+/**
+ * Salta la zona in corso del programma in esecuzione (es. zona già bagnata)
+ */
+function skipProgramStep() {
+    // Il motivo viene registrato nel log del sistema
+    const reason = prompt('Motivo del salto (facoltativo):', 'Zona già bagnata');
+    if (reason === null) return;
+    
+    // Previeni clic multipli
+    if (retryInProgress) return;
+    retryInProgress = true;
+    
+    document.querySelectorAll('.btn-skip').forEach(btn => {
+        btn.disabled = true;
+    });
+    
+    // Un nuovo tentativo potrebbe saltare anche la zona successiva: nessun nuovo tentativo
+    apiPost('/skip_program_step', { reason: reason.trim() })
+    .then(() => {
+        showToast('Zona saltata', 'success');
+    })
+    .catch(error => {
+        console.error("Errore durante il salto della zona:", error);
+        showToast(`Errore nel salto della zona: ${error.message}`, 'error');
+    })
+    .finally(() => {
+        retryInProgress = false;
+        fetchProgramState();
+    });
+}
+
+/**
+ * Mette in pausa il programma in esecuzione
+ */
+function pauseProgram() {
+    changeProgramPause('/pause_program', 'Programma in pausa');
+}
+
+/**
+ * Riprende il programma in pausa
+ */
+function resumeProgram() {
+    changeProgramPause('/resume_program', 'Programma ripreso');
+}
+
+/**
+ * Invia la richiesta di pausa o ripresa e aggiorna l'interfaccia
+ * @param {string} url - Endpoint da chiamare
+ * @param {string} successMessage - Messaggio da mostrare in caso di successo
+ */
+function changeProgramPause(url, successMessage) {
+    // Previeni clic multipli
+    if (retryInProgress) return;
+    retryInProgress = true;
+    
+    document.querySelectorAll('.btn-pause').forEach(btn => {
+        btn.disabled = true;
+    });
+    
+    // Mettere in pausa un programma già in pausa (o riprenderne uno già ripreso) non ha effetti
+    apiPost(url, {}, { idempotent: true })
+    .then(() => {
+        showToast(successMessage, 'success');
+    })
+    .catch(error => {
+        console.error(`Errore durante la chiamata a ${url}:`, error);
+        showToast(`Errore: ${error.message}`, 'error');
+    })
+    .finally(() => {
+        retryInProgress = false;
+        // Aggiorna immediatamente l'interfaccia (ricrea anche i pulsanti)
+        fetchProgramState();
+    });
 }
 
 /**
@@ -803,11 +1026,8 @@ function stopProgram() {
  * @param {string} programId - ID del programma da modificare
  */
 function editProgram(programId) {
-    // Salva l'ID del programma in localStorage per recuperarlo nella pagina di modifica
-    localStorage.setItem('editProgramId', programId);
-    
-    // Vai alla pagina dedicata alla modifica
-    loadPage('modify_program.html');
+    // Vai alla pagina dedicata alla modifica: l'ID viaggia nella rotta
+    navigateTo(`/programs/${programId}/edit`);
 }
 
 /**
@@ -849,60 +1069,37 @@ function deleteProgram(programId) {
         btn.disabled = true;
     });
     
-    fetch('/delete_program', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ id: programId })
-    })
-    .then(response => response.json())
-    .then(data => {
-        if (data.success) {
-            if (typeof showToast === 'function') {
-                showToast('Programma eliminato con successo', 'success');
-            }
-            // Effetto di dissolvenza prima di rimuovere la card
-            if (programCard) {
-                programCard.style.transition = 'opacity 0.5s ease, transform 0.5s ease';
-                programCard.style.opacity = '0';
-                programCard.style.transform = 'scale(0.9)';
+    // Eliminare un programma già eliminato non ha effetti: la chiamata può essere ritentata
+    apiPost('/delete_program', { id: programId }, { idempotent: true })
+    .then(() => {
+        if (typeof showToast === 'function') {
+            showToast('Programma eliminato con successo', 'success');
+        }
+        // Effetto di dissolvenza prima di rimuovere la card
+        if (programCard) {
+            programCard.style.transition = 'opacity 0.5s ease, transform 0.5s ease';
+            programCard.style.opacity = '0';
+            programCard.style.transform = 'scale(0.9)';
                 
-                // Rimuovi la card dopo l'animazione
-                setTimeout(() => {
-                    programCard.remove();
+            // Rimuovi la card dopo l'animazione
+            setTimeout(() => {
+                programCard.remove();
                     
-                    // Se era l'unico programma, mostra il messaggio "nessun programma"
-                    const container = document.getElementById('programs-container');
-                    if (container && !container.querySelector('.program-card')) {
-                        container.innerHTML = `
-                            <div class="empty-state">
-                                <h3>Nessun programma configurato</h3>
-                                <p>Crea il tuo primo programma di irrigazione per iniziare a usare il sistema.</p>
-                                <button class="btn" onclick="loadPage('create_program.html')">Crea Programma</button>
-                            </div>
-                        `;
-                    }
-                }, 500);
-            } else {
-                // Ricarica i programmi se non troviamo la card
-                loadUserSettingsAndPrograms();
-            }
-        } else {
-            // Rimuovi l'overlay di caricamento
-            if (programCard) {
-                const loadingOverlay = programCard.querySelector('.loading-overlay');
-                if (loadingOverlay) {
-                    loadingOverlay.remove();
+                // Se era l'unico programma, mostra il messaggio "nessun programma"
+                const container = document.getElementById('programs-container');
+                if (container && !container.querySelector('.program-card')) {
+                    container.innerHTML = `
+                        <div class="empty-state">
+                            <h3>Nessun programma configurato</h3>
+                            <p>Crea il tuo primo programma di irrigazione per iniziare a usare il sistema.</p>
+                            <button class="btn" onclick="navigateTo('/programs/new')">Crea Programma</button>
+                        </div>
+                    `;
                 }
-            }
-            
-            // Riabilita i pulsanti
-            actionButtons.forEach(btn => {
-                btn.disabled = false;
-            });
-            
-            if (typeof showToast === 'function') {
-                showToast(`Errore nell'eliminazione del programma: ${data.error || 'Errore sconosciuto'}`, 'error');
-            }
+            }, 500);
+        } else {
+            // Ricarica i programmi se non troviamo la card
+            loadUserSettingsAndPrograms();
         }
     })
     .catch(error => {
@@ -922,7 +1119,7 @@ function deleteProgram(programId) {
         });
         
         if (typeof showToast === 'function') {
-            showToast("Errore di rete durante l'eliminazione del programma", 'error');
+            showToast(`Errore nell'eliminazione del programma: ${error.message}`, 'error');
         }
     });
 }
@@ -937,55 +1134,41 @@ function toggleProgramAutomatic(programId, enable) {
     const toggle = document.getElementById(`auto-switch-${programId}`);
     if (toggle) toggle.disabled = true;
     
-    fetch('/toggle_program_automatic', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ program_id: programId, enable: enable })
-    })
-    .then(response => response.json())
-    .then(data => {
-        if (toggle) toggle.disabled = false;
+    // Impostare lo stesso valore più volte non ha effetti: la chiamata può essere ritentata
+    apiPost('/toggle_program_automatic', { program_id: programId, enable: enable }, { idempotent: true })
+    .then(() => {
+        if (typeof showToast === 'function') {
+            showToast(`Automazione del programma ${enable ? 'attivata' : 'disattivata'} con successo`, 'success');
+        }
         
-        if (data.success) {
-            if (typeof showToast === 'function') {
-                showToast(`Automazione del programma ${enable ? 'attivata' : 'disattivata'} con successo`, 'success');
-            }
-            
-            // Update the UI to reflect the new state
-            const autoSwitch = document.getElementById(`auto-switch-${programId}`);
-            if (autoSwitch) {
-                autoSwitch.checked = enable;
-            }
-            
-            // Aggiorna l'icona nella card
-            const autoIcon = document.getElementById(`auto-icon-${programId}`);
-            if (autoIcon) {
-                autoIcon.className = enable ? 'auto-status on' : 'auto-status off';
-                autoIcon.querySelector('span').textContent = `Attivazione automatica: ${enable ? 'ON' : 'OFF'}`;
-            }
+        // Update the UI to reflect the new state
+        const autoSwitch = document.getElementById(`auto-switch-${programId}`);
+        if (autoSwitch) {
+            autoSwitch.checked = enable;
+        }
             
-            // Aggiorna i dati salvati localmente
-            if (programsData[programId]) {
-                programsData[programId].automatic_enabled = enable;
-            }
-        } else {
-            if (typeof showToast === 'function') {
-                showToast(`Errore: ${data.error || 'Errore sconosciuto'}`, 'error');
-            }
+        // Aggiorna l'icona nella card
+        const autoIcon = document.getElementById(`auto-icon-${programId}`);
+        if (autoIcon) {
+            autoIcon.className = enable ? 'auto-status on' : 'auto-status off';
+            autoIcon.querySelector('span').textContent = `Attivazione automatica: ${enable ? 'ON' : 'OFF'}`;
+        }
             
-            // Ripristina lo stato dell'interruttore in caso di errore
-            const autoSwitch = document.getElementById(`auto-switch-${programId}`);
-            if (autoSwitch) {
-                autoSwitch.checked = !enable; // Inverti lo stato
-            }
+        // Aggiorna i dati salvati localmente
+        if (programsData[programId]) {
+            programsData[programId].automatic_enabled = enable;
+        }
+        
+        // La prossima esecuzione cambia sulla card e nell'intestazione
+        updateProgramNextRuns();
+        if (typeof window.fetchNextIrrigation === 'function') {
+            window.fetchNextIrrigation();
         }
     })
     .catch(error => {
-        if (toggle) toggle.disabled = false;
-        
-        console.error('Errore di rete:', error);
+        console.error("Errore durante la modifica dell'automazione:", error);
         if (typeof showToast === 'function') {
-            showToast('Errore di rete', 'error');
+            showToast(`Errore: ${error.message}`, 'error');
         }
         
         // Ripristina lo stato dell'interruttore in caso di errore
@@ -993,8 +1176,13 @@ function toggleProgramAutomatic(programId, enable) {
         if (autoSwitch) {
             autoSwitch.checked = !enable; // Inverti lo stato
         }
+    })
+    .finally(() => {
+        if (toggle) toggle.disabled = false;
     });
 }
 
-// Inizializzazione al caricamento del documento
-document.addEventListener('DOMContentLoaded', initializeViewProgramsPage);
\ No newline at end of file
+registerPage('view_programs.html', {
+    mount: mountViewProgramsPage,
+    unmount: unmountViewProgramsPage
+});
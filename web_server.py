@@ -388,40 +388,44 @@ async def get_zones_status_endpoint(request):
     zones_status = zone_manager.get_zones_status()
     return json_response(zones_status)
 
-@app.route('/get_connection_status', methods=['GET'])
-@api_handler
-def get_connection_status(request):
-    """API per ottenere lo stato della connessione WiFi."""
+def _read_connection_status():
+    """
+    Legge lo stato corrente della connessione WiFi.
+    
+    Returns:
+        dict: Modalità (client, AP, none), IP e SSID
+    """
     network_module = _import_module('network')
     if not network_module:
-        return json_response({'mode': 'unknown'}, 200)
+        return {'mode': 'unknown'}
     
     wlan_sta = network_module.WLAN(network_module.STA_IF)
     wlan_ap = network_module.WLAN(network_module.AP_IF)
-    response_data = {}
 
     if wlan_sta.isconnected():
-        ip = wlan_sta.ifconfig()[0]
-        response_data = {
+        return {
             'mode': 'client',
-            'ip': ip,
+            'ip': wlan_sta.ifconfig()[0],
             'ssid': wlan_sta.config('essid')
         }
     elif wlan_ap.active():
-        ip = wlan_ap.ifconfig()[0]
-        response_data = {
+        return {
             'mode': 'AP',
-            'ip': ip,
+            'ip': wlan_ap.ifconfig()[0],
             'ssid': wlan_ap.config('essid')
         }
-    else:
-        response_data = {
-            'mode': 'none',
-            'ip': 'N/A',
-            'ssid': 'N/A'
-        }
+    
+    return {
+        'mode': 'none',
+        'ip': 'N/A',
+        'ssid': 'N/A'
+    }
 
-    return json_response(response_data)
+@app.route('/get_connection_status', methods=['GET'])
+@api_handler
+def get_connection_status(request):
+    """API per ottenere lo stato della connessione WiFi."""
+    return json_response(_read_connection_status())
 
 @app.route('/activate_ap', methods=['POST'])
 @api_handler
@@ -571,27 +575,171 @@ def handle_stop_zone(request):
     else:
         return json_response({'error': "Errore arresto zona", "success": False}, 500)
 
+@app.route('/acknowledge_zone_fault', methods=['POST'])
+@api_handler
+def acknowledge_zone_fault_route(request):
+    """API per confermare il guasto di flusso segnalato su una zona."""
+    zone_manager = _import_module('zone_manager')
+    if not zone_manager:
+        return json_response({'success': False, 'error': 'Zone manager non disponibile'}, 500)
+    
+    data = request.json
+    if data is None:
+        try:
+            data = ujson.loads(request.body.decode('utf-8'))
+        except:
+            return json_response({'success': False, 'error': 'Dati JSON non validi'}, 400)
+    
+    zone_id = data.get('zone_id')
+    if zone_id is None:
+        return json_response({'success': False, 'error': 'Parametro zone_id mancante'}, 400)
+    
+    success, error_msg = zone_manager.acknowledge_zone_fault(zone_id)
+    if not success:
+        return json_response({'success': False, 'error': error_msg}, 400)
+    
+    return json_response({'success': True, 'message': 'Guasto confermato'})
+
 @app.route('/stop_program', methods=['POST'])
 @api_handler
 def stop_program_route(request):
-    """API per fermare il programma corrente."""
+    """
+    API per fermare il programma corrente.
+    Svuota anche la coda delle esecuzioni, salvo richiesta esplicita con keep_queue.
+    """
     program_manager = _import_module('program_manager')
     if not program_manager:
         return json_response({'success': False, 'error': 'Program manager non disponibile'}, 500)
     
-    log_event("Interruzione programma richiesta", "INFO")
+    # Il corpo è facoltativo
+    data = request.json
+    if data is None:
+        try:
+            data = ujson.loads(request.body.decode('utf-8')) if request.body else {}
+        except:
+            return json_response({'success': False, 'error': 'Dati JSON non validi'}, 400)
+    
+    keep_queue = isinstance(data, dict) and data.get('keep_queue') is True
+    log_event(f"Interruzione programma richiesta{' (coda mantenuta)' if keep_queue else ''}", "INFO")
     
     # GC preventivo
     gc.collect()
     
     # Ferma programma
-    success = program_manager.stop_program()
+    success = program_manager.stop_program(clear_queue=not keep_queue)
     
     # GC post-operazione
     gc.collect()
     
     return json_response({'success': success, 'message': 'Programma interrotto'})
 
+@app.route('/skip_program_step', methods=['POST'])
+@api_handler
+def skip_program_step_route(request):
+    """API per saltare lo step in corso del programma (es. zona già bagnata)."""
+    program_manager = _import_module('program_manager')
+    if not program_manager:
+        return json_response({'success': False, 'error': 'Program manager non disponibile'}, 500)
+    
+    # Il motivo è facoltativo
+    data = request.json
+    if data is None:
+        try:
+            data = ujson.loads(request.body.decode('utf-8')) if request.body else {}
+        except:
+            return json_response({'success': False, 'error': 'Dati JSON non validi'}, 400)
+    
+    reason = str(data.get('reason') or '').strip()[:100]
+    
+    success, error_msg = program_manager.skip_program_step(reason)
+    if not success:
+        return json_response({'success': False, 'error': error_msg}, 409)
+    
+    return json_response({'success': True, 'message': 'Step saltato'})
+
+@app.route('/pause_program', methods=['POST'])
+@api_handler
+def pause_program_route(request):
+    """API per mettere in pausa il programma corrente."""
+    program_manager = _import_module('program_manager')
+    if not program_manager:
+        return json_response({'success': False, 'error': 'Program manager non disponibile'}, 500)
+    
+    success, error_msg = program_manager.pause_program()
+    if not success:
+        return json_response({'success': False, 'error': error_msg}, 409)
+    
+    return json_response({'success': True, 'message': 'Programma in pausa'})
+
+@app.route('/resume_program', methods=['POST'])
+@api_handler
+def resume_program_route(request):
+    """API per riprendere il programma in pausa."""
+    program_manager = _import_module('program_manager')
+    if not program_manager:
+        return json_response({'success': False, 'error': 'Program manager non disponibile'}, 500)
+    
+    success, error_msg = program_manager.resume_program()
+    if not success:
+        return json_response({'success': False, 'error': error_msg}, 409)
+    
+    return json_response({'success': True, 'message': 'Programma ripreso'})
+
+@app.route('/get_irrigation_hold', methods=['GET'])
+@api_handler
+def get_irrigation_hold_route(request):
+    """API per ottenere lo stato della sospensione dell'irrigazione automatica."""
+    program_manager = _import_module('program_manager')
+    if not program_manager:
+        return json_response({'success': False, 'error': 'Program manager non disponibile'}, 500)
+    
+    return json_response(program_manager.get_irrigation_hold_status(load_settings_cached()))
+
+@app.route('/set_irrigation_hold', methods=['POST'])
+@api_handler
+def set_irrigation_hold_route(request):
+    """API per sospendere l'irrigazione automatica per un certo numero di ore."""
+    program_manager = _import_module('program_manager')
+    if not program_manager:
+        return json_response({'success': False, 'error': 'Program manager non disponibile'}, 500)
+    
+    data = request.json
+    if data is None:
+        try:
+            data = ujson.loads(request.body.decode('utf-8'))
+        except:
+            return json_response({'success': False, 'error': 'Dati JSON non validi'}, 400)
+    
+    success, error_msg = program_manager.set_irrigation_hold(data.get('hours'))
+    if not success:
+        return json_response({'success': False, 'error': error_msg}, 400)
+    
+    # Invalida cache impostazioni
+    global _user_settings_timestamp
+    _user_settings_timestamp = 0
+    
+    status = program_manager.get_irrigation_hold_status()
+    status['success'] = True
+    return json_response(status)
+
+@app.route('/clear_irrigation_hold', methods=['POST'])
+@api_handler
+def clear_irrigation_hold_route(request):
+    """API per annullare la sospensione dell'irrigazione automatica."""
+    program_manager = _import_module('program_manager')
+    if not program_manager:
+        return json_response({'success': False, 'error': 'Program manager non disponibile'}, 500)
+    
+    success, error_msg = program_manager.clear_irrigation_hold()
+    if not success:
+        return json_response({'success': False, 'error': error_msg}, 500)
+    
+    # Invalida cache impostazioni
+    global _user_settings_timestamp
+    _user_settings_timestamp = 0
+    
+    return json_response({'success': True, 'message': 'Sospensione annullata'})
+
 @app.route('/save_program', methods=['POST'])
 @api_handler
 def save_program_route(request):
@@ -609,28 +757,41 @@ def save_program_route(request):
         except:
             return json_response({'success': False, 'error': 'Dati JSON non validi'}, 400)
 
+    # Il flag force non fa parte del programma salvato
+    force = program_data.pop('force', False) is True
+
     # Validazione programma
     if len(program_data.get('name', '')) > 16:
         return json_response({'success': False, 'error': 'Nome troppo lungo (max 16 caratteri)'}, 400)
 
-    if not program_data.get('months'):
+    # Le irrigazioni una tantum ricevono il mese dalla data di esecuzione
+    if not program_manager.is_one_shot_program(program_data) and not program_data.get('months'):
         return json_response({'success': False, 'error': 'Seleziona almeno un mese'}, 400)
             
     if not program_data.get('steps'):
         return json_response({'success': False, 'error': 'Seleziona almeno una zona'}, 400)
 
+    valid, error_msg = program_manager.validate_program_schedule(program_data)
+    if valid:
+        valid, error_msg = program_manager.validate_program_steps(program_data)
+    if not valid:
+        return json_response({'success': False, 'error': error_msg}, 400)
+
     # Carica programmi esistenti
     programs = program_manager.load_programs()
 
-    # Verifica se esiste un programma con lo stesso nome
+    # Verifica se esiste un programma con lo stesso nome (le una tantum archiviate non contano)
     for existing_program in programs.values():
+        if program_manager.is_program_archived(existing_program):
+            continue
         if existing_program['name'] == program_data['name']:
             return json_response({'success': False, 'error': 'Nome programma già esistente'}, 400)
 
-    # Verifica conflitti
-    has_conflict, conflict_message = program_manager.check_program_conflicts(program_data, programs)
-    if has_conflict:
-        return json_response({'success': False, 'error': conflict_message}, 400)
+    # Verifica sovrapposizioni con altri programmi, salvo conferma esplicita ("salva comunque")
+    if not force:
+        has_conflict, conflict_message, conflicts = program_manager.check_program_conflicts(program_data, programs)
+        if has_conflict:
+            return json_response({'success': False, 'error': conflict_message, 'conflicts': conflicts}, 409)
 
     # Genera nuovo ID
     new_id = '1'
@@ -667,12 +828,29 @@ def update_program_route(request):
     if program_id is None:
         return json_response({'success': False, 'error': 'ID programma mancante'}, 400)
 
+    # Il flag force non fa parte del programma salvato
+    force = updated_program_data.pop('force', False) is True
+
     # Validazione nome
     if len(updated_program_data.get('name', '')) > 16:
         return json_response({'success': False, 'error': 'Nome troppo lungo (max 16 caratteri)'}, 400)
 
+    valid, error_msg = program_manager.validate_program_schedule(updated_program_data)
+    if valid:
+        valid, error_msg = program_manager.validate_program_steps(updated_program_data)
+    if not valid:
+        return json_response({'success': False, 'error': error_msg}, 400)
+
+    # Verifica sovrapposizioni con altri programmi, salvo conferma esplicita ("salva comunque")
+    if not force:
+        programs = program_manager.load_programs()
+        has_conflict, conflict_message, conflicts = program_manager.check_program_conflicts(
+            updated_program_data, programs, exclude_id=program_id)
+        if has_conflict:
+            return json_response({'success': False, 'error': conflict_message, 'conflicts': conflicts}, 409)
+
     # Aggiorna programma
-    success, error_msg = program_manager.update_program(program_id, updated_program_data)
+    success, error_msg = program_manager.update_program(program_id, updated_program_data, check_conflicts=False)
     if success:
         log_event(f"Programma {program_id} aggiornato", "INFO")
         return json_response({'success': True})
@@ -838,11 +1016,8 @@ async def get_program_state(request):
                     active_zone = zone
                     break
                     
-        # Costruisci risposta
-        state = {
-            'program_running': program_state.program_running,
-            'current_program_id': program_state.current_program_id
-        }
+        # Costruisci risposta (include l'avanzamento degli step)
+        state = program_state.get_program_progress()
         
         if active_zone:
             state['active_zone'] = active_zone
@@ -852,6 +1027,304 @@ async def get_program_state(request):
         log_event(f"Errore caricamento stato programma: {e}", "ERROR")
         return json_response({'program_running': False, 'current_program_id': None})
 
+@app.route('/get_sensors_status', methods=['GET'])
+@api_handler
+def get_sensors_status_route(request):
+    """API per ottenere lo stato dei sensori di ingresso (sensore pioggia)."""
+    sensor_manager = _import_module('sensor_manager')
+    if not sensor_manager:
+        return json_response({'success': False, 'error': 'Sensor manager non disponibile'}, 500)
+    
+    return json_response(sensor_manager.get_sensors_status())
+
+@app.route('/get_water_usage', methods=['GET'])
+@api_handler
+def get_water_usage_route(request):
+    """
+    API per ottenere i litri erogati per programma e per zona.
+    Parametro opzionale: days=N (default: 30).
+    """
+    history_manager = _import_module('history_manager')
+    if not history_manager:
+        return json_response({'success': False, 'error': 'History manager non disponibile'}, 500)
+    
+    try:
+        days = int(request.args.get('days', 30))
+    except ValueError:
+        return json_response({'success': False, 'error': 'Numero di giorni non valido'}, 400)
+    
+    max_days = history_manager.MAX_HISTORY_DAYS
+    if days < 1 or days > max_days:
+        return json_response({'success': False, 'error': f'Il numero di giorni deve essere tra 1 e {max_days}'}, 400)
+    
+    usage = history_manager.get_water_usage(days)
+    gc.collect()
+    return json_response(usage)
+
+@app.route('/get_zone_run_summary', methods=['GET'])
+@api_handler
+def get_zone_run_summary_route(request):
+    """
+    API per ottenere, per ogni zona, le ultime irrigazioni e i minuti totali recenti.
+    Parametro opzionale: days=N (default: 7).
+    """
+    history_manager = _import_module('history_manager')
+    if not history_manager:
+        return json_response({'success': False, 'error': 'History manager non disponibile'}, 500)
+    
+    try:
+        days = int(request.args.get('days', 7))
+    except ValueError:
+        return json_response({'success': False, 'error': 'Numero di giorni non valido'}, 400)
+    
+    max_days = history_manager.MAX_HISTORY_DAYS
+    if days < 1 or days > max_days:
+        return json_response({'success': False, 'error': f'Il numero di giorni deve essere tra 1 e {max_days}'}, 400)
+    
+    summary = history_manager.get_zone_run_summary(days)
+    gc.collect()
+    return json_response(summary)
+
+@app.route('/history', methods=['GET'])
+@api_handler
+def get_history_route(request):
+    """
+    API per ottenere lo storico delle irrigazioni con i totali giornalieri per zona.
+    Parametri opzionali: from=YYYY-MM-DD, to=YYYY-MM-DD (default: ultimi 7 giorni),
+    zone=ID zona, program=ID programma.
+    Le singole irrigazioni sono disponibili per gli ultimi detail_days giorni,
+    i totali giornalieri per gli ultimi total_days giorni.
+    """
+    history_manager = _import_module('history_manager')
+    if not history_manager:
+        return json_response({'success': False, 'error': 'History manager non disponibile'}, 500)
+    
+    now = int(time.time())
+    dates = {
+        'from': time.localtime(now - 6 * 86400),
+        'to': time.localtime(now)
+    }
+    for key in dates:
+        value = request.args.get(key)
+        if value:
+            try:
+                parts = value.split('-')
+                dates[key] = (int(parts[0]), int(parts[1]), int(parts[2]))
+                if not (1 <= dates[key][1] <= 12 and 1 <= dates[key][2] <= 31):
+                    raise ValueError()
+            except (ValueError, IndexError):
+                return json_response({'success': False, 'error': 'Data non valida (formato YYYY-MM-DD)'}, 400)
+    
+    date_from = f"{dates['from'][0]}-{dates['from'][1]:02d}-{dates['from'][2]:02d}"
+    date_to = f"{dates['to'][0]}-{dates['to'][1]:02d}-{dates['to'][2]:02d}"
+    if date_from > date_to:
+        return json_response({'success': False, 'error': 'La data iniziale deve precedere quella finale'}, 400)
+    
+    zone_id = None
+    if request.args.get('zone'):
+        try:
+            zone_id = int(request.args.get('zone'))
+        except ValueError:
+            return json_response({'success': False, 'error': 'ID zona non valido'}, 400)
+    
+    program_id = request.args.get('program') or None
+    result = {
+        'from': date_from,
+        'to': date_to,
+        'detail_days': history_manager.HISTORY_DETAIL_DAYS,
+        'total_days': history_manager.MAX_HISTORY_DAYS,
+        'entries': history_manager.get_run_history(date_from, date_to, zone_id, program_id),
+        'daily_totals': history_manager.get_daily_totals(date_from, date_to, zone_id, program_id)
+    }
+    gc.collect()
+    return json_response(result)
+
+@app.route('/get_sun_times', methods=['GET'])
+@api_handler
+def get_sun_times_route(request):
+    """
+    API per ottenere gli orari di alba e tramonto di una data.
+    Parametro opzionale: date=YYYY-MM-DD (default: oggi).
+    """
+    # Importazioni lazy
+    sun_times = _import_module('sun_times')
+    if not sun_times:
+        return json_response({'success': False, 'error': 'Modulo alba/tramonto non disponibile'}, 500)
+    
+    date = None
+    date_param = request.args.get('date')
+    if date_param:
+        try:
+            parts = date_param.split('-')
+            date = (int(parts[0]), int(parts[1]), int(parts[2]))
+            if not (1 <= date[1] <= 12 and 1 <= date[2] <= 31):
+                raise ValueError()
+        except (ValueError, IndexError):
+            return json_response({'success': False, 'error': 'Data non valida (formato YYYY-MM-DD)'}, 400)
+    
+    result = sun_times.get_sun_times(load_settings_cached(), date)
+    if result is None:
+        return json_response({'success': True, 'configured': False, 'sunrise': None, 'sunset': None})
+    
+    return json_response({
+        'success': True,
+        'configured': True,
+        'sunrise': sun_times.format_minutes(result[0]),
+        'sunset': sun_times.format_minutes(result[1])
+    })
+
+# -------- Server-Sent Events --------
+
+SSE_MAX_CLIENTS = 3          # Connessioni SSE contemporanee (i socket su ESP32 sono pochi)
+SSE_TICK = 1                 # Intervallo di campionamento dello stato in secondi
+SSE_ZONES_RESYNC = 5         # Con zone attive, reinvia i tempi rimanenti ogni N secondi
+SSE_PROGRAM_RESYNC = 5       # Con un programma in esecuzione, reinvia i tempi trascorsi ogni N secondi
+SSE_CONNECTION_CHECK = 10    # Intervallo di controllo dello stato WiFi in secondi
+SSE_KEEPALIVE = 15           # Commento di keepalive se non ci sono eventi da N secondi
+
+_sse_clients = 0
+
+class EventStream:
+    """
+    Stream SSE per /events.
+    Implementato come iteratore asincrono perché MicroPython non supporta
+    i generatori asincroni: Microdot invia ogni valore restituito da __anext__
+    e chiama aclose() alla chiusura della connessione.
+    
+    Eventi inviati (solo quando cambiano):
+    - zones: lista stato zone (come /get_zones_status)
+    - program: stato e avanzamento del programma (come /get_program_state)
+    - connection: stato WiFi (come /get_connection_status)
+    - sensors: stato dei sensori di ingresso (come /get_sensors_status)
+    """
+    def __init__(self):
+        self._queue = []
+        self._last_sent = {}
+        self._last_event_time = 0
+        self._last_zones_time = 0
+        self._last_program_time = 0
+        self._last_connection_check = 0
+        self._started = False
+        self._closed = False
+    
+    def __aiter__(self):
+        return self
+    
+    async def __anext__(self):
+        if self._closed:
+            raise StopAsyncIteration
+        
+        while not self._queue:
+            # Il primo campionamento è immediato per inviare lo stato iniziale
+            if self._started:
+                await asyncio.sleep(SSE_TICK)
+            self._started = True
+            
+            if self._closed:
+                raise StopAsyncIteration
+            self._collect()
+        
+        return self._queue.pop(0)
+    
+    async def aclose(self):
+        global _sse_clients
+        
+        if not self._closed:
+            self._closed = True
+            _sse_clients = max(0, _sse_clients - 1)
+            gc.collect()
+    
+    def _push(self, event, data, signature=None):
+        """
+        Accoda un evento se il suo contenuto è cambiato dall'ultimo invio.
+        
+        Args:
+            event: Nome dell'evento SSE
+            data: Dati da serializzare in JSON
+            signature: Chiave di confronto (default: i dati stessi)
+            
+        Returns:
+            boolean: True se l'evento è stato accodato
+        """
+        payload = ujson.dumps(data)
+        key = payload if signature is None else signature
+        if self._last_sent.get(event) == key:
+            return False
+        
+        self._last_sent[event] = key
+        self._queue.append(f"event: {event}\ndata: {payload}\n\n")
+        return True
+    
+    def _collect(self):
+        """
+        Campiona lo stato di zone, programma, sensori e connessione e accoda le variazioni.
+        """
+        current_time = time.time()
+        
+        try:
+            zone_manager = _import_module('zone_manager')
+            if zone_manager:
+                zones = zone_manager.get_zones_status()
+                active_ids = [zone['id'] for zone in zones if zone['active']]
+                fault_ids = [zone['id'] for zone in zones if zone.get('fault')]
+                
+                # Accensioni/spegnimenti e guasti inviati subito, tempi rimanenti riallineati periodicamente
+                signature = ujson.dumps([active_ids, fault_ids])
+                if active_ids and current_time - self._last_zones_time >= SSE_ZONES_RESYNC:
+                    self._last_sent.pop('zones', None)
+                if self._push('zones', zones, signature):
+                    self._last_zones_time = current_time
+            
+            program_state = _import_module('program_state')
+            if program_state:
+                progress = program_state.get_program_progress()
+                
+                # I tempi trascorsi cambiano ogni secondo: cambi di step, pausa e coda
+                # vengono inviati subito, i tempi riallineati periodicamente
+                signature = ujson.dumps([progress['program_running'], progress['current_program_id'],
+                                         progress['current_step'], progress['current_zone'],
+                                         progress['paused'], progress['queue']])
+                if progress['program_running'] and current_time - self._last_program_time >= SSE_PROGRAM_RESYNC:
+                    self._last_sent.pop('program', None)
+                if self._push('program', progress, signature):
+                    self._last_program_time = current_time
+            
+            sensor_manager = _import_module('sensor_manager')
+            if sensor_manager:
+                self._push('sensors', sensor_manager.get_sensors_status())
+            
+            if current_time - self._last_connection_check >= SSE_CONNECTION_CHECK:
+                self._last_connection_check = current_time
+                self._push('connection', _read_connection_status())
+        except Exception as e:
+            log_event(f"Errore nello stream eventi: {e}", "WARNING")
+        
+        if self._queue:
+            self._last_event_time = current_time
+        elif current_time - self._last_event_time >= SSE_KEEPALIVE:
+            # Commento SSE: mantiene aperta la connessione senza generare eventi
+            self._last_event_time = current_time
+            self._queue.append(": keepalive\n\n")
+
+@app.route('/events', methods=['GET'])
+@api_handler
+def events_stream(request):
+    """API per lo stream Server-Sent Events dello stato di zone, programma, sensori e connessione."""
+    global _sse_clients
+    
+    if _sse_clients >= SSE_MAX_CLIENTS:
+        # Il client ripiega sul polling
+        return json_response({'success': False, 'error': 'Troppi client connessi allo stream'}, 503)
+    
+    _sse_clients += 1
+    return Response(
+        body=EventStream(),
+        headers={
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache'
+        }
+    )
+
 @app.route('/start_program', methods=['POST'])
 @api_handler
 async def start_program_route(request):
@@ -881,19 +1354,78 @@ async def start_program_route(request):
     if not program:
         return json_response({'success': False, 'error': 'Programma non trovato'}, 404)
 
-    # Verifica se già in esecuzione
+    # Se un altro programma è in esecuzione (o in coda) il programma parte dopo di esso
     program_state.load_program_state()
-    if program_state.program_running:
-        return json_response({'success': False, 'error': 'Altro programma in esecuzione'}, 400)
+    busy = program_state.program_running or len(program_state.run_queue) > 0
+
+    # Avvio in background: la risposta non attende la fine dell'irrigazione
+    # (l'avanzamento e la coda arrivano al client tramite /events o /get_program_state)
+    entry, error_msg = program_manager.enqueue_program_run(program, manual=True)
+    if entry is None:
+        return json_response({'success': False, 'error': error_msg}, 409)
+
+    if busy:
+        position = program_state.run_queue.index(entry) + 1
+        log_event(f"Programma {program.get('name', '')} accodato manualmente", "INFO")
+        return json_response({'success': True, 'queued': True, 'position': position, 'queue_id': entry['id']})
+
+    log_event(f"Programma {program.get('name', '')} avviato manualmente", "INFO")
+    return json_response({'success': True, 'queued': False, 'queue_id': entry['id']})
 
-    # Avvia programma
-    success = await program_manager.execute_program(program, manual=True)
+@app.route('/cancel_queued_run', methods=['POST'])
+@api_handler
+def cancel_queued_run_route(request):
+    """API per rimuovere un'esecuzione dalla coda."""
+    # Importazioni lazy
+    program_manager = _import_module('program_manager')
+    if not program_manager:
+        return json_response({'success': False, 'error': 'Program manager non disponibile'}, 500)
     
-    if success:
-        log_event(f"Programma {program.get('name', '')} avviato manualmente", "INFO")
-        return json_response({'success': True})
-    else:
-        return json_response({'success': False, 'error': 'Errore avvio programma'}, 500)
+    # Estrai e valida dati
+    data = request.json
+    if data is None:
+        try:
+            data = ujson.loads(request.body.decode('utf-8'))
+        except:
+            return json_response({'success': False, 'error': 'Dati JSON non validi'}, 400)
+    
+    try:
+        queue_id = int(data.get('queue_id'))
+    except (TypeError, ValueError):
+        return json_response({'success': False, 'error': 'ID esecuzione mancante'}, 400)
+    
+    if not program_manager.cancel_queued_run(queue_id):
+        return json_response({'success': False, 'error': 'Esecuzione non più in coda'}, 404)
+    
+    return json_response({'success': True})
+
+@app.route('/move_queued_run', methods=['POST'])
+@api_handler
+def move_queued_run_route(request):
+    """API per spostare un'esecuzione in un'altra posizione della coda."""
+    # Importazioni lazy
+    program_manager = _import_module('program_manager')
+    if not program_manager:
+        return json_response({'success': False, 'error': 'Program manager non disponibile'}, 500)
+    
+    # Estrai e valida dati
+    data = request.json
+    if data is None:
+        try:
+            data = ujson.loads(request.body.decode('utf-8'))
+        except:
+            return json_response({'success': False, 'error': 'Dati JSON non validi'}, 400)
+    
+    try:
+        queue_id = int(data.get('queue_id'))
+        position = int(data.get('position'))
+    except (TypeError, ValueError):
+        return json_response({'success': False, 'error': 'ID esecuzione o posizione non validi'}, 400)
+    
+    if not program_manager.move_queued_run(queue_id, position):
+        return json_response({'success': False, 'error': 'Esecuzione non più in coda'}, 404)
+    
+    return json_response({'success': True})
 
 @app.route('/connect_wifi', methods=['POST'])
 @api_handler
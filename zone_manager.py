@@ -1,22 +1,43 @@
 """
 Modulo per la gestione delle zone di irrigazione.
 Gestisce l'attivazione e la disattivazione delle zone, rispettando i limiti impostati dall'utente.
+Con il flussometro abilitato controlla che la portata delle zone attive resti nell'intervallo
+atteso: una portata eccessiva (tubo rotto) o assente (valvola bloccata) arresta la zona.
 """
 import time
+import ujson
+import uos
 import machine
 from machine import Pin
 import uasyncio as asyncio
 from settings_manager import load_user_settings
 from log_manager import log_event
 from program_state import program_running, load_program_state
+import program_state
+from sensor_manager import get_flow_total_liters, get_flow_rate
+from history_manager import record_zone_run, get_learned_flow, TRIGGER_MANUAL, TRIGGER_SCHEDULED
+
+# Controllo della portata delle zone
+FLOW_CHECK_INTERVAL = 5         # Secondi tra i controlli della portata
+FLOW_FAULT_GRACE = 30           # Secondi ignorati dopo un cambio delle zone attive (riempimento tubi)
+FLOW_FAULT_CONFIRM = 20         # Secondi di portata fuori intervallo prima di segnalare il guasto
+FLOW_TOLERANCE = 0.5            # Scostamento ammesso rispetto alla portata appresa (50%)
+FLOW_NO_FLOW_THRESHOLD = 0.2    # Portata minima (L/min) sotto la quale non scorre acqua
+ZONE_FAULTS_FILE = '/data/zone_faults.json'
 
 # Variabili globali
-active_zones = {}      # Dizionario delle zone attive: {zone_id: {start_time, duration, task}}
+active_zones = {}      # Dizionario delle zone attive: {zone_id: {start_time, duration, task, liters, program_id, trigger}}
 zone_pins = {}         # Cache dei pin GPIO: {zone_id: Pin}
 safety_relay = None    # Pin del relè master di sicurezza
 _settings_cache = None # Cache delle impostazioni per ottimizzare le chiamate ripetute
 _last_settings_load = 0 # Timestamp ultimo caricamento impostazioni
 _SETTINGS_CACHE_TTL = 10 # Validità cache impostazioni in secondi
+_last_flow_total = None # Litri del flussometro all'ultima ripartizione tra le zone
+zone_faults = {}       # Guasti di flusso da confermare: {str(zone_id): {type, flow, min, max, date}}
+_learned_flow_cache = {} # Portate apprese dallo storico: {zone_id: L/min o None}
+_flow_check_zones = None # Zone attive (id, avvio) all'ultimo controllo della portata
+_flow_check_since = 0  # Istante dell'ultimo cambio delle zone attive
+_flow_fault_since = None # Primo istante con portata fuori intervallo
 
 def _load_settings_cached():
     """
@@ -34,6 +55,135 @@ def _load_settings_cached():
         
     return _settings_cache
 
+def _attribute_flow():
+    """
+    Ripartisce tra le zone attive i litri contati dal flussometro dall'ultima chiamata.
+    Il flussometro è unico sulla linea principale: con più zone attive
+    i litri vengono divisi in parti uguali.
+    """
+    global _last_flow_total
+    
+    total = get_flow_total_liters()
+    if total is None:
+        _last_flow_total = None
+        return
+    
+    if _last_flow_total is not None and active_zones:
+        share = (total - _last_flow_total) / len(active_zones)
+        for zone_data in active_zones.values():
+            if zone_data.get('liters') is not None:
+                zone_data['liters'] += share
+    
+    _last_flow_total = total
+
+def _record_zone_run(zone_id, zone_data):
+    """
+    Registra nello storico un'attivazione della zona appena conclusa.
+    Va chiamata dopo _attribute_flow, prima di rimuovere la zona da active_zones.
+    
+    Args:
+        zone_id: ID della zona
+        zone_data: Dati della zona in active_zones
+    """
+    # Un guasto di flusso prevale sul motivo indicato da chi ha fermato la zona
+    reason = 'fault' if zone_data.get('fault') else zone_data.get('stop_reason', 'stopped')
+    try:
+        record_zone_run(zone_id, zone_data.get('start_time', time.time()), time.time(),
+                        zone_data.get('liters'), zone_data.get('program_id'),
+                        zone_data.get('shared', False), zone_data.get('fault'),
+                        zone_data.get('duration', 0) * 60, zone_data.get('trigger', TRIGGER_MANUAL), reason)
+    except Exception as e:
+        log_event(f"Errore registrazione storico zona {zone_id}: {e}", "ERROR")
+    
+    # La portata appresa va ricalcolata con la nuova attivazione
+    _learned_flow_cache.pop(zone_id, None)
+
+def _load_zone_faults():
+    """
+    Carica i guasti di flusso non ancora confermati dall'utente.
+    """
+    global zone_faults
+    
+    try:
+        with open(ZONE_FAULTS_FILE, 'r') as f:
+            faults = ujson.load(f)
+        zone_faults = faults if isinstance(faults, dict) else {}
+    except (OSError, ValueError):
+        zone_faults = {}
+
+def _save_zone_faults():
+    """
+    Salva i guasti di flusso in modo atomico usando un file temporaneo.
+    
+    Returns:
+        boolean: True se il salvataggio è riuscito
+    """
+    temp_file = ZONE_FAULTS_FILE + '.tmp'
+    try:
+        with open(temp_file, 'w') as f:
+            ujson.dump(zone_faults, f)
+            f.flush()  # Flush esplicito per garantire la scrittura su disco
+        
+        # Rinomina il file temporaneo (operazione atomica su molti filesystem)
+        uos.rename(temp_file, ZONE_FAULTS_FILE)
+        return True
+    except OSError as e:
+        log_event(f"Errore salvataggio guasti zone: {e}", "ERROR")
+        return False
+
+def _parse_flow(value):
+    """
+    Converte una portata configurata dall'utente.
+    
+    Args:
+        value: Valore dalle impostazioni
+    
+    Returns:
+        float: Portata in L/min, oppure None se assente o non valida
+    """
+    try:
+        flow = float(value)
+    except (TypeError, ValueError):
+        return None
+    return flow if flow > 0 else None
+
+def get_zone_flow_range(zone_id, settings):
+    """
+    Ritorna l'intervallo di portata atteso per una zona.
+    Usa i limiti configurati ('flow_min'/'flow_max' della zona) oppure, se assenti,
+    la portata appresa dallo storico con una tolleranza di FLOW_TOLERANCE.
+    
+    Args:
+        zone_id: ID della zona
+        settings: Impostazioni utente
+    
+    Returns:
+        tuple: (minimo, massimo) in L/min; il massimo è None se non è noto
+    """
+    flow_min = None
+    flow_max = None
+    
+    for zone in settings.get('zones', []):
+        if isinstance(zone, dict) and zone.get('id') == zone_id:
+            flow_min = _parse_flow(zone.get('flow_min'))
+            flow_max = _parse_flow(zone.get('flow_max'))
+            break
+    
+    if flow_min is None and flow_max is None:
+        if zone_id not in _learned_flow_cache:
+            _learned_flow_cache[zone_id] = get_learned_flow(zone_id)
+        
+        learned = _learned_flow_cache[zone_id]
+        if learned is not None:
+            flow_min = learned * (1 - FLOW_TOLERANCE)
+            flow_max = learned * (1 + FLOW_TOLERANCE)
+    
+    # Senza un minimo noto si rileva comunque l'assenza totale di flusso
+    if flow_min is None or flow_min < FLOW_NO_FLOW_THRESHOLD:
+        flow_min = FLOW_NO_FLOW_THRESHOLD
+    
+    return flow_min, flow_max
+
 def initialize_pins():
     """
     Inizializza i pin del sistema di irrigazione.
@@ -43,6 +193,8 @@ def initialize_pins():
     """
     global zone_pins, safety_relay
     
+    _load_zone_faults()
+    
     settings = _load_settings_cached()
     if not settings:
         log_event("Errore: Impossibile caricare le impostazioni utente", "ERROR")
@@ -117,6 +269,10 @@ def get_zones_status():
             
         current_time = time.time()  # Chiamata ottimizzata
         
+        # Aggiorna i litri erogati e ripartisci la portata tra le zone attive
+        _attribute_flow()
+        flow_rate = get_flow_rate()
+        
         for zone in configured_zones:
             if not zone or not isinstance(zone, dict) or zone.get('status') != 'show':
                 continue
@@ -127,6 +283,9 @@ def get_zones_status():
                 
             is_active = zone_id in active_zones
             remaining_time = 0
+            duration = 0
+            liters = None
+            zone_flow_rate = None
             
             # Calcola il tempo rimanente se la zona è attiva
             if is_active:
@@ -140,12 +299,21 @@ def get_zones_status():
                 except Exception:
                     pass
             
+                if zone_data.get('liters') is not None:
+                    liters = round(zone_data['liters'], 1)
+                if flow_rate is not None:
+                    zone_flow_rate = round(flow_rate / len(active_zones), 1)
+            
             # Costruisci l'oggetto zona in una sola operazione
             zones_status.append({
                 'id': zone_id,
                 'name': zone.get('name', f'Zona {zone_id + 1}'),
                 'active': is_active,
-                'remaining_time': remaining_time
+                'remaining_time': remaining_time,
+                'total_time': duration,
+                'liters': liters,
+                'flow_rate': zone_flow_rate,
+                'fault': zone_faults.get(str(zone_id))
             })
         
         return zones_status
@@ -212,6 +380,9 @@ def start_zone(zone_id, duration):
     if zone_id in active_zones and 'task' in active_zones[zone_id]:
         old_task = active_zones[zone_id]['task']
     
+    # Ripartisci i litri erogati finora prima che cambi il numero di zone attive
+    _attribute_flow()
+    
     # Attiva il relè di sicurezza se necessario
     if safety_relay and not active_zones:
         try:
@@ -244,16 +415,30 @@ def start_zone(zone_id, duration):
         except Exception:
             pass
 
+    # Una zona riattivata mentre è già attiva chiude l'attivazione precedente
+    if zone_id in active_zones:
+        active_zones[zone_id]['stop_reason'] = 'restarted'
+        _record_zone_run(zone_id, active_zones[zone_id])
+    
     # Crea nuovo timer
     task = asyncio.create_task(_zone_timer(zone_id, duration))
     
-    # Aggiorna stato zona
+    # Aggiorna stato zona (i litri sono contati solo con il flussometro abilitato)
+    from_program = program_state.program_running
     active_zones[zone_id] = {
         'start_time': time.time(),
         'duration': duration,
-        'task': task
+        'task': task,
+        'liters': 0.0 if _last_flow_total is not None else None,
+        'program_id': program_state.current_program_id if from_program else None,
+        'trigger': TRIGGER_SCHEDULED if from_program and not program_state.program_manual else TRIGGER_MANUAL
     }
     
+    # Con più zone attive i litri di ciascuna sono una stima: non servono all'apprendimento
+    if len(active_zones) > 1:
+        for zone_data in active_zones.values():
+            zone_data['shared'] = True
+    
     return True
 
 async def _zone_timer(zone_id, duration):
@@ -304,7 +489,10 @@ async def _safe_stop_zone(zone_id):
     # Memorizza se questa era l'ultima zona attiva
     was_last_active = len(active_zones) == 1
     
-    # Rimuovi la zona dalle zone attive
+    # Registra l'attivazione nello storico e rimuovi la zona dalle zone attive
+    _attribute_flow()
+    active_zones[zone_id]['stop_reason'] = 'completed'
+    _record_zone_run(zone_id, active_zones[zone_id])
     del active_zones[zone_id]
     
     # Spegni il relè di sicurezza se necessario
@@ -315,12 +503,13 @@ async def _safe_stop_zone(zone_id):
         except Exception as e:
             log_event(f"Errore spegnimento relè sicurezza: {e}", "ERROR")
 
-def stop_zone(zone_id):
+def stop_zone(zone_id, reason='stopped'):
     """
     Disattiva una zona di irrigazione.
     
     Args:
         zone_id: ID della zona da disattivare
+        reason: Motivo dell'arresto registrato nello storico
         
     Returns:
         boolean: True se l'operazione è riuscita, False altrimenti
@@ -367,7 +556,10 @@ def stop_zone(zone_id):
             except Exception:
                 pass
                 
-        # Rimuovi zona dalla lista attive
+        # Registra l'attivazione nello storico e rimuovi zona dalla lista attive
+        _attribute_flow()
+        zone_data['stop_reason'] = reason
+        _record_zone_run(zone_id, zone_data)
         del active_zones[zone_id]
 
     # Disattiva relè sicurezza se necessario
@@ -381,10 +573,13 @@ def stop_zone(zone_id):
             
     return True
 
-def stop_all_zones():
+def stop_all_zones(reason='stopped'):
     """
     Disattiva tutte le zone attive in modo sicuro e resiliente.
     
+    Args:
+        reason: Motivo dell'arresto registrato nello storico
+    
     Returns:
         boolean: True se l'operazione è riuscita, False altrimenti
     """
@@ -401,7 +596,7 @@ def stop_all_zones():
     
     # Prima fase: disattiva ogni zona
     for zone_id in zone_ids:
-        if not stop_zone(zone_id):
+        if not stop_zone(zone_id, reason):
             success = False
     
     # Seconda fase: verifica e forzatura
@@ -424,8 +619,11 @@ def stop_all_zones():
                     except:
                         pass
                 
-                # Rimuovi dalla lista attive
+                # Registra nello storico e rimuovi dalla lista attive
                 if zone_id in active_zones:
+                    _attribute_flow()
+                    active_zones[zone_id]['stop_reason'] = reason
+                    _record_zone_run(zone_id, active_zones[zone_id])
                     del active_zones[zone_id]
                 
             except Exception as e:
@@ -444,4 +642,138 @@ def stop_all_zones():
     # Pulizia finale forzata
     active_zones.clear()
     
-    return success
\ No newline at end of file
+    return success
+
+def _on_flow_fault(zone_ids, fault_type, flow_rate, flow_min, flow_max):
+    """
+    Gestisce un guasto di flusso confermato: registra il guasto e arresta le zone.
+    Con un solo flussometro non si distingue la zona guasta: sono coinvolte tutte le zone attive.
+    
+    Args:
+        zone_ids: ID delle zone attive
+        fault_type: 'no_flow' (portata assente) o 'high_flow' (portata eccessiva)
+        flow_rate: Portata misurata in L/min
+        flow_min: Portata minima attesa in L/min
+        flow_max: Portata massima attesa in L/min (None se non nota)
+    """
+    label = 'portata assente' if fault_type == 'no_flow' else 'portata eccessiva'
+    expected = f"{flow_min:.1f}-{flow_max:.1f}" if flow_max is not None else f"almeno {flow_min:.1f}"
+    t = time.localtime()
+    date = f"{t[0]}-{t[1]:02d}-{t[2]:02d} {t[3]:02d}:{t[4]:02d}"
+    
+    for zone_id in zone_ids:
+        zone_faults[str(zone_id)] = {
+            'type': fault_type,
+            'flow': round(flow_rate, 1),
+            'min': round(flow_min, 1),
+            'max': round(flow_max, 1) if flow_max is not None else None,
+            'date': date
+        }
+        if zone_id in active_zones:
+            active_zones[zone_id]['fault'] = fault_type
+        log_event(f"Guasto zona {zone_id}: {label} ({flow_rate:.1f} L/min, attesi {expected} L/min), "
+                  f"zona arrestata", "ERROR")
+    
+    _save_zone_faults()
+    
+    # Se la zona appartiene al programma in corso si passa allo step successivo
+    if program_state.program_running and program_state.current_step_zone in zone_ids:
+        # Importazione locale: program_manager importa questo modulo
+        from program_manager import skip_program_step
+        success, error = skip_program_step(f"guasto zona, {label}")
+        if not success:
+            log_event(f"Impossibile saltare lo step dopo il guasto: {error}", "WARNING")
+    
+    for zone_id in zone_ids:
+        if zone_id in active_zones:
+            stop_zone(zone_id)
+
+def _check_zone_flow():
+    """
+    Confronta la portata misurata con l'intervallo atteso per le zone attive.
+    Il guasto è segnalato solo dopo FLOW_FAULT_GRACE secondi dal cambio delle zone
+    attive e dopo FLOW_FAULT_CONFIRM secondi consecutivi fuori intervallo.
+    """
+    global _flow_check_zones, _flow_check_since, _flow_fault_since
+    
+    flow_rate = get_flow_rate()
+    if flow_rate is None or not active_zones:
+        _flow_check_zones = None
+        _flow_fault_since = None
+        return
+    
+    now = time.time()
+    zone_ids = sorted(active_zones.keys())
+    check_zones = [(zone_id, active_zones[zone_id].get('start_time')) for zone_id in zone_ids]
+    if check_zones != _flow_check_zones:
+        _flow_check_zones = check_zones
+        _flow_check_since = now
+        _flow_fault_since = None
+        return
+    
+    if now - _flow_check_since < FLOW_FAULT_GRACE:
+        return
+    
+    # L'intervallo atteso è la somma degli intervalli delle zone attive
+    settings = _load_settings_cached()
+    flow_min = 0
+    flow_max = 0
+    for zone_id in zone_ids:
+        zone_min, zone_max = get_zone_flow_range(zone_id, settings)
+        flow_min += zone_min
+        flow_max = flow_max + zone_max if flow_max is not None and zone_max is not None else None
+    
+    if flow_rate < flow_min:
+        fault_type = 'no_flow'
+    elif flow_max is not None and flow_rate > flow_max:
+        fault_type = 'high_flow'
+    else:
+        _flow_fault_since = None
+        return
+    
+    if _flow_fault_since is None:
+        _flow_fault_since = now
+        return
+    
+    if now - _flow_fault_since < FLOW_FAULT_CONFIRM:
+        return
+    
+    _flow_fault_since = None
+    _on_flow_fault(zone_ids, fault_type, flow_rate, flow_min, flow_max)
+
+def acknowledge_zone_fault(zone_id):
+    """
+    Conferma (e rimuove) il guasto di flusso segnalato per una zona.
+    
+    Args:
+        zone_id: ID della zona
+    
+    Returns:
+        tuple: (success, error_message)
+    """
+    try:
+        zone_id = int(zone_id)
+    except (ValueError, TypeError):
+        return False, "ID zona non valido"
+    
+    if zone_faults.pop(str(zone_id), None) is None:
+        return False, "Nessun guasto da confermare per questa zona"
+    
+    _save_zone_faults()
+    log_event(f"Guasto zona {zone_id} confermato dall'utente", "INFO")
+    return True, ""
+
+async def flow_monitor_loop():
+    """
+    Task asincrono che controlla periodicamente la portata delle zone attive.
+    """
+    while True:
+        try:
+            _check_zone_flow()
+            await asyncio.sleep(FLOW_CHECK_INTERVAL)
+        except asyncio.CancelledError:
+            log_event("Task controllo portata cancellato", "INFO")
+            break
+        except Exception as e:
+            log_event(f"Errore controllo portata zone: {e}", "ERROR")
+            await asyncio.sleep(FLOW_CHECK_INTERVAL * 6)